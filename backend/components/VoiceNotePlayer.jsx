@@ -0,0 +1,142 @@
+import { useEffect, useRef, useState } from 'react';
+import { Play, Pause } from 'lucide-react';
+import clsx from 'clsx';
+import { formatDuration } from '../services/voiceNotes';
+
+const PLACEHOLDER_WAVEFORM = Array(64).fill(0.3);
+const SEEK_STEP = 5;
+
+// Plays an audio attachment over its waveform; click, drag or use the arrow keys to seek
+const VoiceNotePlayer = ({ attachment, className }) => {
+  const audioRef = useRef(null);
+  const barsRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [mediaDuration, setMediaDuration] = useState(null);
+
+  // Prefer the server's duration: recorded webm files often report Infinity in the browser
+  const duration = attachment.duration || mediaDuration || 0;
+  const waveform = attachment.waveform?.length ? attachment.waveform : PLACEHOLDER_WAVEFORM;
+  const progress = duration ? Math.min(1, currentTime / duration) : 0;
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    const onTime = () => setCurrentTime(audio.currentTime);
+    const onMetadata = () => {
+      if (Number.isFinite(audio.duration)) setMediaDuration(audio.duration);
+    };
+    const onEnded = () => {
+      setIsPlaying(false);
+      setCurrentTime(0);
+    };
+    const onPause = () => setIsPlaying(false);
+    const onPlay = () => setIsPlaying(true);
+
+    audio.addEventListener('timeupdate', onTime);
+    audio.addEventListener('loadedmetadata', onMetadata);
+    audio.addEventListener('ended', onEnded);
+    audio.addEventListener('pause', onPause);
+    audio.addEventListener('play', onPlay);
+    return () => {
+      audio.removeEventListener('timeupdate', onTime);
+      audio.removeEventListener('loadedmetadata', onMetadata);
+      audio.removeEventListener('ended', onEnded);
+      audio.removeEventListener('pause', onPause);
+      audio.removeEventListener('play', onPlay);
+    };
+  }, [attachment.url]);
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (audio.paused) {
+      audio.play().catch(error => console.error('Voice note playback failed:', error));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const seekTo = (seconds) => {
+    if (!duration) return;
+    const time = Math.min(duration, Math.max(0, seconds));
+    audioRef.current.currentTime = time;
+    setCurrentTime(time);
+  };
+
+  const seekToPointer = (event) => {
+    const rect = barsRef.current.getBoundingClientRect();
+    seekTo((event.clientX - rect.left) / rect.width * duration);
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    seekToPointer(event);
+  };
+
+  const handlePointerMove = (event) => {
+    if (event.currentTarget.hasPointerCapture(event.pointerId)) {
+      seekToPointer(event);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowRight') {
+      event.preventDefault();
+      seekTo(currentTime + SEEK_STEP);
+    } else if (event.key === 'ArrowLeft') {
+      event.preventDefault();
+      seekTo(currentTime - SEEK_STEP);
+    } else if (event.key === ' ' || event.key === 'Enter') {
+      event.preventDefault();
+      togglePlay();
+    }
+  };
+
+  return (
+    <div className={clsx('flex items-center gap-3 min-w-[220px]', className)}>
+      <audio ref={audioRef} src={attachment.url} preload="metadata" />
+
+      <button
+        type="button"
+        onClick={togglePlay}
+        className="flex-shrink-0 w-9 h-9 rounded-full bg-blue-600 hover:bg-blue-500 text-white flex items-center justify-center"
+        aria-label={isPlaying ? 'Pause voice message' : 'Play voice message'}
+      >
+        {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4 ml-0.5" />}
+      </button>
+
+      <div
+        ref={barsRef}
+        role="slider"
+        tabIndex={0}
+        aria-label="Seek voice message"
+        aria-valuemin={0}
+        aria-valuemax={Math.round(duration)}
+        aria-valuenow={Math.round(currentTime)}
+        aria-valuetext={`${formatDuration(currentTime)} of ${formatDuration(duration)}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onKeyDown={handleKeyDown}
+        className="flex-1 flex items-center gap-[2px] h-8 cursor-pointer touch-none focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+      >
+        {waveform.map((peak, index) => (
+          <span
+            key={index}
+            className={clsx(
+              'flex-1 rounded-full',
+              (index + 0.5) / waveform.length <= progress ? 'bg-blue-400' : 'bg-gray-500'
+            )}
+            style={{ height: `${Math.max(10, peak * 100)}%` }}
+          />
+        ))}
+      </div>
+
+      <span className="flex-shrink-0 text-xs text-gray-400 tabular-nums w-10 text-right">
+        {formatDuration(isPlaying || currentTime ? currentTime : duration)}
+      </span>
+    </div>
+  );
+};
+
+export default VoiceNotePlayer;
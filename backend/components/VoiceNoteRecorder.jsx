@@ -0,0 +1,152 @@
+import { useEffect, useRef, useState } from 'react';
+import { Mic, Square, Send, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSocket } from '../context/SocketContext';
+import VoiceNotePlayer from './VoiceNotePlayer';
+import {
+  MAX_RECORDING_SECONDS,
+  canRecordVoiceNotes,
+  startRecording,
+  uploadVoiceNote,
+  formatDuration,
+} from '../services/voiceNotes';
+
+// Record-and-send button for the chat composer. Pass recipientId for a direct
+// conversation, or groupId (and channelId) for a group chat.
+const VoiceNoteRecorder = ({ recipientId, groupId, channelId = null, disabled = false }) => {
+  const { sendMessage, sendGroupMessage } = useSocket();
+  const recorderRef = useRef(null);
+  const startedAtRef = useRef(0);
+  const [status, setStatus] = useState('idle'); // idle, recording, review, sending
+  const [elapsed, setElapsed] = useState(0);
+  const [recording, setRecording] = useState(null);
+
+  // Tick while recording and stop at the length limit
+  useEffect(() => {
+    if (status !== 'recording') return;
+
+    const timer = setInterval(() => {
+      const seconds = (Date.now() - startedAtRef.current) / 1000;
+      setElapsed(seconds);
+      if (seconds >= MAX_RECORDING_SECONDS) stop();
+    }, 250);
+    return () => clearInterval(timer);
+  }, [status]);
+
+  // Free the preview and the microphone when leaving the composer
+  useEffect(() => () => {
+    recorderRef.current?.cancel();
+  }, []);
+
+  useEffect(() => () => {
+    if (recording) URL.revokeObjectURL(recording.url);
+  }, [recording]);
+
+  if (!canRecordVoiceNotes()) return null;
+
+  const start = async () => {
+    try {
+      recorderRef.current = await startRecording();
+      startedAtRef.current = Date.now();
+      setElapsed(0);
+      setStatus('recording');
+    } catch (error) {
+      console.error('Start recording error:', error);
+      toast.error('Microphone access is needed to record a voice message');
+    }
+  };
+
+  const stop = async () => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+    recorderRef.current = null;
+
+    const duration = (Date.now() - startedAtRef.current) / 1000;
+    const { blob, extension } = await recorder.stop();
+    setRecording({ blob, extension, url: URL.createObjectURL(blob), duration });
+    setStatus('review');
+  };
+
+  const discard = () => {
+    recorderRef.current?.cancel();
+    recorderRef.current = null;
+    setRecording(null);
+    setStatus('idle');
+  };
+
+  const send = async () => {
+    setStatus('sending');
+    try {
+      const { token } = await uploadVoiceNote(recording);
+
+      // Content is left out; the server labels the message
+      if (recipientId) {
+        sendMessage({ recipientId, type: 'audio', attachments: [token] });
+      } else {
+        sendGroupMessage({ groupId, channelId, type: 'audio', attachments: [token] });
+      }
+
+      setRecording(null);
+      setStatus('idle');
+    } catch (error) {
+      console.error('Send voice message error:', error);
+      toast.error(error.response?.data?.message || 'Failed to send voice message');
+      setStatus('review');
+    }
+  };
+
+  if (status === 'recording') {
+    return (
+      <div className="flex items-center gap-3 px-3 py-2 rounded-lg bg-gray-800 border border-gray-700">
+        <span className="w-2.5 h-2.5 rounded-full bg-red-500 animate-pulse" />
+        <span className="text-sm text-gray-200 tabular-nums">{formatDuration(elapsed)}</span>
+        <button type="button" onClick={discard} className="p-1.5 text-gray-400 hover:text-white" aria-label="Discard recording">
+          <Trash2 className="w-4 h-4" />
+        </button>
+        <button type="button" onClick={stop} className="p-1.5 text-red-400 hover:text-red-300" aria-label="Stop recording">
+          <Square className="w-4 h-4" />
+        </button>
+      </div>
+    );
+  }
+
+  if (status === 'review' || status === 'sending') {
+    return (
+      <div className="flex items-center gap-3 px-3 py-2 rounded-lg bg-gray-800 border border-gray-700">
+        <VoiceNotePlayer attachment={{ url: recording.url, duration: recording.duration }} className="flex-1" />
+        <button
+          type="button"
+          onClick={discard}
+          disabled={status === 'sending'}
+          className="p-1.5 text-gray-400 hover:text-white disabled:opacity-50"
+          aria-label="Discard recording"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+        <button
+          type="button"
+          onClick={send}
+          disabled={status === 'sending'}
+          className="p-2 rounded-full bg-blue-600 hover:bg-blue-500 text-white disabled:opacity-50"
+          aria-label="Send voice message"
+        >
+          <Send className="w-4 h-4" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={start}
+      disabled={disabled}
+      className="p-2 text-gray-400 hover:text-white disabled:opacity-50"
+      aria-label="Record voice message"
+    >
+      <Mic className="w-5 h-5" />
+    </button>
+  );
+};
+
+export default VoiceNoteRecorder;
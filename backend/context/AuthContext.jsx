@@ -1,5 +1,5 @@
 import { createContext, useContext, useReducer, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { authAPI, storeTokens, clearTokens, setSessionEndedHandler } from '../services/api';
 import toast from 'react-hot-toast';
 
 const AuthContext = createContext();
@@ -44,8 +44,7 @@ export const AuthProvider = ({ children }) => {
           dispatch({ type: 'SET_USER', payload: response.data.user });
         } catch (error) {
           console.error('Failed to initialize auth:', error);
-          localStorage.removeItem('token');
-          authAPI.removeToken();
+          clearTokens();
           dispatch({ type: 'LOGOUT' });
         }
       } else {
@@ -56,6 +55,31 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  // The API client refreshes expired access tokens; log out once that stops working
+  useEffect(() => {
+    setSessionEndedHandler(() => {
+      dispatch({ type: 'LOGOUT' });
+      toast.error('Your session has ended, please log in again');
+    });
+    return () => setSessionEndedHandler(null);
+  }, []);
+
+  // Store tokens and user after a completed login
+  const completeLogin = (data) => {
+    const { user, twoFactorSetupRequired } = data;
+
+    storeTokens(data);
+
+    dispatch({ type: 'SET_USER', payload: user });
+    toast.success(`Welcome back, ${user.name}!`);
+
+    if (twoFactorSetupRequired) {
+      toast.error('Admin accounts must enable two-factor authentication');
+    }
+
+    return { success: true, twoFactorSetupRequired: !!twoFactorSetupRequired };
+  };
+
   // Login function
   const login = async (email, password) => {
     try {
@@ -63,15 +87,18 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: 'CLEAR_ERROR' });
 
       const response = await authAPI.login({ email, password });
-      const { user, accessToken } = response.data;
 
-      localStorage.setItem('token', accessToken);
-      authAPI.setToken(accessToken);
-      
-      dispatch({ type: 'SET_USER', payload: user });
-      toast.success(`Welcome back, ${user.name}!`);
-      
-      return { success: true };
+      // Password accepted, but a second factor is needed to finish logging in
+      if (response.data.twoFactorRequired) {
+        dispatch({ type: 'SET_LOADING', payload: false });
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
+      }
+
+      return completeLogin(response.data);
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
       dispatch({ type: 'SET_ERROR', payload: message });
@@ -80,6 +107,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: TOTP code or recovery code for the given challenge
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      dispatch({ type: 'SET_LOADING', payload: true });
+      dispatch({ type: 'CLEAR_ERROR' });
+
+      const response = await authAPI.verifyTwoFactor({ challengeToken, code, recoveryCode });
+      return completeLogin(response.data);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Two-factor verification failed';
+      dispatch({ type: 'SET_ERROR', payload: message });
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   // Register function
   const register = async (userData) => {
     try {
@@ -87,10 +130,9 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: 'CLEAR_ERROR' });
 
       const response = await authAPI.register(userData);
-      const { user, accessToken } = response.data;
+      const { user } = response.data;
 
-      localStorage.setItem('token', accessToken);
-      authAPI.setToken(accessToken);
+      storeTokens(response.data);
       
       dispatch({ type: 'SET_USER', payload: user });
       toast.success(`Welcome to Mini Office, ${user.name}!`);
@@ -111,8 +153,7 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      localStorage.removeItem('token');
-      authAPI.removeToken();
+      clearTokens();
       dispatch({ type: 'LOGOUT' });
       toast.success('Logged out successfully');
     }
@@ -134,12 +175,14 @@ export const AuthProvider = ({ children }) => {
     loading: state.loading,
     error: state.error,
     login,
+    verifyTwoFactor,
     register,
     logout,
     updateUser,
     clearError,
     isAuthenticated: !!state.user,
     isAdmin: state.user?.role === 'admin',
+    isModerator: ['moderator', 'admin'].includes(state.user?.role),
   };
 
   return (
@@ -0,0 +1,367 @@
+import { createContext, useContext, useReducer, useEffect, useRef } from 'react';
+import { io } from 'socket.io-client';
+import toast from 'react-hot-toast';
+import { useAuth } from './AuthContext';
+import { outbox, createClientId } from '../services/outbox';
+import { refreshTokens } from '../services/api';
+
+const SocketContext = createContext();
+
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || '/';
+const ACK_TIMEOUT = 10000;
+const MAX_ATTEMPTS = 6;
+const MAX_BACKOFF = 30000;
+const SYNC_PAGE_SIZE = 100;
+
+// Events that bring a new message to this user
+const MESSAGE_EVENTS = ['new_message', 'new_group_message', 'new_channel_message'];
+
+// Exponential backoff with some jitter so reconnecting clients don't retry in lockstep
+const backoff = (attempts) => Math.min(MAX_BACKOFF, 1000 * 2 ** attempts) * (0.75 + Math.random() * 0.5);
+
+const cursorKey = (userId) => `syncCursor_${userId}`;
+
+// Socket reducer
+const socketReducer = (state, action) => {
+  switch (action.type) {
+    case 'SET_CONNECTED':
+      return { ...state, isConnected: action.payload };
+    case 'SET_OUTBOX':
+      return { ...state, outbox: action.payload };
+    default:
+      return state;
+  }
+};
+
+const initialState = {
+  isConnected: false,
+  outbox: [],
+};
+
+// Connection plus outbox: queued sends are stored before they are emitted, retried with
+// backoff until the server acks them, and dropped once a server message carries their
+// clientId. Lives outside React state so socket callbacks always see the current entries.
+const createMessenger = (dispatch) => {
+  const entries = new Map();
+  const retryTimers = new Map();
+  const inFlight = new Set();
+  const listeners = new Set();
+  let socket = null;
+  let userId = null;
+  let authenticated = false;
+
+  const publishOutbox = () => {
+    const list = [...entries.values()].sort((a, b) => a.createdAt - b.createdAt);
+    dispatch({ type: 'SET_OUTBOX', payload: list });
+  };
+
+  const clearRetry = (clientId) => {
+    clearTimeout(retryTimers.get(clientId));
+    retryTimers.delete(clientId);
+  };
+
+  const saveEntry = (entry) => {
+    entries.set(entry.clientId, entry);
+    publishOutbox();
+    outbox.put(entry).catch(error => console.error('Outbox save error:', error));
+  };
+
+  const removeEntry = (clientId) => {
+    if (!entries.has(clientId)) return;
+    clearRetry(clientId);
+    entries.delete(clientId);
+    publishOutbox();
+    outbox.remove(clientId).catch(error => console.error('Outbox remove error:', error));
+  };
+
+  const notify = (message, source) => {
+    listeners.forEach(listener => listener(message, source));
+  };
+
+  // A server message with one of our clientIds confirms that outbox entry
+  const reconcile = (message) => {
+    if (message.clientId && entries.has(message.clientId)) {
+      removeEntry(message.clientId);
+    }
+  };
+
+  // Last message this client has seen, for replaying what it misses while offline
+  const saveCursor = (message) => {
+    localStorage.setItem(cursorKey(userId), JSON.stringify({ id: message._id, at: message.createdAt }));
+  };
+
+  const confirmDelivery = (messages) => {
+    const messageIds = messages
+      .filter(message => (message.sender?._id || message.sender) !== userId)
+      .map(message => message._id);
+
+    if (messageIds.length > 0) {
+      socket.emit('message_delivered', { messageIds });
+    }
+  };
+
+  const scheduleRetry = (entry, reason) => {
+    const attempts = entry.attempts + 1;
+    if (attempts >= MAX_ATTEMPTS) {
+      saveEntry({ ...entry, attempts, status: 'failed', lastError: reason });
+      return;
+    }
+
+    saveEntry({ ...entry, attempts, lastError: reason });
+    clearRetry(entry.clientId);
+    retryTimers.set(entry.clientId, setTimeout(() => attemptSend(entry.clientId), backoff(attempts)));
+  };
+
+  const attemptSend = (clientId) => {
+    const entry = entries.get(clientId);
+    if (!entry || entry.status !== 'pending' || inFlight.has(clientId)) return;
+
+    // Sent again once the socket is back and authenticated
+    if (!socket?.connected || !authenticated) return;
+
+    inFlight.add(clientId);
+    socket.timeout(ACK_TIMEOUT).emit(entry.event, { ...entry.payload, clientId }, (error, response) => {
+      inFlight.delete(clientId);
+      const current = entries.get(clientId);
+      if (!current) return;
+
+      if (error) {
+        // No ack: the server may or may not have it, so retry with the same clientId
+        scheduleRetry(current, 'No response from server');
+      } else if (response?.ok) {
+        removeEntry(clientId);
+        notify(response.message, 'sent');
+      } else {
+        // Rejected (permissions, validation, muted...); retrying won't help
+        saveEntry({ ...current, status: 'failed', lastError: response?.message || 'Message could not be sent' });
+        toast.error(response?.message || 'Message could not be sent');
+      }
+    });
+  };
+
+  const flushOutbox = () => {
+    entries.forEach(entry => {
+      if (entry.status === 'pending') {
+        clearRetry(entry.clientId);
+        attemptSend(entry.clientId);
+      }
+    });
+  };
+
+  // Replay messages missed since the saved cursor, page by page
+  const syncMissed = async () => {
+    const saved = JSON.parse(localStorage.getItem(cursorKey(userId)) || 'null');
+    if (!saved) {
+      localStorage.setItem(cursorKey(userId), JSON.stringify({ id: null, at: new Date().toISOString() }));
+      return;
+    }
+
+    let since = saved.id || saved.at;
+    let hasMore = true;
+    while (hasMore) {
+      let response = await socket.timeout(ACK_TIMEOUT).emitWithAck('sync', { since, limit: SYNC_PAGE_SIZE });
+
+      // The cursor message is gone (e.g. its group was purged); fall back to its timestamp
+      if (!response.ok && since === saved.id && saved.at) {
+        since = saved.at;
+        response = await socket.timeout(ACK_TIMEOUT).emitWithAck('sync', { since, limit: SYNC_PAGE_SIZE });
+      }
+      if (!response.ok) {
+        throw new Error(response.message);
+      }
+
+      response.messages.forEach(message => {
+        reconcile(message);
+        notify(message, 'sync');
+      });
+      confirmDelivery(response.messages);
+
+      const last = response.messages[response.messages.length - 1];
+      if (last) {
+        saveCursor(last);
+      }
+      since = response.cursor;
+      hasMore = response.hasMore && !!last;
+    }
+  };
+
+  const receive = ({ message }) => {
+    reconcile(message);
+    notify(message, 'live');
+    saveCursor(message);
+    confirmDelivery([message]);
+  };
+
+  const start = (id) => {
+    userId = id;
+    const loaded = outbox.getAll(id)
+      .then(stored => {
+        stored.forEach(entry => entries.set(entry.clientId, entry));
+        publishOutbox();
+      })
+      .catch(error => console.error('Outbox load error:', error));
+
+    socket = io(SOCKET_URL);
+
+    socket.on('connect', () => {
+      socket.emit('authenticate', { token: localStorage.getItem('token') });
+    });
+
+    socket.on('authenticated', async () => {
+      authenticated = true;
+      dispatch({ type: 'SET_CONNECTED', payload: true });
+      await loaded;
+
+      try {
+        await syncMissed();
+      } catch (error) {
+        console.error('Message sync error:', error);
+      }
+
+      // Anything confirmed by the sync is already out of the outbox
+      flushOutbox();
+    });
+
+    socket.on('auth_error', (data) => {
+      // The access token ran out while disconnected: refresh it and try again
+      if (data.code === 'TOKEN_EXPIRED') {
+        refreshTokens()
+          .then(token => socket.emit('authenticate', { token }))
+          .catch(error => console.error('Socket token refresh error:', error));
+        return;
+      }
+      toast.error(data.message || 'Real-time connection failed');
+    });
+
+    socket.on('disconnect', () => {
+      authenticated = false;
+      dispatch({ type: 'SET_CONNECTED', payload: false });
+    });
+
+    MESSAGE_EVENTS.forEach(event => socket.on(event, receive));
+  };
+
+  const stop = () => {
+    retryTimers.forEach(timer => clearTimeout(timer));
+    retryTimers.clear();
+    inFlight.clear();
+    entries.clear();
+    publishOutbox();
+
+    socket?.disconnect();
+    socket = null;
+    userId = null;
+    authenticated = false;
+    dispatch({ type: 'SET_CONNECTED', payload: false });
+  };
+
+  // Store a send in the outbox and try it right away; returns the entry for optimistic rendering
+  const queue = (event, payload) => {
+    const entry = {
+      clientId: createClientId(),
+      userId,
+      event,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      createdAt: Date.now(),
+      lastError: null,
+    };
+
+    saveEntry(entry);
+    attemptSend(entry.clientId);
+    return entry;
+  };
+
+  const retry = (clientId) => {
+    const entry = entries.get(clientId);
+    if (!entry) return;
+
+    saveEntry({ ...entry, status: 'pending', attempts: 0, lastError: null });
+    clearRetry(clientId);
+    attemptSend(clientId);
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    start,
+    stop,
+    queue,
+    retry,
+    discard: removeEntry,
+    subscribe,
+    getSocket: () => socket,
+  };
+};
+
+export const SocketProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [state, dispatch] = useReducer(socketReducer, initialState);
+  const messengerRef = useRef(null);
+
+  if (!messengerRef.current) {
+    messengerRef.current = createMessenger(dispatch);
+  }
+
+  const userId = user?._id;
+
+  // Connect while logged in
+  useEffect(() => {
+    if (!userId) return;
+
+    const messenger = messengerRef.current;
+    messenger.start(userId);
+    return () => messenger.stop();
+  }, [userId]);
+
+  const messenger = messengerRef.current;
+
+  // Send a direct message through the outbox. Attachments are upload tokens.
+  const sendMessage = ({ recipientId, content, type = 'text', attachments }) => {
+    return messenger.queue('send_message', { recipientId, content, type, attachments });
+  };
+
+  // Send a group or channel message through the outbox
+  const sendGroupMessage = ({ groupId, channelId = null, content, type = 'text', replyTo, attachments }) => {
+    return messenger.queue('send_group_message', { groupId, channelId, content, type, replyTo, attachments });
+  };
+
+  // Outbox entries for one conversation, group or channel, to render after its confirmed messages
+  const getPendingMessages = ({ recipientId, groupId, channelId = null }) => {
+    return state.outbox.filter(entry => recipientId
+      ? entry.payload.recipientId === recipientId
+      : entry.payload.groupId === groupId && (entry.payload.channelId || null) === channelId
+    );
+  };
+
+  const value = {
+    socket: messenger.getSocket(),
+    isConnected: state.isConnected,
+    outbox: state.outbox,
+    sendMessage,
+    sendGroupMessage,
+    getPendingMessages,
+    retryMessage: messenger.retry,
+    discardMessage: messenger.discard,
+    // Called with (message, source) for live, replayed ('sync') and confirmed ('sent') messages
+    onMessage: messenger.subscribe,
+  };
+
+  return (
+    <SocketContext.Provider value={value}>
+      {children}
+    </SocketContext.Provider>
+  );
+};
+
+export const useSocket = () => {
+  const context = useContext(SocketContext);
+  if (!context) {
+    throw new Error('useSocket must be used within a SocketProvider');
+  }
+  return context;
+};
@@ -0,0 +1,102 @@
+import axios from 'axios';
+
+// REST client. Access tokens are short-lived: a request rejected with TOKEN_EXPIRED is
+// retried once after trading the stored refresh token for a new token pair.
+
+const API_URL = import.meta.env.VITE_API_URL || '/api';
+
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// How long to wait for another tab to store the pair it refreshed first
+const REFRESH_RACE_WAIT_MS = 1000;
+
+const api = axios.create({ baseURL: API_URL });
+
+let refreshing = null;
+let sessionEndedHandler = null;
+
+const setAuthHeader = (token) => {
+  api.defaults.headers.common.Authorization = `Bearer ${token}`;
+};
+
+// Keep a token pair from a login, registration or refresh
+export const storeTokens = ({ accessToken, refreshToken }) => {
+  localStorage.setItem(TOKEN_KEY, accessToken);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  setAuthHeader(accessToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  delete api.defaults.headers.common.Authorization;
+};
+
+// Called when the session can't be refreshed any more (revoked, expired or reused)
+export const setSessionEndedHandler = (handler) => {
+  sessionEndedHandler = handler;
+};
+
+// Trade the refresh token for a new pair; resolves to the new access token. Concurrent
+// callers share one request, since each refresh token can only be used once.
+export const refreshTokens = () => {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (!refreshToken) throw new Error('No refresh token');
+
+      try {
+        const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+        storeTokens(response.data);
+        return response.data.accessToken;
+      } catch (error) {
+        // Another tab refreshed with the same token first; use the pair it stored
+        if (error.response?.data?.code === 'REFRESH_RACE') {
+          await new Promise(resolve => setTimeout(resolve, REFRESH_RACE_WAIT_MS));
+          if (localStorage.getItem(REFRESH_TOKEN_KEY) !== refreshToken) {
+            const accessToken = localStorage.getItem(TOKEN_KEY);
+            setAuthHeader(accessToken);
+            return accessToken;
+          }
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+api.interceptors.response.use(null, async (error) => {
+  const { config, response } = error;
+  if (response?.status !== 401 || response.data?.code !== 'TOKEN_EXPIRED' || config._retried) {
+    throw error;
+  }
+
+  config._retried = true;
+  try {
+    const accessToken = await refreshTokens();
+    config.headers.Authorization = `Bearer ${accessToken}`;
+    return api(config);
+  } catch (refreshError) {
+    console.error('Token refresh failed:', refreshError);
+    clearTokens();
+    sessionEndedHandler?.();
+    throw error;
+  }
+});
+
+export const authAPI = {
+  setToken: setAuthHeader,
+  removeToken: clearTokens,
+  register: (userData) => api.post('/auth/register', userData),
+  login: (credentials) => api.post('/auth/login', credentials),
+  // Second login step: { challengeToken, code } or { challengeToken, recoveryCode }
+  verifyTwoFactor: (data) => api.post('/auth/login/2fa', data),
+  logout: () => api.post('/auth/logout'),
+  getCurrentUser: () => api.get('/auth/me'),
+};
+
+export default api;
@@ -0,0 +1,58 @@
+// Client outbox: messages waiting for the server to confirm them, kept in IndexedDB
+// so they survive reloads and going offline. Entries are keyed by their clientId,
+// the idempotency key the server uses to store a retried message only once.
+
+const DB_NAME = 'mini-office';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'clientId' });
+        store.createIndex('userId', 'userId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against the outbox store and resolve with its result
+const withStore = async (mode, run) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = run(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const createClientId = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+export const outbox = {
+  // Entries of one user, oldest first
+  getAll: async (userId) => {
+    const entries = await withStore('readonly', store => store.index('userId').getAll(userId));
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  },
+
+  put: (entry) => withStore('readwrite', store => store.put(entry)),
+
+  remove: (clientId) => withStore('readwrite', store => store.delete(clientId)),
+};
@@ -0,0 +1,69 @@
+import api from './api';
+
+// Voice notes: recorded in the browser, uploaded as message attachments. The server
+// measures their duration and waveform and returns a token to send with the message.
+
+// Formats the server accepts, in order of preference, with the extension to upload them as
+const RECORDING_FORMATS = [
+  { mimeType: 'audio/webm;codecs=opus', extension: 'webm' },
+  { mimeType: 'audio/webm', extension: 'webm' },
+  { mimeType: 'audio/ogg;codecs=opus', extension: 'ogg' },
+  { mimeType: 'audio/mp4', extension: 'm4a' },
+];
+
+export const MAX_RECORDING_SECONDS = 300;
+
+export const canRecordVoiceNotes = () => {
+  return typeof window !== 'undefined'
+    && !!window.MediaRecorder
+    && !!navigator.mediaDevices?.getUserMedia
+    && RECORDING_FORMATS.some(format => MediaRecorder.isTypeSupported(format.mimeType));
+};
+
+// Start recording from the microphone. Resolves to a recorder whose stop() resolves
+// to { blob, extension } and whose cancel() throws the recording away.
+export const startRecording = async () => {
+  const format = RECORDING_FORMATS.find(candidate => MediaRecorder.isTypeSupported(candidate.mimeType));
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const recorder = new MediaRecorder(stream, { mimeType: format.mimeType });
+  const chunks = [];
+
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+
+  const finished = new Promise((resolve) => {
+    recorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop());
+      resolve(new Blob(chunks, { type: format.mimeType.split(';')[0] }));
+    };
+  });
+
+  recorder.start(250);
+
+  return {
+    stop: async () => {
+      if (recorder.state !== 'inactive') recorder.stop();
+      return { blob: await finished, extension: format.extension };
+    },
+    cancel: () => {
+      if (recorder.state !== 'inactive') recorder.stop();
+      chunks.length = 0;
+    },
+  };
+};
+
+// Upload a recording; resolves to { attachment, token }
+export const uploadVoiceNote = async ({ blob, extension }) => {
+  const formData = new FormData();
+  formData.append('file', blob, `voice-note.${extension}`);
+
+  const response = await api.post('/messages/attachment', formData);
+
+  return { attachment: response.data.attachment, token: response.data.token };
+};
+
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
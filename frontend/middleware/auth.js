@@ -0,0 +1,244 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Group, { GROUP_ROLES } from '../models/Group.js';
+import Session from '../models/Session.js';
+
+const ACCESS_TOKEN_EXPIRY = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRY = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+
+// Uniform error responses
+export const sendUnauthorized = (res, message = 'Authentication required', code = 'UNAUTHORIZED') => {
+  return res.status(401).json({ message, code });
+};
+
+export const sendForbidden = (res, message = 'Access denied', code = 'FORBIDDEN', extra = {}) => {
+  return res.status(403).json({ message, code, ...extra });
+};
+
+// Generate access/refresh token pair bound to a session
+export const generateTokens = (userId, sessionId, tokenId) => {
+  const accessToken = jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRY }
+  );
+
+  const refreshToken = jwt.sign(
+    { userId, sessionId, tokenId },
+    process.env.JWT_SECRET + '_refresh',
+    { expiresIn: REFRESH_TOKEN_EXPIRY }
+  );
+
+  return { accessToken, refreshToken };
+};
+
+// Resolve the user behind an access token, or null if it is no longer valid
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sessionId || !await Session.isActiveSession(decoded.sessionId, decoded.userId)) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) {
+    return null;
+  }
+
+  return { user, sessionId: decoded.sessionId };
+};
+
+const getBearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+  return authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+};
+
+// Require a valid access token
+export const authenticateToken = async (req, res, next) => {
+  // Already authenticated earlier in the chain
+  if (req.user) {
+    return next();
+  }
+
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      return sendUnauthorized(res, 'Access token required', 'TOKEN_REQUIRED');
+    }
+
+    const auth = await verifyAccessToken(token);
+    if (!auth) {
+      return sendUnauthorized(res, 'Session expired or revoked', 'SESSION_REVOKED');
+    }
+
+    if (auth.user.isCurrentlyBanned()) {
+      return sendForbidden(res, 'Your account has been suspended', 'ACCOUNT_BANNED', {
+        ban: auth.user.getBanInfo()
+      });
+    }
+
+    req.user = auth.user;
+    req.sessionId = auth.sessionId;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return sendUnauthorized(res, 'Access token expired', 'TOKEN_EXPIRED');
+    }
+    return sendUnauthorized(res, 'Invalid access token', 'TOKEN_INVALID');
+  }
+};
+
+// Attach the user if a valid token is present, otherwise continue anonymously
+export const optionalAuth = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (token) {
+      const auth = await verifyAccessToken(token);
+      if (auth && !auth.user.isCurrentlyBanned()) {
+        req.user = auth.user;
+        req.sessionId = auth.sessionId;
+      }
+    }
+  } catch (error) {
+    // Ignore invalid tokens for optional auth
+  }
+  next();
+};
+
+// Require a verified email address (use after authenticateToken)
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return sendForbidden(res, 'Please verify your email address first', 'EMAIL_NOT_VERIFIED');
+  }
+  next();
+};
+
+// Whether accounts with role 'admin' must have two-factor authentication enabled
+export const adminRequiresTwoFactor = () => process.env.ADMIN_REQUIRE_2FA !== 'false';
+
+// Block admins without 2FA from admin-only areas while the policy is on
+export const requireTwoFactorForAdmins = (req, res, next) => {
+  if (req.user.role === 'admin' && adminRequiresTwoFactor() && !req.user.twoFactor?.enabled) {
+    return sendForbidden(res, 'Two-factor authentication must be enabled for admin accounts', 'TWO_FACTOR_REQUIRED');
+  }
+  next();
+};
+
+// Require at least the given global role (user < moderator < admin)
+export const requireRole = (minRole) => [
+  authenticateToken,
+  (req, res, next) => {
+    if (!req.user.hasRole(minRole)) {
+      return sendForbidden(res, `${minRole.charAt(0).toUpperCase() + minRole.slice(1)} access required`, 'INSUFFICIENT_ROLE');
+    }
+    next();
+  }
+];
+
+export const requireAdmin = requireRole('admin');
+export const requireModerator = requireRole('moderator');
+
+// Effective role of a user in a group; site admins and moderators carry their role into every group
+export const getEffectiveGroupRole = (group, user) => {
+  const groupRole = group.getMemberRole(user._id);
+  const globalRole = user.hasRole('admin') ? 'admin' : user.hasRole('moderator') ? 'moderator' : null;
+
+  if (!globalRole) return groupRole;
+  if (!groupRole) return globalRole;
+  return GROUP_ROLES.indexOf(groupRole) >= GROUP_ROLES.indexOf(globalRole) ? groupRole : globalRole;
+};
+
+// Check whether a user may perform a group action under the group's permission matrix
+export const canInGroup = (group, user, permission) => {
+  return group.roleHasPermission(getEffectiveGroupRole(group, user), permission);
+};
+
+// Why a user may not post in a group right now ({ message, code, extra }), or null when they may.
+// For routes and jobs that take a group from the body rather than the URL.
+export const groupPostDenial = (group, user) => {
+  const ban = group.getActiveBan(user._id);
+  if (ban) {
+    return { message: 'You are banned from this group', code: 'GROUP_BANNED', extra: { bannedUntil: ban.expiresAt } };
+  }
+
+  const role = getEffectiveGroupRole(group, user);
+  if (!role) {
+    return { message: 'You must be a member of this group', code: 'NOT_GROUP_MEMBER' };
+  }
+  if (!group.roleHasPermission(role, 'post')) {
+    return { message: 'You do not have permission to do this in this group', code: 'GROUP_PERMISSION_DENIED' };
+  }
+
+  const mute = group.getActiveMute(user._id);
+  if (mute) {
+    return { message: 'You are muted in this group', code: 'GROUP_MUTED', extra: { mutedUntil: mute.expiresAt } };
+  }
+  return null;
+};
+
+// Load the group named by :groupId or :id, check the caller with `check`,
+// and expose the group as req.group and the caller's role as req.groupRole
+const groupGuard = (check) => [
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const groupId = req.params.groupId || req.params.id;
+      if (!mongoose.Types.ObjectId.isValid(groupId)) {
+        return res.status(404).json({ message: 'Group not found', code: 'GROUP_NOT_FOUND' });
+      }
+
+      const group = await Group.findById(groupId);
+      if (!group || group.isDeleted) {
+        return res.status(404).json({ message: 'Group not found', code: 'GROUP_NOT_FOUND' });
+      }
+
+      const role = getEffectiveGroupRole(group, req.user);
+      if (!role) {
+        return sendForbidden(res, 'You must be a member of this group', 'NOT_GROUP_MEMBER');
+      }
+
+      const denial = check(group, role);
+      if (denial) {
+        return sendForbidden(res, denial.message, denial.code);
+      }
+
+      req.group = group;
+      req.groupRole = role;
+      next();
+    } catch (error) {
+      console.error('Group permission check error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+];
+
+// Require at least the given role in the group
+export const requireGroupRole = (minRole) => groupGuard((group, role) => {
+  if (GROUP_ROLES.indexOf(role) < GROUP_ROLES.indexOf(minRole)) {
+    return { message: `Group ${minRole} access required`, code: 'INSUFFICIENT_GROUP_ROLE' };
+  }
+  return null;
+});
+
+// Require a specific permission from the group's permission matrix
+export const requireGroupPermission = (permission) => groupGuard((group, role) => {
+  if (!group.roleHasPermission(role, permission)) {
+    return { message: 'You do not have permission to do this in this group', code: 'GROUP_PERMISSION_DENIED' };
+  }
+  return null;
+});
+
+// Block members serving a mute in req.group (use after a group guard)
+export const rejectMutedMembers = (req, res, next) => {
+  const mute = req.group.getActiveMute(req.user._id);
+  if (mute) {
+    return sendForbidden(res, 'You are muted in this group', 'GROUP_MUTED', { mutedUntil: mute.expiresAt });
+  }
+  next();
+};
+
+export const requireGroupMember = () => requireGroupRole('member');
+export const requireGroupModerator = () => requireGroupRole('moderator');
+export const requireGroupAdmin = () => requireGroupRole('admin');
+export const requireGroupOwner = () => requireGroupRole('owner');
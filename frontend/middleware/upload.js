@@ -46,12 +46,26 @@ const groupAvatarStorage = new CloudinaryStorage({
   }
 });
 
+// Cloudinary storage that also records what Cloudinary made of the file as file.stored,
+// so its kind comes from the stored file rather than the mimetype the client sent
+class DescribedCloudinaryStorage extends CloudinaryStorage {
+  async upload(options, file) {
+    const response = await super.upload(options, file);
+    file.stored = {
+      resourceType: response.resource_type,
+      format: response.format,
+      isAudio: !!response.is_audio
+    };
+    return response;
+  }
+}
+
 // Cloudinary storage for message attachments
-const messageAttachmentStorage = new CloudinaryStorage({
+const messageAttachmentStorage = new DescribedCloudinaryStorage({
   cloudinary: cloudinary,
   params: {
     folder: 'mini-office/messages',
-    allowed_formats: ['jpg', 'png', 'jpeg', 'webp', 'gif', 'pdf', 'doc', 'docx'],
+    allowed_formats: ['jpg', 'png', 'jpeg', 'webp', 'gif', 'pdf', 'doc', 'docx', 'webm', 'ogg', 'm4a'],
     resource_type: 'auto'
   }
 });
@@ -70,9 +84,9 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
-// Document filter function
+// Document filter function; also lets through voice notes (webm, ogg, m4a)
 const documentFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png|gif|webp|pdf|doc|docx|txt/;
+  const allowedTypes = /jpeg|jpg|png|gif|webp|pdf|doc|docx|txt|webm|ogg|m4a/;
   const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
   
   if (extname) {
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  // Only the hash is stored; the raw token is sent to the user once
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+authTokenSchema.index({ user: 1, purpose: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a token, replacing any outstanding one for the same purpose
+authTokenSchema.statics.issue = async function(userId, purpose, ttlMs) {
+  await this.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Static method to redeem a token once; returns the token document or null
+authTokenSchema.statics.consume = async function(token, purpose) {
+  const authToken = await this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!authToken) {
+    return null;
+  }
+
+  // Tokens issued before the last password change are no longer valid
+  const user = await this.model('User').findById(authToken.user).select('passwordChangedAt');
+  if (!user || (user.passwordChangedAt && user.passwordChangedAt > authToken.createdAt)) {
+    return null;
+  }
+
+  return authToken;
+};
+
+// Static method to drop all unused tokens of a user
+authTokenSchema.statics.invalidateForUser = async function(userId, purpose) {
+  const query = { user: userId, usedAt: null };
+  if (purpose) {
+    query.purpose = purpose;
+  }
+  await this.deleteMany(query);
+};
+
+export default mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// History of bans and suspensions issued against a user
+const banRecordSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['ban', 'suspension'],
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters'],
+    default: ''
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Null for permanent bans
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  liftedAt: Date,
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  liftReason: String,
+  appeal: {
+    note: {
+      type: String,
+      maxlength: [1000, 'Appeal cannot be more than 1000 characters']
+    },
+    submittedAt: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'rejected']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+banRecordSchema.index({ user: 1, createdAt: -1 });
+banRecordSchema.index({ 'appeal.status': 1 });
+
+// Virtual for active state
+banRecordSchema.virtual('isActive').get(function() {
+  return !this.liftedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Static method to get the active record for a user
+banRecordSchema.statics.getActiveForUser = async function(userId) {
+  return this.findOne({
+    user: userId,
+    liftedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).sort({ createdAt: -1 });
+};
+
+export default mongoose.model('BanRecord', banRecordSchema);
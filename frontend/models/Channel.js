@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { GROUP_ROLES } from './Group.js';
+
+// Named message stream inside a group. The default channel is the group's
+// original chat: its messages are stored with channel = null.
+const channelSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Channel name is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [32, 'Channel name cannot be more than 32 characters'],
+    match: [/^[a-z0-9_-]+$/, 'Channel name can only contain letters, numbers, dashes and underscores']
+  },
+  topic: {
+    type: String,
+    maxlength: [250, 'Topic cannot be more than 250 characters'],
+    default: ''
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  permissions: {
+    // Minimum group role that can see the channel
+    view: {
+      type: String,
+      enum: GROUP_ROLES,
+      default: 'member'
+    },
+    // Minimum group role that can post; null follows the group's post permission
+    post: {
+      type: String,
+      enum: [...GROUP_ROLES, null],
+      default: null
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+channelSchema.index({ group: 1, name: 1 }, { unique: true });
+channelSchema.index({ group: 1, position: 1 });
+
+// Method to check if a group role can see the channel
+channelSchema.methods.canView = function(role) {
+  return !!role && GROUP_ROLES.indexOf(role) >= GROUP_ROLES.indexOf(this.permissions.view);
+};
+
+// Method to check if a group role can post in the channel
+channelSchema.methods.canPost = function(group, role) {
+  if (!this.canView(role)) return false;
+  if (!this.permissions.post) return group.roleHasPermission(role, 'post');
+  return GROUP_ROLES.indexOf(role) >= GROUP_ROLES.indexOf(this.permissions.post);
+};
+
+// Method to get the query for this channel's main history (thread replies excluded)
+channelSchema.methods.messageFilter = function() {
+  return {
+    group: this.group,
+    channel: this.isDefault ? null : this._id,
+    threadRoot: null
+  };
+};
+
+// Method to get the socket room for this channel
+channelSchema.methods.roomName = function() {
+  return this.isDefault ? `group_${this.group}` : `channel_${this._id}`;
+};
+
+// Static method to get (or create) a group's default channel
+channelSchema.statics.ensureDefault = async function(groupId, createdBy = null) {
+  return this.findOneAndUpdate(
+    { group: groupId, isDefault: true },
+    { $setOnInsert: { name: 'general', position: 0, createdBy } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to list the channels a group role can see
+channelSchema.statics.getVisible = async function(groupId, role) {
+  const channels = await this.find({ group: groupId, isArchived: false }).sort({ position: 1, createdAt: 1 });
+  return channels.filter(channel => channel.canView(role));
+};
+
+export default mongoose.model('Channel', channelSchema);
@@ -1,5 +1,81 @@
 import mongoose from 'mongoose';
 
+// Roles inside a group, lowest to highest
+export const GROUP_ROLES = ['member', 'moderator', 'admin', 'owner'];
+
+// Minimum group role needed for each action, unless the owner overrides it
+export const DEFAULT_GROUP_PERMISSIONS = {
+  post: 'member',
+  pin: 'moderator',
+  deleteMessages: 'moderator',
+  muteMembers: 'moderator',
+  invite: 'member',
+  approveJoins: 'moderator',
+  editInfo: 'admin',
+  manageMembers: 'admin',
+  manageChannels: 'admin'
+};
+
+// How long senders can edit a message, in minutes, unless the group sets its own window
+export const DEFAULT_EDIT_WINDOW_MINUTES = 5;
+export const MAX_EDIT_WINDOW_MINUTES = 7 * 24 * 60;
+
+const permissionField = (permission) => ({
+  type: String,
+  enum: GROUP_ROLES,
+  default: DEFAULT_GROUP_PERMISSIONS[permission]
+});
+
+// Restriction placed on a user in a group; no expiry means until lifted
+const restrictionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters'],
+    default: ''
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Group rule cited for the restriction, if any
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+});
+
+const ruleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Rule title is required'],
+    trim: true,
+    maxlength: [100, 'Rule title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Rule description cannot be more than 1000 characters'],
+    default: ''
+  }
+});
+
+const isActiveRestriction = (entry, userId) =>
+  entry.user.toString() === userId.toString() && (!entry.expiresAt || entry.expiresAt > new Date());
+
 const groupSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -40,8 +116,17 @@ const groupSchema = new mongoose.Schema({
       type: String,
       enum: ['member', 'moderator'],
       default: 'member'
+    },
+    // Rules version the member last accepted
+    rulesAcceptedVersion: {
+      type: Number,
+      default: null
     }
   }],
+  // Users barred from rejoining
+  bans: [restrictionSchema],
+  // Members who may not post or send messages for a while
+  mutes: [restrictionSchema],
   category: {
     type: String,
     enum: ['general', 'technology', 'business', 'creative', 'social', 'gaming'],
@@ -59,10 +144,13 @@ const groupSchema = new mongoose.Schema({
     type: Number,
     default: 1000
   },
-  rules: [{
-    title: String,
-    description: String
-  }],
+  rules: [ruleSchema],
+  // Bumped on every rules change so members can be asked to accept again
+  rulesVersion: {
+    type: Number,
+    default: 0
+  },
+  rulesUpdatedAt: Date,
   stats: {
     totalPosts: {
       type: Number,
@@ -78,10 +166,6 @@ const groupSchema = new mongoose.Schema({
     }
   },
   settings: {
-    allowMemberPosts: {
-      type: Boolean,
-      default: true
-    },
     requireApproval: {
       type: Boolean,
       default: false
@@ -89,11 +173,48 @@ const groupSchema = new mongoose.Schema({
     allowInvites: {
       type: Boolean,
       default: true
-    }
+    },
+    requireRulesAcceptance: {
+      type: Boolean,
+      default: false
+    },
+    // Minutes after sending that a message can still be edited; 0 disables editing, null means no limit
+    messageEditWindow: {
+      type: Number,
+      min: 0,
+      max: MAX_EDIT_WINDOW_MINUTES,
+      default: DEFAULT_EDIT_WINDOW_MINUTES
+    },
+    permissions: Object.fromEntries(
+      Object.keys(DEFAULT_GROUP_PERMISSIONS).map(permission => [permission, permissionField(permission)])
+    )
+  },
+  // Ownership hand-over awaiting acceptance by the new owner
+  pendingTransfer: {
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    expiresAt: Date
   },
   isDeleted: {
     type: Boolean,
     default: false
+  },
+  // Scheduled deletion; the group can be restored until purgeAt
+  deletion: {
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    purgeAt: Date,
+    purgedAt: Date
   }
 }, {
   timestamps: true
@@ -104,7 +225,9 @@ groupSchema.index({ name: 1 });
 groupSchema.index({ category: 1 });
 groupSchema.index({ tags: 1 });
 groupSchema.index({ 'members.user': 1 });
+groupSchema.index({ 'bans.user': 1 });
 groupSchema.index({ name: 'text', description: 'text' });
+groupSchema.index({ 'deletion.purgeAt': 1 });
 
 // Virtual for member count
 groupSchema.virtual('memberCount').get(function() {
@@ -112,10 +235,10 @@ groupSchema.virtual('memberCount').get(function() {
 });
 
 // Method to add member
-groupSchema.methods.addMember = async function(userId, role = 'member') {
+groupSchema.methods.addMember = async function(userId, role = 'member', rulesAcceptedVersion = null) {
   const existingMember = this.members.find(m => m.user.toString() === userId.toString());
   if (!existingMember && this.members.length < this.maxMembers) {
-    this.members.push({ user: userId, role });
+    this.members.push({ user: userId, role, rulesAcceptedVersion });
     await this.save();
     
     // Add group to user's joinedGroups
@@ -150,6 +273,145 @@ groupSchema.methods.isAdmin = function(userId) {
          this.admins.some(admin => admin.toString() === userId.toString());
 };
 
+// Method to get a user's role in the group (owner, admin, moderator, member) or null
+groupSchema.methods.getMemberRole = function(userId) {
+  const id = userId.toString();
+  const ownerId = this.owner._id ? this.owner._id.toString() : this.owner.toString();
+
+  if (ownerId === id) return 'owner';
+  if (this.admins.some(admin => (admin._id || admin).toString() === id)) return 'admin';
+
+  const member = this.members.find(m => (m.user._id || m.user).toString() === id);
+  if (!member) return null;
+  return member.role === 'moderator' ? 'moderator' : 'member';
+};
+
+// Method to check if a user has at least the given group role
+groupSchema.methods.hasRole = function(userId, minRole) {
+  const role = this.getMemberRole(userId);
+  return !!role && GROUP_ROLES.indexOf(role) >= GROUP_ROLES.indexOf(minRole);
+};
+
+// Method to get the minimum role required for a permission
+groupSchema.methods.getPermissionRole = function(permission) {
+  return this.settings?.permissions?.[permission] || DEFAULT_GROUP_PERMISSIONS[permission];
+};
+
+// Method to check if a group role is allowed to perform an action
+groupSchema.methods.roleHasPermission = function(role, permission) {
+  if (!role || !(permission in DEFAULT_GROUP_PERMISSIONS)) return false;
+  return GROUP_ROLES.indexOf(role) >= GROUP_ROLES.indexOf(this.getPermissionRole(permission));
+};
+
+// Method to set a member's role (member or moderator)
+groupSchema.methods.setMemberRole = async function(userId, role) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  if (!member) return false;
+  member.role = role;
+  await this.save();
+  return true;
+};
+
+// Method to get ids of everyone holding a permission (explicit group roles only)
+groupSchema.methods.getUsersWithPermission = function(permission) {
+  const ids = [this.owner, ...this.admins, ...this.members.map(m => m.user)];
+  const unique = [...new Map(ids.map(id => [id.toString(), id])).values()];
+  return unique.filter(id => this.roleHasPermission(this.getMemberRole(id), permission));
+};
+
+// Method to hand ownership to another member; the previous owner stays on as admin
+groupSchema.methods.transferOwnership = async function(newOwnerId) {
+  const previousOwner = this.owner;
+
+  this.owner = newOwnerId;
+  this.admins = this.admins.filter(admin => admin.toString() !== newOwnerId.toString());
+  if (!this.admins.some(admin => admin.toString() === previousOwner.toString())) {
+    this.admins.push(previousOwner);
+  }
+  this.pendingTransfer = undefined;
+
+  await this.save();
+  return previousOwner;
+};
+
+// Method to find a rule by id
+groupSchema.methods.getRule = function(ruleId) {
+  return this.rules.find(rule => rule._id.toString() === ruleId.toString()) || null;
+};
+
+// Method to record a rules change
+groupSchema.methods.bumpRulesVersion = function() {
+  this.rulesVersion += 1;
+  this.rulesUpdatedAt = new Date();
+};
+
+// Method to check whether a member has accepted the current rules
+groupSchema.methods.hasAcceptedRules = function(userId) {
+  if (this.rules.length === 0) return true;
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  return !!member && member.rulesAcceptedVersion === this.rulesVersion;
+};
+
+// Method to record that a member accepted the current rules
+groupSchema.methods.acceptRules = async function(userId) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  if (!member) return false;
+  member.rulesAcceptedVersion = this.rulesVersion;
+  await this.save();
+  return true;
+};
+
+// Method to get a user's active ban, if any
+groupSchema.methods.getActiveBan = function(userId) {
+  return this.bans.find(ban => isActiveRestriction(ban, userId)) || null;
+};
+
+// Method to get a member's active mute, if any
+groupSchema.methods.getActiveMute = function(userId) {
+  return this.mutes.find(mute => isActiveRestriction(mute, userId)) || null;
+};
+
+// Method to ban a user, removing them from the group
+groupSchema.methods.banMember = async function(userId, { reason = '', issuedBy, expiresAt = null, rule = null }) {
+  const id = userId.toString();
+
+  this.bans = this.bans.filter(ban => ban.user.toString() !== id);
+  this.bans.push({ user: userId, reason, issuedBy, expiresAt, rule });
+  this.mutes = this.mutes.filter(mute => mute.user.toString() !== id);
+  this.members = this.members.filter(m => m.user.toString() !== id);
+  this.admins = this.admins.filter(admin => admin.toString() !== id);
+  await this.save();
+
+  await this.model('User').findByIdAndUpdate(userId, {
+    $pull: { joinedGroups: this._id }
+  });
+};
+
+// Method to lift a ban
+groupSchema.methods.unbanMember = async function(userId) {
+  const count = this.bans.length;
+  this.bans = this.bans.filter(ban => ban.user.toString() !== userId.toString());
+  if (this.bans.length === count) return false;
+  await this.save();
+  return true;
+};
+
+// Method to mute a member until expiresAt
+groupSchema.methods.muteMember = async function(userId, { reason = '', issuedBy, expiresAt, rule = null }) {
+  this.mutes = this.mutes.filter(mute => mute.user.toString() !== userId.toString());
+  this.mutes.push({ user: userId, reason, issuedBy, expiresAt, rule });
+  await this.save();
+};
+
+// Method to lift a mute
+groupSchema.methods.unmuteMember = async function(userId) {
+  const count = this.mutes.length;
+  this.mutes = this.mutes.filter(mute => mute.user.toString() !== userId.toString());
+  if (this.mutes.length === count) return false;
+  await this.save();
+  return true;
+};
+
 // Method to promote member to admin
 groupSchema.methods.promoteToAdmin = async function(userId) {
   if (this.isMember(userId) && !this.admins.includes(userId)) {
@@ -201,7 +463,8 @@ groupSchema.statics.getPopular = async function(limit = 10) {
     {
       $project: {
         'owner.password': 0,
-        'owner.email': 0
+        'owner.email': 0,
+        'owner.twoFactor': 0
       }
     }
   ]);
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Actions taken against individual members, shown in the moderation log
+export const MODERATION_ACTIONS = [
+  'member_removed',
+  'member_banned',
+  'member_unbanned',
+  'member_muted',
+  'member_unmuted',
+  'message_removed'
+];
+
+// Append-only record of administrative actions taken in a group
+const groupAuditLogSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'ownership_transfer_requested',
+      'ownership_transfer_cancelled',
+      'ownership_transfer_declined',
+      'ownership_transferred',
+      'deletion_scheduled',
+      'deletion_cancelled',
+      'group_purged',
+      'rules_updated',
+      ...MODERATION_ACTIONS
+    ],
+    required: true
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+groupAuditLogSchema.index({ group: 1, createdAt: -1 });
+groupAuditLogSchema.index({ group: 1, action: 1 });
+
+// Static method to record an entry
+groupAuditLogSchema.statics.record = async function(groupId, actorId, action, { targetUser = null, details = {} } = {}) {
+  return this.create({
+    group: groupId,
+    actor: actorId,
+    action,
+    targetUser,
+    details
+  });
+};
+
+export default mongoose.model('GroupAuditLog', groupAuditLogSchema);
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Direct user-to-user invites and shareable invite links
+const groupInviteSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['direct', 'link'],
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Direct invites only
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  // Link invites only
+  code: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  maxUses: {
+    type: Number,
+    default: null
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+groupInviteSchema.index({ group: 1, kind: 1, status: 1 });
+groupInviteSchema.index({ invitee: 1, status: 1 });
+
+// Virtual for usable state
+groupInviteSchema.virtual('isUsable').get(function() {
+  if (this.status !== 'pending') return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  if (this.kind === 'link' && this.maxUses && this.uses >= this.maxUses) return false;
+  return true;
+});
+
+// Method to revoke the invite
+groupInviteSchema.methods.revoke = async function(userId) {
+  this.status = 'revoked';
+  this.revokedBy = userId;
+  this.revokedAt = new Date();
+  await this.save();
+};
+
+// Static method to create a shareable link
+groupInviteSchema.statics.createLink = async function(groupId, userId, { expiresAt = null, maxUses = null } = {}) {
+  return this.create({
+    group: groupId,
+    kind: 'link',
+    invitedBy: userId,
+    code: crypto.randomBytes(6).toString('base64url'),
+    expiresAt,
+    maxUses
+  });
+};
+
+// Static method to count a link use atomically, respecting maxUses
+groupInviteSchema.statics.claimLinkUse = async function(inviteId) {
+  return this.findOneAndUpdate(
+    {
+      _id: inviteId,
+      status: 'pending',
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+      ]
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to give back a use claimed for a join that did not go through
+groupInviteSchema.statics.releaseLinkUse = async function(inviteId) {
+  await this.updateOne({ _id: inviteId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+};
+
+export default mongoose.model('GroupInvite', groupInviteSchema);
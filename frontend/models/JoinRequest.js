@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const joinRequestSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot be more than 500 characters'],
+    default: ''
+  },
+  // Rules version accepted when asking to join
+  rulesAcceptedVersion: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+joinRequestSchema.index({ group: 1, status: 1, createdAt: -1 });
+joinRequestSchema.index({ user: 1, status: 1 });
+// Only one pending request per user and group
+joinRequestSchema.index(
+  { group: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Method to close the request
+joinRequestSchema.methods.review = async function(status, reviewerId, note) {
+  this.status = status;
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  if (note) this.reviewNote = note;
+  await this.save();
+};
+
+export default mongoose.model('JoinRequest', joinRequestSchema);
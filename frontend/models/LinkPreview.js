@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Cached unfurl result for a URL; failures are cached too so bad links are not refetched constantly
+const linkPreviewSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['ok', 'failed'],
+    required: true
+  },
+  title: String,
+  description: String,
+  image: String,
+  siteName: String,
+  error: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+linkPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to get the fields stored on messages and posts
+linkPreviewSchema.methods.toPreview = function() {
+  return {
+    url: this.url,
+    title: this.title,
+    description: this.description,
+    image: this.image,
+    siteName: this.siteName
+  };
+};
+
+export default mongoose.model('LinkPreview', linkPreviewSchema);
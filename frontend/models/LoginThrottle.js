@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Failed login counters, one document per account (email) or per IP address
+const loginThrottleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  lastIp: String,
+  // Earliest time the next attempt is accepted (progressive delay)
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  // Documents are dropped once nothing has happened for a while
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+loginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ lockedUntil: 1 });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for lock state
+loginThrottleSchema.virtual('isLocked').get(function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+});
+
+// Method to clear counters and any lock
+loginThrottleSchema.methods.reset = async function() {
+  this.failures = 0;
+  this.nextAttemptAt = undefined;
+  this.lockedUntil = undefined;
+  await this.save();
+};
+
+export default mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -1,5 +1,30 @@
 import mongoose from 'mongoose';
 
+// Most versions kept per message, the original included
+export const MAX_MESSAGE_REVISIONS = 100;
+
+// Types clients may send; system messages (pin notices and the like) come from the server only
+export const CLIENT_MESSAGE_TYPES = ['text', 'image', 'file', 'audio'];
+
+// Most pinned messages per direct conversation or group channel
+export const MAX_PINNED_MESSAGES = parseInt(process.env.MAX_PINNED_MESSAGES) || 50;
+
+// One version of a message's content
+const revisionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
   sender: {
     type: mongoose.Schema.Types.ObjectId,
@@ -13,7 +38,7 @@ const messageSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'image', 'file', 'system'],
+    enum: ['text', 'image', 'file', 'audio', 'system', 'poll'],
     default: 'text'
   },
   attachments: [{
@@ -24,13 +49,30 @@ const messageSchema = new mongoose.Schema({
     url: String,
     filename: String,
     size: Number,
-    publicId: String // For Cloudinary
+    publicId: String, // For Cloudinary
+    // Audio only: length in seconds and peaks (0-1) to draw the waveform
+    duration: Number,
+    waveform: {
+      type: [Number],
+      default: undefined
+    }
   }],
+  // Set on poll messages
+  poll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll'
+  },
   group: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Group',
     default: null
   },
+  // Null for the group's default channel
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    default: null
+  },
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -40,11 +82,34 @@ const messageSchema = new mongoose.Schema({
     type: String, // Generated conversation ID for direct messages
     default: null
   },
+  // Idempotency key generated by the sending client, so a retried send is stored once
+  clientId: {
+    type: String,
+    maxlength: 64
+  },
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message',
     default: null
   },
+  // Set on thread replies; they stay out of the main history
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Summary kept on thread roots
+  thread: {
+    replyCount: {
+      type: Number,
+      default: 0
+    },
+    lastReplyAt: Date,
+    followers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
   reactions: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -56,6 +121,17 @@ const messageSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Recipients whose client confirmed receipt; readBy implies delivered
+  deliveredTo: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deliveredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   readBy: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -72,7 +148,36 @@ const messageSchema = new mongoose.Schema({
       default: false
     },
     editedAt: Date,
-    originalContent: String
+    originalContent: String,
+    version: {
+      type: Number,
+      default: 1
+    }
+  },
+  // Every version of the content, the current one last; only loaded when asked for
+  revisions: {
+    type: [revisionSchema],
+    select: false
+  },
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  pinnedAt: Date,
+  // What a system message reports, e.g. which message was pinned
+  systemEvent: {
+    action: {
+      type: String,
+      enum: ['message_pinned']
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    }
   },
   isDeleted: {
     type: Boolean,
@@ -84,6 +189,12 @@ const messageSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     }],
+    // @here or @channel, when used by a group admin
+    broadcastMention: {
+      type: String,
+      enum: ['here', 'channel', null],
+      default: null
+    },
     links: [{
       url: String,
       title: String,
@@ -98,9 +209,14 @@ const messageSchema = new mongoose.Schema({
 // Indexes for performance
 messageSchema.index({ sender: 1, createdAt: -1 });
 messageSchema.index({ group: 1, createdAt: -1 });
+messageSchema.index({ channel: 1, createdAt: -1 });
+messageSchema.index({ threadRoot: 1, createdAt: 1 });
 messageSchema.index({ conversation: 1, createdAt: -1 });
 messageSchema.index({ recipient: 1, createdAt: -1 });
 messageSchema.index({ 'metadata.mentions': 1 });
+messageSchema.index({ group: 1, channel: 1, isPinned: 1, pinnedAt: -1 });
+messageSchema.index({ conversation: 1, isPinned: 1, pinnedAt: -1 });
+messageSchema.index({ sender: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
 
 // Generate conversation ID for direct messages
 messageSchema.pre('save', function(next) {
@@ -108,15 +224,7 @@ messageSchema.pre('save', function(next) {
     const ids = [this.sender.toString(), this.recipient.toString()].sort();
     this.conversation = ids.join('_');
   }
-  
-  // Extract mentions from content
-  if (this.isModified('content')) {
-    const mentionRegex = /@([a-zA-Z0-9_]+)/g;
-    const mentions = this.content.match(mentionRegex) || [];
-    // Note: In a real app, you'd need to resolve usernames to user IDs
-    this.metadata.mentions = [];
-  }
-  
+
   next();
 });
 
@@ -142,55 +250,348 @@ messageSchema.methods.removeReaction = async function(userId, emoji) {
   await this.save();
 };
 
-// Method to mark as read
+// Method to mark as read; resolves to whether anything changed
 messageSchema.methods.markAsRead = async function(userId) {
   const alreadyRead = this.readBy.some(r => r.user.toString() === userId.toString());
-  if (!alreadyRead) {
-    this.readBy.push({ user: userId });
+  if (alreadyRead) return false;
+
+  this.readBy.push({ user: userId });
+  if (!this.deliveredTo.some(d => d.user.toString() === userId.toString())) {
+    this.deliveredTo.push({ user: userId });
+  }
+  await this.save();
+  return true;
+};
+
+// Id of a user reference, populated or not
+const userIdOf = (user) => (user._id || user).toString();
+
+// Method to get a recipient's state: sent, delivered or read
+messageSchema.methods.getDeliveryStatus = function(userId) {
+  if (this.readBy.some(r => r.user && userIdOf(r.user) === userId.toString())) return 'read';
+  if (this.deliveredTo.some(d => d.user && userIdOf(d.user) === userId.toString())) return 'delivered';
+  return 'sent';
+};
+
+// Method to get the state of every recipient known to have the message (plus the recipient of a direct message)
+messageSchema.methods.getReceipts = function() {
+  const receipts = new Map();
+
+  this.deliveredTo.filter(d => d.user).forEach(d => {
+    receipts.set(userIdOf(d.user), { user: d.user, status: 'delivered', deliveredAt: d.deliveredAt });
+  });
+  this.readBy.filter(r => r.user).forEach(r => {
+    const delivered = receipts.get(userIdOf(r.user));
+    receipts.set(userIdOf(r.user), {
+      user: r.user,
+      status: 'read',
+      deliveredAt: delivered ? delivered.deliveredAt : r.readAt,
+      readAt: r.readAt
+    });
+  });
+  if (this.recipient && !receipts.has(userIdOf(this.recipient))) {
+    receipts.set(userIdOf(this.recipient), { user: this.recipient, status: 'sent' });
+  }
+
+  const senderId = userIdOf(this.sender);
+  return [...receipts.values()].filter(receipt => userIdOf(receipt.user) !== senderId);
+};
+
+// Method to save a new message unless its sender already stored one with the same clientId.
+// Resolves to { message, duplicate }; on a duplicate `message` is the original.
+messageSchema.methods.saveOnce = async function() {
+  const findOriginal = () => this.clientId
+    ? this.constructor.findOne({ sender: this.sender, clientId: this.clientId })
+    : null;
+
+  const original = await findOriginal();
+  if (original) {
+    return { message: original, duplicate: true };
+  }
+
+  try {
     await this.save();
+    return { message: this, duplicate: false };
+  } catch (error) {
+    // A concurrent retry was stored first
+    if (error.code === 11000 && this.clientId) {
+      const raced = await findOriginal();
+      if (raced) return { message: raced, duplicate: true };
+    }
+    throw error;
   }
 };
 
-// Method to edit message
+// Static method to record that messages matching `filter` reached a user.
+// Returns the newly delivered messages so their senders can be told.
+messageSchema.statics.markDelivered = async function(userId, filter, deliveredAt = new Date()) {
+  const messages = await this.find({
+    $and: [filter, { sender: { $ne: userId }, 'deliveredTo.user': { $ne: userId } }]
+  }).select('sender group channel conversation');
+
+  if (messages.length === 0) return [];
+
+  await this.updateMany(
+    { _id: { $in: messages.map(m => m._id) }, 'deliveredTo.user': { $ne: userId } },
+    { $push: { deliveredTo: { user: userId, deliveredAt } } }
+  );
+
+  return messages;
+};
+
+// Static method to record that a user read the messages matching `filter`.
+// Returns the newly read messages so their senders can be told.
+messageSchema.statics.markRead = async function(userId, filter, readAt = new Date()) {
+  const messages = await this.find({
+    $and: [filter, { sender: { $ne: userId }, 'readBy.user': { $ne: userId } }]
+  }).select('sender group channel conversation');
+
+  if (messages.length === 0) return [];
+
+  await this.updateMany(
+    { _id: { $in: messages.map(m => m._id) }, 'readBy.user': { $ne: userId } },
+    { $push: { readBy: { user: userId, readAt } } }
+  );
+
+  return messages;
+};
+
+// Method to edit message; load the message with '+revisions' so the history is kept
 messageSchema.methods.editContent = async function(newContent) {
   if (!this.edited.isEdited) {
     this.edited.originalContent = this.content;
   }
+
+  const editedAt = new Date();
+  if (this.revisions.length === 0) {
+    this.revisions = this.getRevisions();
+  }
+  this.revisions.push({ version: this.revisions.length + 1, content: newContent, createdAt: editedAt });
+
   this.content = newContent;
   this.edited.isEdited = true;
-  this.edited.editedAt = new Date();
+  this.edited.editedAt = editedAt;
+  this.edited.version = this.revisions.length;
+  await this.save();
+};
+
+// Method to get the query for the pinned messages of this message's conversation or channel
+messageSchema.methods.pinFilter = function() {
+  const scope = this.group
+    ? { group: this.group, channel: this.channel }
+    : { conversation: this.conversation };
+  return { ...scope, isPinned: true, isDeleted: false };
+};
+
+// Method to pin the message
+messageSchema.methods.pin = async function(userId) {
+  this.isPinned = true;
+  this.pinnedBy = userId;
+  this.pinnedAt = new Date();
   await this.save();
 };
 
+// Method to unpin the message
+messageSchema.methods.unpin = async function() {
+  this.isPinned = false;
+  this.pinnedBy = undefined;
+  this.pinnedAt = undefined;
+  await this.save();
+};
+
+// Method to get the time after which the message can no longer be edited,
+// for a window in minutes; null when there is no limit
+messageSchema.methods.getEditDeadline = function(windowMinutes) {
+  if (windowMinutes === null || windowMinutes === undefined) return null;
+  return new Date(this.createdAt.getTime() + windowMinutes * 60 * 1000);
+};
+
+// Method to list every version of the content, oldest first (needs '+revisions')
+messageSchema.methods.getRevisions = function() {
+  if (this.revisions.length > 0) {
+    return this.revisions.map(revision => revision.toObject());
+  }
+
+  // Edited before revisions were recorded: only the original and current versions are known
+  if (this.edited.isEdited && this.edited.originalContent !== undefined) {
+    return [
+      { version: 1, content: this.edited.originalContent, createdAt: this.createdAt },
+      { version: 2, content: this.content, createdAt: this.edited.editedAt }
+    ];
+  }
+
+  return [{ version: 1, content: this.content, createdAt: this.createdAt }];
+};
+
+const MAX_PAGE_SIZE = 100;
+
+// Turn a cursor (message id or timestamp) into a position in history
+const resolveCursor = async (Model, cursor) => {
+  if (!cursor) return null;
+
+  if (mongoose.Types.ObjectId.isValid(cursor) && String(cursor).length === 24) {
+    const message = await Model.findById(cursor).select('createdAt');
+    return message ? { createdAt: message.createdAt, _id: message._id } : undefined;
+  }
+
+  const createdAt = new Date(cursor);
+  return isNaN(createdAt) ? undefined : { createdAt, _id: null };
+};
+
+// Query condition for messages strictly before/after a position; ties on createdAt are broken by _id
+const cursorCondition = (position, direction) => {
+  const op = direction === 'before' ? '$lt' : '$gt';
+  if (!position._id) {
+    return { createdAt: { [op]: position.createdAt } };
+  }
+  return {
+    $or: [
+      { createdAt: { [op]: position.createdAt } },
+      { createdAt: position.createdAt, _id: { [op]: position._id } }
+    ]
+  };
+};
+
+// Static method to page through messages matching `filter` with stable cursors.
+// Pass `before` or `after` (message id or timestamp), or `around` (message id) to get a
+// window centred on that message. Messages come back oldest first.
+messageSchema.statics.paginate = async function(filter, { before, after, around, limit = 50, populate } = {}) {
+  limit = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+  populate = populate || [
+    { path: 'sender', select: 'name avatar' },
+    { path: 'replyTo', select: 'content sender' },
+    { path: 'poll' }
+  ];
+
+  const conditionsFor = (position, direction, inclusive) => {
+    const conditions = [filter];
+    if (position) {
+      const condition = cursorCondition(position, direction);
+      const at = position._id ? { _id: position._id } : { createdAt: position.createdAt };
+      conditions.push(inclusive ? { $or: [condition, at] } : condition);
+    }
+    return conditions;
+  };
+
+  const fetch = async (position, direction, count, inclusive = false) => {
+    const messages = await this.find({ $and: conditionsFor(position, direction, inclusive) })
+      .populate(populate)
+      .sort(direction === 'before' ? { createdAt: -1, _id: -1 } : { createdAt: 1, _id: 1 })
+      .limit(count + 1);
+
+    const hasMore = messages.length > count;
+    const page = messages.slice(0, count);
+    return { messages: direction === 'before' ? page.reverse() : page, hasMore };
+  };
+
+  // One-row probe for messages beyond the page's edge in `direction`. With an empty
+  // page the edge is the cursor itself, which counts when it is a message.
+  const hasMoreBeyond = async (edge, position, direction) => {
+    const conditions = edge
+      ? conditionsFor({ createdAt: edge.createdAt, _id: edge._id }, direction, false)
+      : conditionsFor(position, direction, true);
+    return !!await this.exists({ $and: conditions });
+  };
+
+  let result;
+  if (around) {
+    const target = await this.findOne({ $and: [filter, { _id: around }] }).select('createdAt');
+    if (!target) return null;
+
+    const position = { createdAt: target.createdAt, _id: target._id };
+    const older = await fetch(position, 'before', Math.ceil(limit / 2), true);
+    const newer = await fetch(position, 'after', Math.floor(limit / 2));
+    result = {
+      messages: [...older.messages, ...newer.messages],
+      hasMoreBefore: older.hasMore,
+      hasMoreAfter: newer.hasMore
+    };
+  } else if (after) {
+    const position = await resolveCursor(this, after);
+    if (position === undefined) return null;
+
+    const newer = await fetch(position, 'after', limit);
+    result = {
+      messages: newer.messages,
+      hasMoreBefore: await hasMoreBeyond(newer.messages[0], position, 'before'),
+      hasMoreAfter: newer.hasMore
+    };
+  } else {
+    const position = await resolveCursor(this, before);
+    if (position === undefined) return null;
+
+    const older = await fetch(position, 'before', limit);
+    result = {
+      messages: older.messages,
+      hasMoreBefore: older.hasMore,
+      // Without a cursor this is the latest page
+      hasMoreAfter: before ? await hasMoreBeyond(older.messages[older.messages.length - 1], position, 'after') : false
+    };
+  }
+
+  const first = result.messages[0];
+  const last = result.messages[result.messages.length - 1];
+  return {
+    ...result,
+    cursors: {
+      before: first ? first._id : null,
+      after: last ? last._id : null
+    }
+  };
+};
+
 // Static method to get conversation messages
-messageSchema.statics.getConversation = async function(userId1, userId2, page = 1, limit = 50) {
+messageSchema.statics.getConversation = async function(userId1, userId2, options = {}) {
   const ids = [userId1.toString(), userId2.toString()].sort();
   const conversationId = ids.join('_');
-  
-  return this.find({
+
+  return this.paginate({
     conversation: conversationId,
+    threadRoot: null,
     isDeleted: false
-  })
-  .populate('sender', 'name avatar')
-  .populate('replyTo', 'content sender')
-  .sort({ createdAt: -1 })
-  .limit(limit * page)
-  .skip((page - 1) * limit);
+  }, options);
 };
 
 // Static method to get group messages
-messageSchema.statics.getGroupMessages = async function(groupId, page = 1, limit = 50) {
-  return this.find({
+messageSchema.statics.getGroupMessages = async function(groupId, options = {}, channelId = null) {
+  return this.paginate({
     group: groupId,
+    channel: channelId,
+    threadRoot: null,
+    isDeleted: false
+  }, options);
+};
+
+// Method to check if a user follows this thread
+messageSchema.methods.isFollowedBy = function(userId) {
+  return this.thread.followers.some(id => id.toString() === userId.toString());
+};
+
+// Static method to get thread replies, oldest first
+messageSchema.statics.getThreadReplies = async function(rootId, page = 1, limit = 50) {
+  return this.find({
+    threadRoot: rootId,
     isDeleted: false
   })
   .populate('sender', 'name avatar')
-  .populate('replyTo', 'content sender')
-  .sort({ createdAt: -1 })
-  .limit(limit * page)
+  .sort({ createdAt: 1 })
+  .limit(limit)
   .skip((page - 1) * limit);
 };
 
+// Static method to bump a thread root after a new reply; the replier and the root author follow it
+messageSchema.statics.recordThreadReply = async function(root, reply) {
+  return this.findByIdAndUpdate(
+    root._id,
+    {
+      $inc: { 'thread.replyCount': 1 },
+      $set: { 'thread.lastReplyAt': reply.createdAt },
+      $addToSet: { 'thread.followers': { $each: [root.sender, reply.sender._id || reply.sender] } }
+    },
+    { new: true }
+  );
+};
+
 // Static method to get user conversations
 messageSchema.statics.getUserConversations = async function(userId) {
   return this.aggregate([
@@ -248,7 +649,9 @@ messageSchema.statics.getUserConversations = async function(userId) {
     {
       $project: {
         'lastMessage.sender.password': 0,
-        'lastMessage.recipient.password': 0
+        'lastMessage.recipient.password': 0,
+        'lastMessage.sender.twoFactor': 0,
+        'lastMessage.recipient.twoFactor': 0
       }
     },
     {
@@ -0,0 +1,197 @@
+import mongoose from 'mongoose';
+
+export const MAX_POLL_OPTIONS = 10;
+
+// A poll attached to a group message or a post. Tallies are kept on the options so messages
+// and posts can show them without loading the votes, which stay hidden unless selected.
+const pollSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: [true, 'Poll question is required'],
+    trim: true,
+    maxlength: [300, 'Question cannot be more than 300 characters']
+  },
+  options: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'Option cannot be more than 100 characters']
+    },
+    voteCount: {
+      type: Number,
+      default: 0
+    }
+  }],
+  allowMultiple: {
+    type: Boolean,
+    default: false
+  },
+  // Anonymous polls never reveal who voted for what
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  closesAt: {
+    type: Date,
+    default: null
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  votes: {
+    type: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      options: [Number],
+      votedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  voterCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  // Concurrent votes are retried instead of overwriting each other's tallies
+  optimisticConcurrency: true
+});
+
+// Indexes for performance
+pollSchema.index({ message: 1 });
+pollSchema.index({ post: 1 });
+pollSchema.index({ closedAt: 1, closesAt: 1 });
+
+pollSchema.path('options').validate(function(options) {
+  return options.length >= 2 && options.length <= MAX_POLL_OPTIONS;
+}, `A poll needs 2-${MAX_POLL_OPTIONS} options`);
+
+// Method to check if voting has ended
+pollSchema.methods.isClosed = function() {
+  return !!this.closedAt || (!!this.closesAt && this.closesAt <= new Date());
+};
+
+// Method to close the poll early
+pollSchema.methods.close = async function(userId) {
+  this.closedAt = new Date();
+  this.closedBy = userId;
+  await this.save();
+};
+
+// Method to get the tallies. When the votes are loaded, also the viewer's own choices and,
+// unless the poll is anonymous, who voted for each option.
+pollSchema.methods.getResults = function(viewerId = null) {
+  const votesLoaded = this.isSelected('votes') && Array.isArray(this.votes);
+  const totalVotes = this.options.reduce((sum, option) => sum + option.voteCount, 0);
+
+  const results = {
+    pollId: this._id,
+    question: this.question,
+    allowMultiple: this.allowMultiple,
+    isAnonymous: this.isAnonymous,
+    closesAt: this.closesAt,
+    closedAt: this.closedAt,
+    isClosed: this.isClosed(),
+    voterCount: this.voterCount,
+    totalVotes,
+    options: this.options.map((option, index) => ({
+      index,
+      text: option.text,
+      voteCount: option.voteCount,
+      percentage: this.voterCount ? Math.round(option.voteCount / this.voterCount * 100) : 0
+    }))
+  };
+
+  if (votesLoaded) {
+    if (viewerId) {
+      const own = this.votes.find(vote => (vote.user._id || vote.user).toString() === viewerId.toString());
+      results.myVotes = own ? own.options : [];
+    }
+
+    if (!this.isAnonymous) {
+      results.options.forEach(option => {
+        option.voters = this.votes.filter(vote => vote.options.includes(option.index)).map(vote => vote.user);
+      });
+    }
+  }
+
+  return results;
+};
+
+// Static method to set a user's vote, or retract it when `optionIndexes` is null.
+// Resolves to { poll } or { error } for votes that aren't allowed.
+pollSchema.statics.recordVote = async function(pollId, userId, optionIndexes) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const poll = await this.findById(pollId).select('+votes');
+    if (!poll) return { error: 'Poll not found' };
+    if (poll.isClosed()) return { error: 'This poll is closed' };
+
+    if (optionIndexes) {
+      const valid = optionIndexes.every(index => Number.isInteger(index) && index >= 0 && index < poll.options.length);
+      if (!valid || new Set(optionIndexes).size !== optionIndexes.length) {
+        return { error: 'Invalid poll option' };
+      }
+      if (!poll.allowMultiple && optionIndexes.length !== 1) {
+        return { error: 'This poll allows only one choice' };
+      }
+    }
+
+    const existing = poll.votes.find(vote => vote.user.toString() === userId.toString());
+    if (!existing && !optionIndexes) {
+      return { error: 'You have not voted in this poll' };
+    }
+
+    if (existing) {
+      existing.options.forEach(index => {
+        poll.options[index].voteCount = Math.max(0, poll.options[index].voteCount - 1);
+      });
+      poll.votes.pull(existing._id);
+    }
+
+    if (optionIndexes) {
+      poll.votes.push({ user: userId, options: optionIndexes });
+      optionIndexes.forEach(index => {
+        poll.options[index].voteCount += 1;
+      });
+    }
+    poll.voterCount = poll.votes.length;
+
+    try {
+      await poll.save();
+      return { poll };
+    } catch (error) {
+      if (error.name !== 'VersionError') throw error;
+    }
+  }
+
+  throw new Error('Poll is too busy, please try again');
+};
+
+export default mongoose.model('Poll', pollSchema);
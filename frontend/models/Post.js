@@ -11,6 +11,10 @@ const commentSchema = new mongoose.Schema({
     required: [true, 'Comment content is required'],
     maxlength: [500, 'Comment cannot be more than 500 characters']
   },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -64,10 +68,23 @@ const postSchema = new mongoose.Schema({
       message: 'Link must be a valid URL'
     }
   },
+  // Filled in the background from `link`, or the first link in the description
+  linkPreview: {
+    url: String,
+    title: String,
+    description: String,
+    image: String,
+    siteName: String
+  },
   hashtags: [{
     type: String,
     lowercase: true
   }],
+  // Users @mentioned in the description
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -78,10 +95,19 @@ const postSchema = new mongoose.Schema({
     ref: 'Group',
     default: null
   },
+  poll: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll'
+  },
   isPinned: {
     type: Boolean,
     default: false
   },
+  // Set when the post was published by the scheduler, so a retried run doesn't publish it twice
+  scheduledItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledItem'
+  },
   views: {
     type: Number,
     default: 0
@@ -100,6 +126,7 @@ postSchema.index({ group: 1, createdAt: -1 });
 postSchema.index({ hashtags: 1 });
 postSchema.index({ title: 'text', description: 'text' });
 postSchema.index({ createdAt: -1 });
+postSchema.index({ scheduledItem: 1 }, { sparse: true });
 
 // Virtual for like count
 postSchema.virtual('likeCount').get(function() {
@@ -143,10 +170,11 @@ postSchema.methods.removeLike = async function(userId) {
 };
 
 // Method to add comment
-postSchema.methods.addComment = async function(userId, content) {
+postSchema.methods.addComment = async function(userId, content, mentions = []) {
   this.comments.push({
     author: userId,
-    content: content
+    content: content,
+    mentions
   });
   await this.save();
   return this.comments[this.comments.length - 1];
@@ -188,7 +216,8 @@ postSchema.statics.getTrending = async function(limit = 10) {
     {
       $project: {
         'author.password': 0,
-        'author.email': 0
+        'author.email': 0,
+        'author.twoFactor': 0
       }
     }
   ]);
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+export const SCHEDULED_KINDS = ['direct_message', 'group_message', 'post'];
+
+// Statuses whose content and send time can still be changed
+export const EDITABLE_STATUSES = ['scheduled', 'failed'];
+
+// A message or post written now and sent later by the scheduler (utils/scheduler.js)
+const scheduledItemSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: SCHEDULED_KINDS,
+    required: true
+  },
+  sendAt: {
+    type: Date,
+    required: [true, 'Send time is required']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'processing', 'sent', 'failed', 'cancelled'],
+    default: 'scheduled'
+  },
+  // What to send; messages use recipient/group/channel/content, posts use title/description/link/images
+  payload: {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group'
+    },
+    channel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Channel'
+    },
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    content: {
+      type: String,
+      maxlength: [2000, 'Message cannot be more than 2000 characters']
+    },
+    type: {
+      type: String,
+      enum: ['text', 'image', 'file']
+    },
+    title: {
+      type: String,
+      maxlength: [100, 'Title cannot be more than 100 characters']
+    },
+    description: {
+      type: String,
+      maxlength: [2000, 'Description cannot be more than 2000 characters']
+    },
+    link: String,
+    images: [{
+      url: String,
+      publicId: String
+    }],
+    // Idempotency key of the request that scheduled the item
+    clientId: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // While processing: when another runner may take the item over (crash recovery and retry delay)
+  lockedUntil: Date,
+  error: String,
+  sentAt: Date,
+  cancelledAt: Date,
+  result: {
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+scheduledItemSchema.index({ status: 1, sendAt: 1 });
+scheduledItemSchema.index({ status: 1, lockedUntil: 1 });
+scheduledItemSchema.index({ author: 1, status: 1, sendAt: 1 });
+scheduledItemSchema.index({ author: 1, 'payload.clientId': 1 }, { unique: true, partialFilterExpression: { 'payload.clientId': { $type: 'string' } } });
+
+// Method to check if the item can still be changed or cancelled
+scheduledItemSchema.methods.isEditable = function() {
+  return EDITABLE_STATUSES.includes(this.status);
+};
+
+// Static method to take the next due item for sending. Items left processing by a crashed
+// or failed run are picked up again once their lock expires.
+scheduledItemSchema.statics.claimDue = async function(lockMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'scheduled', sendAt: { $lte: now } },
+        { status: 'processing', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedUntil: new Date(now.getTime() + lockMs) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { sendAt: 1 }, new: true }
+  );
+};
+
+export default mongoose.model('ScheduledItem', scheduledItemSchema);
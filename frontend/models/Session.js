@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// How long the token a session was just rotated away from still counts as a concurrent
+// refresh (e.g. two tabs) rather than reuse
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashTokenId = (tokenId) => crypto.createHash('sha256').update(tokenId).digest('hex');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the id embedded in the only refresh token currently valid for this session
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The token id replaced by the last rotation, and when that happened
+  previousTokenHash: String,
+  rotatedAt: Date,
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'signed_out_remotely', 'reuse_detected', 'password_changed', 'admin']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active state
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Check a refresh token id against the current one
+sessionSchema.methods.matchesTokenId = function(tokenId) {
+  return this.tokenHash === hashTokenId(tokenId);
+};
+
+// Check whether a token id was replaced by a rotation moments ago
+sessionSchema.methods.wasJustRotatedFrom = function(tokenId) {
+  return !!this.rotatedAt
+    && this.previousTokenHash === hashTokenId(tokenId)
+    && Date.now() - this.rotatedAt.getTime() < ROTATION_GRACE_MS;
+};
+
+// Replace refresh token id `currentTokenId` with a new one. The swap is atomic, so of two
+// concurrent refreshes with the same token only one wins; the other gets null.
+sessionSchema.methods.rotate = async function(currentTokenId, meta = {}) {
+  const tokenId = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const update = {
+    tokenHash: hashTokenId(tokenId),
+    previousTokenHash: hashTokenId(currentTokenId),
+    rotatedAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_TTL_MS)
+  };
+  if (meta.userAgent) update.userAgent = meta.userAgent;
+  if (meta.ip) update.ip = meta.ip;
+
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, tokenHash: hashTokenId(currentTokenId), revokedAt: null },
+    { $set: update, $inc: { rotationCount: 1 } },
+    { new: true }
+  );
+  return rotated ? tokenId : null;
+};
+
+// Method to revoke session
+sessionSchema.methods.revoke = async function(reason = 'logout') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.save();
+  }
+};
+
+// Static method to open a new session for a login
+sessionSchema.statics.start = async function(userId, meta = {}) {
+  const tokenId = crypto.randomBytes(32).toString('hex');
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashTokenId(tokenId),
+    userAgent: meta.userAgent || '',
+    ip: meta.ip || '',
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+  });
+  return { session, tokenId };
+};
+
+// Static method to check whether a session can still be used
+sessionSchema.statics.isActiveSession = async function(sessionId, userId) {
+  const session = await this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).select('_id');
+  return !!session;
+};
+
+// Static method to get a user's active sessions
+sessionSchema.statics.getActiveForUser = async function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+  .select('-tokenHash')
+  .sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'logout', exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await this.find(query).select('_id');
+  await this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+  return sessions.map(s => s._id);
+};
+
+export default mongoose.model('Session', sessionSchema);
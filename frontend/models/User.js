@@ -1,5 +1,18 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { verifyCode, hashRecoveryCode } from '../utils/totp.js';
+
+// Global roles, lowest to highest
+export const USER_ROLES = ['user', 'moderator', 'admin'];
+
+// Handles that collide with special mentions
+export const RESERVED_HANDLES = ['here', 'channel', 'everyone', 'admin'];
+
+// Most recent notifications kept per user
+export const MAX_NOTIFICATIONS = 50;
+
+// Projection that loads the two-factor secrets for verifying codes or enrolling
+export const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -8,6 +21,21 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Name cannot be more than 50 characters']
   },
+  // Unique @handle used for mentions
+  handle: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true,
+    minlength: [3, 'Handle must be at least 3 characters'],
+    maxlength: [30, 'Handle cannot be more than 30 characters'],
+    match: [/^[a-z0-9_]+$/, 'Handle can only contain letters, numbers and underscores'],
+    validate: {
+      validator: handle => !RESERVED_HANDLES.includes(handle),
+      message: 'This handle is reserved'
+    }
+  },
   email: {
     type: String,
     required: [true, 'Email is required'],
@@ -15,11 +43,43 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
   password: {
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  passwordChangedAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Secrets are never loaded unless asked for with TWO_FACTOR_SECRETS
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: Number,
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    enabledAt: Date
+  },
   avatar: {
     type: String,
     default: 'https://res.cloudinary.com/demo/image/upload/w_150,h_150,c_thumb,g_face/avatar-placeholder.png'
@@ -35,7 +95,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: USER_ROLES,
     default: 'user'
   },
   followers: [{
@@ -54,6 +114,18 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post'
   }],
+  isBanned: {
+    type: Boolean,
+    default: false
+  },
+  banReason: String,
+  bannedAt: Date,
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set for timed suspensions; unset for permanent bans
+  banExpiresAt: Date,
   isOnline: {
     type: Boolean,
     default: false
@@ -65,7 +137,7 @@ const userSchema = new mongoose.Schema({
   notifications: [{
     type: {
       type: String,
-      enum: ['like', 'comment', 'follow', 'message', 'group_invite'],
+      enum: ['like', 'comment', 'follow', 'message', 'mention', 'group_invite', 'join_request', 'join_approved', 'join_rejected', 'ownership_transfer'],
       required: true
     },
     from: {
@@ -99,10 +171,21 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ name: 'text', bio: 'text' });
 
+// Give new accounts a handle derived from their name
+userSchema.pre('validate', async function(next) {
+  if (!this.handle) {
+    this.handle = await this.constructor.generateHandle(this.name || 'user');
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 12);
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   next();
 });
 
@@ -113,10 +196,60 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 
 // Get public profile
 userSchema.methods.getPublicProfile = function() {
-  const { password, __v, ...publicProfile } = this.toObject();
+  const { password, __v, twoFactor, ...publicProfile } = this.toObject();
+  publicProfile.twoFactorEnabled = !!twoFactor?.enabled;
   return publicProfile;
 };
 
+// Verify a TOTP code or an unused recovery code, consuming it on success
+userSchema.methods.verifyTwoFactor = async function({ code, recoveryCode }) {
+  if (!this.twoFactor?.enabled) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyCode(this.twoFactor.secret, code);
+    if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+      return false;
+    }
+    this.twoFactor.lastUsedStep = step;
+    await this.save();
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const entry = this.twoFactor.recoveryCodes.find(c => c.hash === hash && !c.usedAt);
+    if (!entry) {
+      return false;
+    }
+    entry.usedAt = new Date();
+    await this.save();
+    return true;
+  }
+
+  return false;
+};
+
+// Check if the user has at least the given global role
+userSchema.methods.hasRole = function(minRole) {
+  return USER_ROLES.indexOf(this.role) >= USER_ROLES.indexOf(minRole);
+};
+
+// Check if a ban or suspension is currently in effect
+userSchema.methods.isCurrentlyBanned = function() {
+  return !!this.isBanned && (!this.banExpiresAt || this.banExpiresAt > new Date());
+};
+
+// Ban details safe to show to the banned user
+userSchema.methods.getBanInfo = function() {
+  return {
+    reason: this.banReason || '',
+    bannedAt: this.bannedAt,
+    expiresAt: this.banExpiresAt || null
+  };
+};
+
 // Follow/Unfollow methods
 userSchema.methods.follow = async function(userId) {
   if (!this.following.includes(userId)) {
@@ -143,10 +276,27 @@ userSchema.methods.unfollow = async function(userId) {
 // Add notification method
 userSchema.methods.addNotification = async function(notification) {
   this.notifications.unshift(notification);
-  if (this.notifications.length > 50) {
-    this.notifications = this.notifications.slice(0, 50);
+  if (this.notifications.length > MAX_NOTIFICATIONS) {
+    this.notifications = this.notifications.slice(0, MAX_NOTIFICATIONS);
   }
   await this.save();
 };
 
+// Static method to find a free handle based on a name
+userSchema.statics.generateHandle = async function(base) {
+  let stem = base.toLowerCase().replace(/[^a-z0-9_]/g, '').slice(0, 24);
+  if (stem.length < 3 || RESERVED_HANDLES.includes(stem)) {
+    stem = `user${stem}`;
+  }
+
+  let candidate = stem;
+  for (let attempt = 0; attempt < 10; attempt++) {
+    if (!await this.exists({ handle: candidate })) {
+      return candidate;
+    }
+    candidate = `${stem}${Math.floor(1000 + Math.random() * 9000)}`;
+  }
+  return `${stem}${Date.now().toString(36)}`;
+};
+
 export default mongoose.model('User', userSchema);
\ No newline at end of file
@@ -1,15 +1,19 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import User from '../models/User.js';
+import User, { USER_ROLES } from '../models/User.js';
 import Post from '../models/Post.js';
 import Group from '../models/Group.js';
 import Message from '../models/Message.js';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import LoginThrottle from '../models/LoginThrottle.js';
+import BanRecord from '../models/BanRecord.js';
+import Session from '../models/Session.js';
+import { authenticateToken, requireAdmin, requireTwoFactorForAdmins } from '../middleware/auth.js';
+import { disconnectUser } from '../utils/socketHandlers.js';
 
 const router = express.Router();
 
-// All admin routes require admin authentication
-router.use(authenticateToken, requireAdmin);
+// All admin routes require admin authentication (with 2FA when the policy is on)
+router.use(authenticateToken, requireAdmin, requireTwoFactorForAdmins);
 
 // Get admin dashboard stats
 router.get('/stats', async (req, res) => {
@@ -93,7 +97,7 @@ router.get('/users', async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const search = req.query.search;
     const role = req.query.role;
-    const status = req.query.status; // online, offline
+    const status = req.query.status; // online, offline, banned
 
     let query = {};
     if (search) {
@@ -109,10 +113,12 @@ router.get('/users', async (req, res) => {
       query.isOnline = true;
     } else if (status === 'offline') {
       query.isOnline = false;
+    } else if (status === 'banned') {
+      query.isBanned = true;
     }
 
     const users = await User.find(query)
-      .select('name email avatar role isOnline lastSeen createdAt followers following joinedGroups')
+      .select('name email avatar role isOnline lastSeen createdAt followers following joinedGroups isBanned banReason banExpiresAt')
       .populate('joinedGroups', 'name')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
@@ -203,7 +209,7 @@ router.get('/users/:id', async (req, res) => {
 
 // Update user role
 router.put('/users/:id/role', [
-  body('role').isIn(['user', 'admin']).withMessage('Invalid role')
+  body('role').isIn(USER_ROLES).withMessage('Invalid role')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -242,10 +248,11 @@ router.put('/users/:id/role', [
   }
 });
 
-// Ban/Unban user (soft delete)
+// Ban/Unban user, or suspend until expiresAt
 router.put('/users/:id/ban', [
   body('banned').isBoolean().withMessage('Banned must be boolean'),
-  body('reason').optional().isLength({ max: 500 }).withMessage('Reason too long')
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason too long'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -257,7 +264,7 @@ router.put('/users/:id/ban', [
     }
 
     const { id } = req.params;
-    const { banned, reason } = req.body;
+    const { banned, reason, expiresAt } = req.body;
 
     // Prevent self-ban
     if (id === req.user._id.toString()) {
@@ -274,17 +281,61 @@ router.put('/users/:id/ban', [
       return res.status(400).json({ message: 'Cannot ban admin users' });
     }
 
-    // For this example, we'll use a simple banned flag
-    // In production, you might want a separate ban collection
+    const expiryDate = banned && expiresAt ? new Date(expiresAt) : null;
+    if (expiryDate && expiryDate <= new Date()) {
+      return res.status(400).json({ message: 'Expiry date must be in the future' });
+    }
+
+    const activeRecord = await BanRecord.getActiveForUser(user._id);
+
+    if (banned) {
+      // Replace any ban already in effect
+      if (activeRecord) {
+        activeRecord.liftedAt = new Date();
+        activeRecord.liftedBy = req.user._id;
+        activeRecord.liftReason = 'Superseded by a new ban';
+        await activeRecord.save();
+      }
+
+      await BanRecord.create({
+        user: user._id,
+        type: expiryDate ? 'suspension' : 'ban',
+        reason,
+        issuedBy: req.user._id,
+        expiresAt: expiryDate
+      });
+    } else if (activeRecord) {
+      activeRecord.liftedAt = new Date();
+      activeRecord.liftedBy = req.user._id;
+      activeRecord.liftReason = reason;
+      await activeRecord.save();
+    }
+
     user.isBanned = banned;
     user.banReason = banned ? reason : undefined;
     user.bannedAt = banned ? new Date() : undefined;
     user.bannedBy = banned ? req.user._id : undefined;
+    user.banExpiresAt = expiryDate || undefined;
+    if (banned) {
+      user.isOnline = false;
+    }
 
     await user.save();
 
+    // Sign the user out everywhere and kick connected sockets
+    if (banned) {
+      await Session.revokeAllForUser(user._id, 'admin');
+
+      const io = req.app.get('io');
+      if (io) {
+        disconnectUser(io, user._id, 'account_banned', user.getBanInfo());
+      }
+    }
+
     res.json({
-      message: banned ? 'User banned successfully' : 'User unbanned successfully',
+      message: banned
+        ? (expiryDate ? 'User suspended successfully' : 'User banned successfully')
+        : 'User unbanned successfully',
       user: user.getPublicProfile()
     });
   } catch (error) {
@@ -293,6 +344,169 @@ router.put('/users/:id/ban', [
   }
 });
 
+// Get ban history for a user
+router.get('/users/:id/bans', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bans = await BanRecord.find({ user: id })
+      .populate('issuedBy', 'name avatar')
+      .populate('liftedBy', 'name avatar')
+      .populate('appeal.reviewedBy', 'name avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      bans: bans.map(ban => ({
+        ...ban.toObject(),
+        isActive: ban.isActive
+      }))
+    });
+  } catch (error) {
+    console.error('Get ban history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get pending ban appeals
+router.get('/appeals', async (req, res) => {
+  try {
+    const appeals = await BanRecord.find({ 'appeal.status': 'pending' })
+      .populate('user', 'name email avatar')
+      .populate('issuedBy', 'name avatar')
+      .sort({ 'appeal.submittedAt': 1 });
+
+    res.json({ appeals });
+  } catch (error) {
+    console.error('Get appeals error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Review a ban appeal; accepting it lifts the ban
+router.put('/bans/:id/appeal', [
+  body('status').isIn(['accepted', 'rejected']).withMessage('Invalid appeal status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { status } = req.body;
+
+    const ban = await BanRecord.findById(id);
+    if (!ban || ban.appeal?.status !== 'pending') {
+      return res.status(404).json({ message: 'Pending appeal not found' });
+    }
+
+    ban.appeal.status = status;
+    ban.appeal.reviewedBy = req.user._id;
+    ban.appeal.reviewedAt = new Date();
+
+    if (status === 'accepted' && ban.isActive) {
+      ban.liftedAt = new Date();
+      ban.liftedBy = req.user._id;
+      ban.liftReason = 'Appeal accepted';
+
+      await User.findByIdAndUpdate(ban.user, {
+        isBanned: false,
+        $unset: { banReason: 1, bannedAt: 1, bannedBy: 1, banExpiresAt: 1 }
+      });
+    }
+
+    await ban.save();
+
+    res.json({
+      message: `Appeal ${status}`,
+      ban
+    });
+  } catch (error) {
+    console.error('Review appeal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get login lockouts and failure counters
+router.get('/lockouts', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const scope = req.query.scope; // account, ip
+    const status = req.query.status; // locked, all
+
+    let query = {};
+    if (scope) {
+      query.scope = scope;
+    }
+    if (status !== 'all') {
+      query.lockedUntil = { $gt: new Date() };
+    }
+
+    const lockouts = await LoginThrottle.find(query)
+      .populate('user', 'name email avatar')
+      .sort({ lockedUntil: -1, lastFailureAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const totalCount = await LoginThrottle.countDocuments(query);
+
+    res.json({
+      lockouts: lockouts.map(lockout => ({
+        ...lockout.toObject(),
+        isLocked: lockout.isLocked
+      })),
+      totalCount,
+      page,
+      totalPages: Math.ceil(totalCount / limit)
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Clear a lockout
+router.delete('/lockouts/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lockout = await LoginThrottle.findById(id);
+    if (!lockout) {
+      return res.status(404).json({ message: 'Lockout not found' });
+    }
+
+    await lockout.reset();
+
+    res.json({ message: 'Lockout cleared successfully' });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Clear a user's account lockout
+router.delete('/users/:id/lockout', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id).select('email');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await LoginThrottle.deleteOne({ scope: 'account', key: user.email });
+
+    res.json({ message: 'Lockout cleared successfully' });
+  } catch (error) {
+    console.error('Clear user lockout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get all posts (admin view)
 router.get('/posts', async (req, res) => {
   try {
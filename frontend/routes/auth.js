@@ -1,13 +1,83 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import User from '../models/User.js';
-import { authenticateToken, generateTokens } from '../middleware/auth.js';
+import jwt from 'jsonwebtoken';
+import User, { RESERVED_HANDLES, TWO_FACTOR_SECRETS } from '../models/User.js';
+import Session from '../models/Session.js';
+import AuthToken from '../models/AuthToken.js';
+import BanRecord from '../models/BanRecord.js';
+import { authenticateToken, generateTokens, adminRequiresTwoFactor } from '../middleware/auth.js';
+import { sendPasswordResetEmail, sendVerificationEmail } from '../utils/emails.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, sendThrottled } from '../utils/loginThrottle.js';
+import { generateSecret, buildOtpauthUri, verifyCode, generateRecoveryCodes, hashRecoveryCode } from '../utils/totp.js';
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = 30;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m';
+
+// Open a new session for this device and issue its first token pair
+const startSession = async (user, req) => {
+  const { session, tokenId } = await Session.start(user._id, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+  return generateTokens(user._id, session._id, tokenId);
+};
+
+// Mark the user online, open a session and send the login response
+const completeLogin = async (user, req, res) => {
+  await recordLoginSuccess({ email: user.email });
+
+  // Update user online status
+  user.isOnline = true;
+  user.lastSeen = new Date();
+  await user.save();
+
+  // Generate tokens
+  const { accessToken, refreshToken } = await startSession(user, req);
+
+  res.json({
+    message: 'Login successful',
+    user: user.getPublicProfile(),
+    accessToken,
+    refreshToken,
+    twoFactorSetupRequired: user.role === 'admin' && adminRequiresTwoFactor() && !user.twoFactor?.enabled
+  });
+};
+
+// Short-lived token proving the password step of a two-factor login succeeded
+const signTwoFactorChallenge = (userId) => {
+  return jwt.sign(
+    { userId, purpose: '2fa_challenge' },
+    process.env.JWT_SECRET + '_2fa',
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+  );
+};
+
+// Issue a fresh set of recovery codes, returning the plain codes once
+const resetRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map(code => ({ hash: hashRecoveryCode(code) }));
+  return codes;
+};
+
+// Disconnect any sockets authenticated with the given sessions
+const disconnectSessions = (req, sessionIds) => {
+  const io = req.app.get('io');
+  if (io) {
+    sessionIds.forEach(sessionId => {
+      io.in(`session_${sessionId}`).disconnectSockets(true);
+    });
+  }
+};
+
 // Register
 router.post('/register', [
   body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
+  body('handle').optional().trim().toLowerCase()
+    .matches(/^[a-z0-9_]{3,30}$/).withMessage('Handle must be 3-30 letters, numbers or underscores')
+    .not().isIn(RESERVED_HANDLES).withMessage('This handle is reserved'),
   body('email').isEmail().normalizeEmail().withMessage('Invalid email address'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
 ], async (req, res) => {
@@ -20,7 +90,7 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password } = req.body;
+    const { name, handle, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -28,12 +98,29 @@ router.post('/register', [
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
-    // Create new user
-    const user = new User({ name, email, password });
+    if (handle && await User.exists({ handle })) {
+      return res.status(400).json({ message: 'This handle is already taken' });
+    }
+
+    // Create new user (a handle is generated when none is given)
+    const user = new User({ name, handle, email, password });
     await user.save();
 
+    // Send verification email; the account can log in but stays restricted until verified.
+    // A failed send doesn't fail the registration: the user can ask for a new email.
+    try {
+      const verificationToken = await AuthToken.issue(
+        user._id,
+        'email_verification',
+        EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+      );
+      await sendVerificationEmail(user, verificationToken);
+    } catch (error) {
+      console.error('Send verification email error:', error);
+    }
+
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    const { accessToken, refreshToken } = await startSession(user, req);
 
     // Return user data without password
     const userData = user.getPublicProfile();
@@ -66,44 +153,114 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Per-account and per-IP brute-force protection
+    const throttle = await checkLoginAllowed({ email, ip: req.ip });
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordLoginFailure({ email, ip: req.ip });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
     // Check password
     const isValidPassword = await user.comparePassword(password);
     if (!isValidPassword) {
+      await recordLoginFailure({ email, ip: req.ip, user });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Update user online status
-    user.isOnline = true;
-    user.lastSeen = new Date();
-    await user.save();
-
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    // Banned or suspended accounts cannot log in
+    if (user.isCurrentlyBanned()) {
+      return res.status(403).json({
+        message: 'Your account has been suspended',
+        code: 'ACCOUNT_BANNED',
+        ban: user.getBanInfo()
+      });
+    }
 
-    // Return user data without password
-    const userData = user.getPublicProfile();
+    // Second step required: hand back a challenge instead of tokens
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user._id)
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      user: userData,
-      accessToken,
-      refreshToken
-    });
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error during login' });
   }
 });
 
+// Complete login with a TOTP or recovery code
+router.post('/login/2fa', [
+  body('challengeToken').exists().withMessage('Challenge token is required'),
+  body('code').optional().trim().isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits'),
+  body('recoveryCode').optional().trim().isLength({ min: 1, max: 20 }).withMessage('Invalid recovery code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'Code or recovery code is required' });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET + '_2fa');
+    } catch (error) {
+      return res.status(401).json({ message: 'Challenge expired, please log in again' });
+    }
+
+    if (decoded.purpose !== '2fa_challenge') {
+      return res.status(401).json({ message: 'Invalid challenge token' });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRETS);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid challenge token' });
+    }
+
+    const throttle = await checkLoginAllowed({ email: user.email, ip: req.ip });
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
+    const isValidCode = await user.verifyTwoFactor({ code, recoveryCode });
+    if (!isValidCode) {
+      await recordLoginFailure({ email: user.email, ip: req.ip, user });
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
 // Logout
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
+    // Revoke the current session so its refresh token stops working
+    const session = await Session.findById(req.sessionId);
+    if (session) {
+      await session.revoke('logout');
+    }
+
     // Update user online status
     req.user.isOnline = false;
     req.user.lastSeen = new Date();
@@ -146,16 +303,45 @@ router.post('/refresh', async (req, res) => {
     }
 
     // Verify refresh token
-    const jwt = (await import('jsonwebtoken')).default;
     const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET + '_refresh');
+    const session = await Session.findById(decoded.sessionId);
+
+    if (!session || !session.isActive || session.user.toString() !== decoded.userId.toString()) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    // Another refresh with this token (e.g. from a second tab) got there first;
+    // the client should retry with the refresh token it stored
+    const refreshRace = () => res.status(409).json({
+      message: 'Session was just refreshed, retry with the latest refresh token',
+      code: 'REFRESH_RACE'
+    });
+
+    // A rotated-out token being presented again means it leaked: kill the whole session
+    if (!session.matchesTokenId(decoded.tokenId)) {
+      if (session.wasJustRotatedFrom(decoded.tokenId)) {
+        return refreshRace();
+      }
+
+      await session.revoke('reuse_detected');
+      disconnectSessions(req, [session._id]);
+      return res.status(401).json({ message: 'Refresh token reuse detected, session revoked' });
+    }
+
     const user = await User.findById(decoded.userId);
-    
-    if (!user) {
+    if (!user || user.isCurrentlyBanned()) {
       return res.status(401).json({ message: 'Invalid refresh token' });
     }
 
-    // Generate new tokens
-    const tokens = generateTokens(user._id);
+    // Rotate and generate new tokens
+    const tokenId = await session.rotate(decoded.tokenId, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+    if (!tokenId) {
+      return refreshRace();
+    }
+    const tokens = generateTokens(user._id, session._id, tokenId);
     
     res.json({
       message: 'Token refreshed successfully',
@@ -168,19 +354,300 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
-// Verify email (placeholder for future implementation)
-router.post('/verify-email', async (req, res) => {
+// Start two-factor enrollment
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    req.user.twoFactor.pendingSecret = secret;
+    await req.user.save();
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, req.user.email)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/2fa/enable', authenticateToken, [
+  body('code').trim().isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+    const { twoFactor } = user;
+
+    if (twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    twoFactor.enabled = true;
+    twoFactor.secret = twoFactor.pendingSecret;
+    twoFactor.pendingSecret = undefined;
+    twoFactor.lastUsedStep = step;
+    twoFactor.enabledAt = new Date();
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Disable two-factor authentication
+router.post('/2fa/disable', authenticateToken, [
+  body('password').exists().withMessage('Password is required')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    if (req.user.role === 'admin' && adminRequiresTwoFactor()) {
+      return res.status(403).json({ message: 'Admin accounts must keep two-factor authentication enabled' });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValidPassword = await user.comparePassword(password);
+    if (!isValidPassword || !await user.verifyTwoFactor({ code, recoveryCode })) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    user.twoFactor = { enabled: false, recoveryCodes: [] };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Regenerate recovery codes
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').trim().isLength({ min: 6, max: 6 }).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+    if (!await user.verifyTwoFactor({ code: req.body.code })) {
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = resetRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List active sessions (devices) for the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.getActiveForUser(req.user._id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        isCurrent: session._id.toString() === req.sessionId.toString()
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out a session (device)
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await Session.findOne({ _id: id, user: req.user._id });
+    if (!session || !session.isActive) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const isCurrent = session._id.toString() === req.sessionId.toString();
+    await session.revoke(isCurrent ? 'logout' : 'signed_out_remotely');
+    disconnectSessions(req, [session._id]);
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Verify email
+router.post('/verify-email', [
+  body('token').exists().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
     const { token } = req.body;
-    
-    // TODO: Implement email verification logic
-    res.json({ message: 'Email verification not implemented yet' });
+
+    const authToken = await AuthToken.consume(token, 'email_verification');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.getPublicProfile()
+    });
   } catch (error) {
     console.error('Email verification error:', error);
     res.status(500).json({ message: 'Server error during email verification' });
   }
 });
 
+// Resend verification email
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const token = await AuthToken.issue(
+      req.user._id,
+      'email_verification',
+      EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+    );
+    await sendVerificationEmail(req.user, token);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Appeal a ban (banned users cannot log in, so credentials are checked here)
+router.post('/ban-appeal', [
+  body('email').isEmail().normalizeEmail().withMessage('Invalid email address'),
+  body('password').exists().withMessage('Password is required'),
+  body('note').trim().isLength({ min: 10, max: 1000 }).withMessage('Appeal must be 10-1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { email, password, note } = req.body;
+
+    const throttle = await checkLoginAllowed({ email, ip: req.ip });
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
+    const user = await User.findOne({ email });
+    if (!user || !await user.comparePassword(password)) {
+      await recordLoginFailure({ email, ip: req.ip, user });
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    const ban = user.isCurrentlyBanned() && await BanRecord.getActiveForUser(user._id);
+    if (!ban) {
+      return res.status(400).json({ message: 'Account is not banned' });
+    }
+
+    if (ban.appeal?.status) {
+      return res.status(400).json({ message: 'An appeal was already submitted for this ban' });
+    }
+
+    ban.appeal = {
+      note,
+      submittedAt: new Date(),
+      status: 'pending'
+    };
+    await ban.save();
+
+    res.json({ message: 'Appeal submitted successfully' });
+  } catch (error) {
+    console.error('Ban appeal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Request password reset
 router.post('/forgot-password', [
   body('email').isEmail().normalizeEmail().withMessage('Invalid email address')
@@ -202,8 +669,16 @@ router.post('/forgot-password', [
       return res.json({ message: 'If an account exists, a password reset email will be sent' });
     }
 
-    // TODO: Implement password reset email logic
-    res.json({ message: 'Password reset functionality not implemented yet' });
+    const token = await AuthToken.issue(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+    // Answer the same way when sending fails, or the error would reveal the account exists
+    try {
+      await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+    } catch (error) {
+      console.error('Send password reset email error:', error);
+    }
+
+    res.json({ message: 'If an account exists, a password reset email will be sent' });
   } catch (error) {
     console.error('Password reset error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -225,9 +700,26 @@ router.post('/reset-password', [
     }
 
     const { token, password } = req.body;
-    
-    // TODO: Implement password reset logic
-    res.json({ message: 'Password reset functionality not implemented yet' });
+
+    const authToken = await AuthToken.consume(token, 'password_reset');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    user.password = password;
+    await user.save();
+
+    // Sign out every device and drop any other outstanding reset tokens
+    const revokedSessionIds = await Session.revokeAllForUser(user._id, 'password_changed');
+    disconnectSessions(req, revokedSessionIds);
+    await AuthToken.invalidateForUser(user._id, 'password_reset');
+
+    res.json({ message: 'Password reset successfully, please log in again' });
   } catch (error) {
     console.error('Password reset error:', error);
     res.status(500).json({ message: 'Server error during password reset' });
@@ -1,22 +1,143 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import Group from '../models/Group.js';
+import Group, { GROUP_ROLES, DEFAULT_GROUP_PERMISSIONS, MAX_EDIT_WINDOW_MINUTES } from '../models/Group.js';
 import Post from '../models/Post.js';
 import User from '../models/User.js';
-import { authenticateToken, requireGroupAdmin, requireGroupMember } from '../middleware/auth.js';
-import { uploadGroupAvatar, handleUploadError } from '../middleware/upload.js';
+import JoinRequest from '../models/JoinRequest.js';
+import GroupInvite from '../models/GroupInvite.js';
+import GroupAuditLog, { MODERATION_ACTIONS } from '../models/GroupAuditLog.js';
+import Channel from '../models/Channel.js';
+import { authenticateToken, optionalAuth, requireGroupMember, requireGroupRole, requireGroupOwner, requireGroupPermission, requireVerifiedEmail, rejectMutedMembers } from '../middleware/auth.js';
+import { notifyUser, notifyUsers } from '../utils/notifications.js';
+import { GROUP_DELETION_GRACE_DAYS } from '../utils/groupCleanup.js';
+import { removeUserFromGroupRoom } from '../utils/socketHandlers.js';
+import { uploadGroupAvatar, uploadPostImages, handleUploadError } from '../middleware/upload.js';
+import { publishPost } from '../utils/publishing.js';
+import { checkSendAt, scheduleItem } from '../utils/scheduler.js';
+import { pollValidation } from '../utils/polls.js';
 
 const router = express.Router();
 
+const OWNERSHIP_TRANSFER_TTL_DAYS = 7;
+const MAX_MUTE_MINUTES = 30 * 24 * 60;
+
+// Groups that require it must have the current rules version confirmed before joining
+const checkRulesAcceptance = (group, rulesVersion) => {
+  if (!group.settings.requireRulesAcceptance || group.rules.length === 0) return null;
+  if (parseInt(rulesVersion) !== group.rulesVersion) {
+    return {
+      status: 400,
+      body: {
+        message: 'You must accept the group rules to join',
+        code: 'RULES_ACCEPTANCE_REQUIRED',
+        rules: group.rules,
+        rulesVersion: group.rulesVersion
+      }
+    };
+  }
+  return null;
+};
+
+// Resolve the rule a moderator cites; undefined when none was given, null when it does not exist
+const findCitedRule = (group, ruleId) => {
+  if (!ruleId) return undefined;
+  return group.getRule(ruleId);
+};
+
+const ruleCitation = (rule) => rule ? { rule: { id: rule._id, title: rule.title } } : {};
+
+const sendGroupBanned = (res, ban) => {
+  return res.status(403).json({
+    message: 'You are banned from this group',
+    code: 'GROUP_BANNED',
+    bannedUntil: ban.expiresAt
+  });
+};
+
+// Members can only be managed by someone ranked above them (the owner can manage anyone)
+const outranks = (group, actorRole, targetUserId) => {
+  const targetRole = group.getMemberRole(targetUserId);
+  if (!targetRole) return true;
+  return actorRole === 'owner' || GROUP_ROLES.indexOf(actorRole) > GROUP_ROLES.indexOf(targetRole);
+};
+
+// A ban or mute can be lifted by whoever placed it, or by someone who outranks them
+const canLiftRestriction = (group, actor, actorRole, restriction) => {
+  if (!restriction.issuedBy) return actorRole === 'owner' || actorRole === 'admin';
+  if (restriction.issuedBy.toString() === actor._id.toString()) return true;
+  return outranks(group, actorRole, restriction.issuedBy);
+};
+
+// Invites are open to roles with the invite permission, or only admins when the group turns them off
+const checkCanInvite = (req, res, next) => {
+  if (!req.group.settings.allowInvites && GROUP_ROLES.indexOf(req.groupRole) < GROUP_ROLES.indexOf('admin')) {
+    return res.status(403).json({ message: 'Invites are disabled for this group' });
+  }
+  next();
+};
+
+// Add an invited user to the group, or queue a join request if the inviter cannot approve joins
+const admitInvitee = async (group, invite, user, io, rulesVersion) => {
+  if (group.isMember(user._id)) {
+    return { status: 400, body: { message: 'Already a member' } };
+  }
+
+  const ban = group.getActiveBan(user._id);
+  if (ban) {
+    return { status: 403, body: { message: 'You are banned from this group', code: 'GROUP_BANNED', bannedUntil: ban.expiresAt } };
+  }
+
+  const rulesCheck = checkRulesAcceptance(group, rulesVersion);
+  if (rulesCheck) {
+    return rulesCheck;
+  }
+  const acceptedVersion = rulesVersion !== undefined ? group.rulesVersion : null;
+
+  const inviterRole = group.getMemberRole(invite.invitedBy);
+  if (group.settings.requireApproval && !group.roleHasPermission(inviterRole, 'approveJoins')) {
+    const existingRequest = await JoinRequest.findOne({ group: group._id, user: user._id, status: 'pending' });
+    if (!existingRequest) {
+      await JoinRequest.create({
+        group: group._id,
+        user: user._id,
+        message: 'Joined through an invite',
+        rulesAcceptedVersion: acceptedVersion
+      });
+
+      await notifyUsers(io, group.getUsersWithPermission('approveJoins'), {
+        type: 'join_request',
+        from: user._id,
+        group: group._id,
+        message: `${user.name} asked to join ${group.name}`
+      });
+    }
+    return { status: 202, body: { message: 'Join request sent for approval' } };
+  }
+
+  const success = await group.addMember(user._id, 'member', acceptedVersion);
+  if (!success) {
+    return { status: 400, body: { message: 'Group is full' } };
+  }
+  return { status: 200, body: { message: 'Successfully joined the group' } };
+};
+
+// Private groups are only listed for their members
+const visibilityQuery = (user) => {
+  if (!user) {
+    return { isPrivate: false };
+  }
+  return { $or: [{ isPrivate: false }, { 'members.user': user._id }] };
+};
+
 // Get all groups
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const category = req.query.category;
     const sort = req.query.sort || 'popular'; // popular, recent, members
 
-    let matchQuery = { isDeleted: false };
+    let matchQuery = { isDeleted: false, ...visibilityQuery(req.user) };
     if (category && category !== 'all') {
       matchQuery.category = category;
     }
@@ -61,7 +182,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get single group
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -75,6 +196,15 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Group not found' });
     }
 
+    // Non-members only see the basics of a private group
+    const isMember = req.user && group.members.some(m => m.user?._id.toString() === req.user._id.toString());
+    if (group.isPrivate && !isMember) {
+      const { members, admins, settings, stats, ...publicInfo } = group;
+      return res.json({
+        group: { ...publicInfo, memberCount: members.length, requireApproval: true }
+      });
+    }
+
     // Get recent posts from this group
     const recentPosts = await Post.find({ 
       group: id, 
@@ -87,6 +217,15 @@ router.get('/:id', async (req, res) => {
     group.memberCount = group.members.length;
     group.recentPosts = recentPosts;
 
+    if (isMember) {
+      const membership = group.members.find(m => m.user?._id.toString() === req.user._id.toString());
+      group.rulesAcceptance = {
+        acceptedVersion: membership.rulesAcceptedVersion,
+        currentVersion: group.rulesVersion,
+        needsAcceptance: group.rules.length > 0 && membership.rulesAcceptedVersion !== group.rulesVersion
+      };
+    }
+
     res.json({ group });
   } catch (error) {
     console.error('Get single group error:', error);
@@ -94,9 +233,67 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Join group
-router.post('/:id/join', authenticateToken, async (req, res) => {
+// Create group
+router.post('/', authenticateToken, requireVerifiedEmail, [
+  body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
+  body('description').trim().isLength({ min: 10, max: 500 }).withMessage('Description must be 10-500 characters'),
+  body('category').optional().isIn(['general', 'technology', 'business', 'creative', 'social', 'gaming']),
+  body('isPrivate').optional().isBoolean(),
+  body('tags').optional().isArray({ max: 10 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { name, description, category, isPrivate, tags } = req.body;
+
+    const group = new Group({
+      name,
+      description,
+      category,
+      isPrivate,
+      tags,
+      owner: req.user._id,
+      admins: [req.user._id]
+    });
+
+    await group.save();
+    await group.addMember(req.user._id);
+    await Channel.ensureDefault(group._id, req.user._id);
+    await group.populate('owner', 'name avatar');
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group
+    });
+  } catch (error) {
+    console.error('Create group error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Group name already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Join group, or request to join when approval is required
+router.post('/:id/join', authenticateToken, [
+  body('message').optional().trim().isLength({ max: 500 }).withMessage('Message cannot be more than 500 characters'),
+  body('rulesVersion').optional().isInt({ min: 0 }).withMessage('Invalid rules version')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
     const { id } = req.params;
 
     const group = await Group.findById(id);
@@ -104,7 +301,48 @@ router.post('/:id/join', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Group not found' });
     }
 
-    const success = await group.addMember(req.user._id);
+    if (group.isMember(req.user._id)) {
+      return res.status(400).json({ message: 'Already a member' });
+    }
+
+    const ban = group.getActiveBan(req.user._id);
+    if (ban) {
+      return sendGroupBanned(res, ban);
+    }
+
+    const rulesCheck = checkRulesAcceptance(group, req.body.rulesVersion);
+    if (rulesCheck) {
+      return res.status(rulesCheck.status).json(rulesCheck.body);
+    }
+    const acceptedVersion = req.body.rulesVersion !== undefined ? group.rulesVersion : null;
+
+    if (group.settings.requireApproval || group.isPrivate) {
+      const existingRequest = await JoinRequest.findOne({ group: id, user: req.user._id, status: 'pending' });
+      if (existingRequest) {
+        return res.status(400).json({ message: 'Join request already pending' });
+      }
+
+      const joinRequest = await JoinRequest.create({
+        group: id,
+        user: req.user._id,
+        message: req.body.message || '',
+        rulesAcceptedVersion: acceptedVersion
+      });
+
+      await notifyUsers(req.app.get('io'), group.getUsersWithPermission('approveJoins'), {
+        type: 'join_request',
+        from: req.user._id,
+        group: group._id,
+        message: `${req.user.name} asked to join ${group.name}`
+      });
+
+      return res.status(202).json({
+        message: 'Join request sent',
+        request: joinRequest
+      });
+    }
+
+    const success = await group.addMember(req.user._id, 'member', acceptedVersion);
     if (!success) {
       return res.status(400).json({ 
         message: 'Already a member or group is full' 
@@ -118,73 +356,97 @@ router.post('/:id/join', authenticateToken, async (req, res) => {
   }
 });
 
-// Leave group
-router.post('/:id/leave', authenticateToken, async (req, res) => {
+// Cancel own pending join request
+router.delete('/:id/join', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const group = await Group.findById(id);
-    if (!group || group.isDeleted) {
-      return res.status(404).json({ message: 'Group not found' });
-    }
-
-    // Check if user is the owner
-    if (group.owner.toString() === req.user._id.toString()) {
-      return res.status(400).json({ 
-        message: 'Group owner cannot leave the group' 
-      });
+    const joinRequest = await JoinRequest.findOne({ group: id, user: req.user._id, status: 'pending' });
+    if (!joinRequest) {
+      return res.status(404).json({ message: 'No pending join request' });
     }
 
-    await group.removeMember(req.user._id);
+    joinRequest.status = 'cancelled';
+    await joinRequest.save();
 
-    res.json({ message: 'Successfully left the group' });
+    res.json({ message: 'Join request cancelled' });
   } catch (error) {
-    console.error('Leave group error:', error);
+    console.error('Cancel join request error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get group posts
-router.get('/:id/posts', requireGroupMember(), async (req, res) => {
+// Get join requests
+router.get('/:id/requests', authenticateToken, requireGroupPermission('approveJoins'), async (req, res) => {
   try {
     const { id } = req.params;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
+    const status = req.query.status || 'pending';
 
-    const posts = await Post.find({ 
-      group: id, 
-      isDeleted: false 
-    })
-    .populate('author', 'name avatar')
-    .populate('comments.author', 'name avatar')
-    .populate('likes', 'name')
-    .sort({ isPinned: -1, createdAt: -1 })
-    .limit(limit * 1)
-    .skip((page - 1) * limit)
-    .lean();
+    const query = { group: id, status };
 
-    const totalCount = await Post.countDocuments({ 
-      group: id, 
-      isDeleted: false 
-    });
+    const requests = await JoinRequest.find(query)
+      .populate('user', 'name avatar bio')
+      .populate('reviewedBy', 'name avatar')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const totalCount = await JoinRequest.countDocuments(query);
 
     res.json({
-      posts,
+      requests,
       totalCount,
       page,
       totalPages: Math.ceil(totalCount / limit)
     });
   } catch (error) {
-    console.error('Get group posts error:', error);
+    console.error('Get join requests error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create post in group
-router.post('/:id/posts', authenticateToken, requireGroupMember(), [
-  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
-  body('description').trim().isLength({ min: 1, max: 2000 }).withMessage('Description must be 1-2000 characters'),
-  body('link').optional().isURL().withMessage('Link must be a valid URL')
+// Approve join request
+router.post('/:id/requests/:requestId/approve', authenticateToken, requireGroupPermission('approveJoins'), async (req, res) => {
+  try {
+    const { id, requestId } = req.params;
+
+    const joinRequest = await JoinRequest.findOne({ _id: requestId, group: id, status: 'pending' });
+    if (!joinRequest) {
+      return res.status(404).json({ message: 'Join request not found' });
+    }
+
+    if (req.group.getActiveBan(joinRequest.user)) {
+      return res.status(400).json({ message: 'This user is banned from the group' });
+    }
+
+    if (!req.group.isMember(joinRequest.user)) {
+      const success = await req.group.addMember(joinRequest.user, 'member', joinRequest.rulesAcceptedVersion);
+      if (!success) {
+        return res.status(400).json({ message: 'Group is full' });
+      }
+    }
+
+    await joinRequest.review('approved', req.user._id);
+
+    await notifyUser(req.app.get('io'), joinRequest.user, {
+      type: 'join_approved',
+      from: req.user._id,
+      group: req.group._id,
+      message: `Your request to join ${req.group.name} was approved`
+    });
+
+    res.json({ message: 'Join request approved' });
+  } catch (error) {
+    console.error('Approve join request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reject join request
+router.post('/:id/requests/:requestId/reject', authenticateToken, requireGroupPermission('approveJoins'), [
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -195,162 +457,169 @@ router.post('/:id/posts', authenticateToken, requireGroupMember(), [
       });
     }
 
-    const { id } = req.params;
-    const { title, description, link } = req.body;
+    const { id, requestId } = req.params;
 
-    // Check if group allows member posts
-    if (!req.group.settings.allowMemberPosts && !req.group.isAdmin(req.user._id)) {
-      return res.status(403).json({ 
-        message: 'Only admins can post in this group' 
-      });
+    const joinRequest = await JoinRequest.findOne({ _id: requestId, group: id, status: 'pending' });
+    if (!joinRequest) {
+      return res.status(404).json({ message: 'Join request not found' });
     }
 
-    const post = new Post({
-      title,
-      description,
-      link,
-      author: req.user._id,
-      group: id
-    });
-
-    await post.save();
-    await post.populate('author', 'name avatar');
+    await joinRequest.review('rejected', req.user._id, req.body.note);
 
-    // Update group stats
-    await Group.findByIdAndUpdate(id, {
-      $inc: { 'stats.totalPosts': 1 }
+    await notifyUser(req.app.get('io'), joinRequest.user, {
+      type: 'join_rejected',
+      from: req.user._id,
+      group: req.group._id,
+      message: `Your request to join ${req.group.name} was declined`
     });
 
-    res.status(201).json({
-      message: 'Post created successfully',
-      post
-    });
+    res.json({ message: 'Join request rejected' });
   } catch (error) {
-    console.error('Create group post error:', error);
+    console.error('Reject join request error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get group members
-router.get('/:id/members', requireGroupMember(), async (req, res) => {
+// Invite a user directly
+router.post('/:id/invites', authenticateToken, requireGroupPermission('invite'), checkCanInvite, [
+  body('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
     const { id } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const role = req.query.role; // admin, member
+    const { userId } = req.body;
 
-    let matchStage = {};
-    if (role === 'admin') {
-      matchStage = {
-        $or: [
-          { 'owner': req.user._id },
-          { 'admins': req.user._id }
-        ]
-      };
+    const invitee = await User.findById(userId).select('name');
+    if (!invitee) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    const group = await Group.findById(id)
-      .populate({
-        path: 'members.user',
-        select: 'name avatar bio joinedAt isOnline lastSeen'
-      })
-      .populate('owner', 'name avatar bio')
-      .populate('admins', 'name avatar bio');
+    if (req.group.isMember(userId)) {
+      return res.status(400).json({ message: 'User is already a member' });
+    }
+    if (req.group.getActiveBan(userId)) {
+      return res.status(400).json({ message: 'This user is banned from the group' });
+    }
 
-    if (!group) {
-      return res.status(404).json({ message: 'Group not found' });
+    const existingInvite = await GroupInvite.findOne({ group: id, kind: 'direct', invitee: userId, status: 'pending' });
+    if (existingInvite && existingInvite.isUsable) {
+      return res.status(400).json({ message: 'User already has a pending invite' });
     }
 
-    let members = group.members.slice((page - 1) * limit, page * limit);
+    const invite = await GroupInvite.create({
+      group: id,
+      kind: 'direct',
+      invitedBy: req.user._id,
+      invitee: userId,
+      expiresAt: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000)
+    });
 
-    // Add role information
-    members = members.map(member => ({
-      ...member.user._doc,
-      joinedAt: member.joinedAt,
-      role: group.owner._id.toString() === member.user._id.toString() ? 'owner' :
-            group.admins.some(admin => admin._id.toString() === member.user._id.toString()) ? 'admin' : 'member'
-    }));
+    await notifyUser(req.app.get('io'), userId, {
+      type: 'group_invite',
+      from: req.user._id,
+      group: req.group._id,
+      message: `${req.user.name} invited you to join ${req.group.name}`
+    });
 
-    res.json({
-      members,
-      owner: group.owner,
-      admins: group.admins,
-      totalCount: group.members.length,
-      page,
-      totalPages: Math.ceil(group.members.length / limit)
+    res.status(201).json({
+      message: 'Invite sent successfully',
+      invite
     });
   } catch (error) {
-    console.error('Get group members error:', error);
+    console.error('Invite user error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Promote user to admin
-router.post('/:id/members/:userId/promote', authenticateToken, requireGroupAdmin(), async (req, res) => {
+// Get my pending invites
+router.get('/invites/me', authenticateToken, async (req, res) => {
   try {
-    const { userId } = req.params;
-
-    const success = await req.group.promoteToAdmin(userId);
-    if (!success) {
-      return res.status(400).json({ 
-        message: 'User is not a member or already an admin' 
-      });
-    }
+    const invites = await GroupInvite.find({
+      kind: 'direct',
+      invitee: req.user._id,
+      status: 'pending',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    })
+    .populate('group', 'name avatar description isPrivate')
+    .populate('invitedBy', 'name avatar')
+    .sort({ createdAt: -1 });
 
-    res.json({ message: 'User promoted to admin successfully' });
+    res.json({ invites });
   } catch (error) {
-    console.error('Promote user error:', error);
+    console.error('Get my invites error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Demote admin to member
-router.post('/:id/members/:userId/demote', authenticateToken, requireGroupAdmin(), async (req, res) => {
+// Accept a direct invite
+router.post('/invites/:inviteId/accept', authenticateToken, [
+  body('rulesVersion').optional().isInt({ min: 0 }).withMessage('Invalid rules version')
+], async (req, res) => {
   try {
-    const { userId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
 
-    // Can't demote the owner
-    if (req.group.owner.toString() === userId) {
-      return res.status(400).json({ message: 'Cannot demote group owner' });
+    const { inviteId } = req.params;
+
+    const invite = await GroupInvite.findOne({ _id: inviteId, kind: 'direct', invitee: req.user._id });
+    if (!invite || !invite.isUsable) {
+      return res.status(404).json({ message: 'Invite not found or expired' });
     }
 
-    const success = await req.group.demoteFromAdmin(userId);
-    if (!success) {
-      return res.status(400).json({ message: 'User is not an admin' });
+    const group = await Group.findById(invite.group);
+    if (!group || group.isDeleted) {
+      return res.status(404).json({ message: 'Group not found' });
     }
 
-    res.json({ message: 'User demoted to member successfully' });
+    const result = await admitInvitee(group, invite, req.user, req.app.get('io'), req.body.rulesVersion);
+    if (result.status < 300) {
+      invite.status = 'accepted';
+      await invite.save();
+    }
+
+    res.status(result.status).json(result.body);
   } catch (error) {
-    console.error('Demote user error:', error);
+    console.error('Accept invite error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Remove member from group
-router.delete('/:id/members/:userId', authenticateToken, requireGroupAdmin(), async (req, res) => {
+// Decline a direct invite
+router.post('/invites/:inviteId/decline', authenticateToken, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { inviteId } = req.params;
 
-    // Can't remove the owner
-    if (req.group.owner.toString() === userId) {
-      return res.status(400).json({ message: 'Cannot remove group owner' });
+    const invite = await GroupInvite.findOne({ _id: inviteId, kind: 'direct', invitee: req.user._id, status: 'pending' });
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
     }
 
-    await req.group.removeMember(userId);
+    invite.status = 'declined';
+    await invite.save();
 
-    res.json({ message: 'Member removed successfully' });
+    res.json({ message: 'Invite declined' });
   } catch (error) {
-    console.error('Remove member error:', error);
+    console.error('Decline invite error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update group settings
-router.put('/:id/settings', authenticateToken, requireGroupAdmin(), [
-  body('allowMemberPosts').optional().isBoolean(),
-  body('requireApproval').optional().isBoolean(),
-  body('allowInvites').optional().isBoolean(),
-  body('maxMembers').optional().isInt({ min: 10, max: 10000 })
+// Create an invite link
+router.post('/:id/invite-links', authenticateToken, requireGroupPermission('invite'), checkCanInvite, [
+  body('expiresInHours').optional({ nullable: true }).isInt({ min: 1, max: 24 * 30 }).withMessage('Expiry must be 1-720 hours'),
+  body('maxUses').optional({ nullable: true }).isInt({ min: 1, max: 1000 }).withMessage('Max uses must be 1-1000')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -362,40 +631,965 @@ router.put('/:id/settings', authenticateToken, requireGroupAdmin(), [
     }
 
     const { id } = req.params;
-    const { allowMemberPosts, requireApproval, allowInvites, maxMembers } = req.body;
+    const { expiresInHours, maxUses } = req.body;
 
-    const updateData = {};
-    if (allowMemberPosts !== undefined) updateData['settings.allowMemberPosts'] = allowMemberPosts;
-    if (requireApproval !== undefined) updateData['settings.requireApproval'] = requireApproval;
-    if (allowInvites !== undefined) updateData['settings.allowInvites'] = allowInvites;
-    if (maxMembers !== undefined) updateData.maxMembers = maxMembers;
-
-    const group = await Group.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const invite = await GroupInvite.createLink(id, req.user._id, {
+      expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : null,
+      maxUses: maxUses || null
+    });
 
-    res.json({
-      message: 'Group settings updated successfully',
-      group
+    res.status(201).json({
+      message: 'Invite link created successfully',
+      invite,
+      url: `${process.env.CLIENT_URL || 'http://localhost:3000'}/invite/${invite.code}`
     });
   } catch (error) {
-    console.error('Update group settings error:', error);
+    console.error('Create invite link error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update group info
-router.put('/:id', authenticateToken, requireGroupAdmin(), [
-  body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
-  body('description').optional().trim().isLength({ min: 10, max: 500 }).withMessage('Description must be 10-500 characters'),
-  body('category').optional().isIn(['general', 'technology', 'business', 'creative', 'social', 'gaming'])
-], async (req, res) => {
+// Get invite links (admins see every link, others only their own)
+router.get('/:id/invite-links', authenticateToken, requireGroupPermission('invite'), async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ 
+    const { id } = req.params;
+
+    const query = { group: id, kind: 'link', status: 'pending' };
+    if (GROUP_ROLES.indexOf(req.groupRole) < GROUP_ROLES.indexOf('admin')) {
+      query.invitedBy = req.user._id;
+    }
+
+    const invites = await GroupInvite.find(query)
+      .populate('invitedBy', 'name avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      invites: invites.map(invite => ({
+        ...invite.toObject(),
+        isUsable: invite.isUsable
+      }))
+    });
+  } catch (error) {
+    console.error('Get invite links error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke an invite link or pending direct invite
+router.delete('/:id/invites/:inviteId', authenticateToken, requireGroupMember(), async (req, res) => {
+  try {
+    const { id, inviteId } = req.params;
+
+    const invite = await GroupInvite.findOne({ _id: inviteId, group: id, status: 'pending' });
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    const canRevoke = invite.invitedBy.toString() === req.user._id.toString() ||
+                      GROUP_ROLES.indexOf(req.groupRole) >= GROUP_ROLES.indexOf('admin');
+    if (!canRevoke) {
+      return res.status(403).json({ message: 'You can only revoke your own invites' });
+    }
+
+    await invite.revoke(req.user._id);
+
+    res.json({ message: 'Invite revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Preview an invite link
+router.get('/invite-links/:code', async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    const invite = await GroupInvite.findOne({ code, kind: 'link' })
+      .populate('group', 'name avatar description category isPrivate isDeleted members')
+      .populate('invitedBy', 'name avatar');
+
+    if (!invite || !invite.isUsable || !invite.group || invite.group.isDeleted) {
+      return res.status(404).json({ message: 'Invite link is invalid or expired' });
+    }
+
+    const { members, isDeleted, ...group } = invite.group.toObject();
+
+    res.json({
+      group: { ...group, memberCount: members.length },
+      invitedBy: invite.invitedBy,
+      expiresAt: invite.expiresAt
+    });
+  } catch (error) {
+    console.error('Preview invite link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Join through an invite link
+router.post('/invite-links/:code/join', authenticateToken, [
+  body('rulesVersion').optional().isInt({ min: 0 }).withMessage('Invalid rules version')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { code } = req.params;
+
+    const invite = await GroupInvite.findOne({ code, kind: 'link' });
+    if (!invite || !invite.isUsable) {
+      return res.status(404).json({ message: 'Invite link is invalid or expired' });
+    }
+
+    const group = await Group.findById(invite.group);
+    if (!group || group.isDeleted) {
+      return res.status(404).json({ message: 'Invite link is invalid or expired' });
+    }
+
+    if (group.isMember(req.user._id)) {
+      return res.status(400).json({ message: 'Already a member' });
+    }
+    if (group.members.length >= group.maxMembers) {
+      return res.status(400).json({ message: 'Group is full' });
+    }
+
+    const ban = group.getActiveBan(req.user._id);
+    if (ban) {
+      return sendGroupBanned(res, ban);
+    }
+
+    // Check rules before spending a use of the link
+    const rulesCheck = checkRulesAcceptance(group, req.body.rulesVersion);
+    if (rulesCheck) {
+      return res.status(rulesCheck.status).json(rulesCheck.body);
+    }
+
+    const claimed = await GroupInvite.claimLinkUse(invite._id);
+    if (!claimed) {
+      return res.status(404).json({ message: 'Invite link is invalid or expired' });
+    }
+
+    // The use is claimed first so concurrent joins can't exceed maxUses, and given back
+    // when the join doesn't go through
+    let result;
+    try {
+      result = await admitInvitee(group, invite, req.user, req.app.get('io'), req.body.rulesVersion);
+    } catch (error) {
+      await GroupInvite.releaseLinkUse(invite._id);
+      throw error;
+    }
+    if (result.status >= 300) {
+      await GroupInvite.releaseLinkUse(invite._id);
+    }
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Join by invite link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Leave group
+router.post('/:id/leave', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const group = await Group.findById(id);
+    if (!group || group.isDeleted) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Check if user is the owner
+    if (group.owner.toString() === req.user._id.toString()) {
+      return res.status(400).json({ 
+        message: 'Group owner cannot leave the group, transfer ownership first' 
+      });
+    }
+
+    await group.removeMember(req.user._id);
+
+    res.json({ message: 'Successfully left the group' });
+  } catch (error) {
+    console.error('Leave group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get group posts
+router.get('/:id/posts', requireGroupMember(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const posts = await Post.find({ 
+      group: id, 
+      isDeleted: false 
+    })
+    .populate('author', 'name avatar')
+    .populate('comments.author', 'name avatar')
+    .populate('likes', 'name')
+    .populate('poll')
+    .sort({ isPinned: -1, createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .lean();
+
+    const totalCount = await Post.countDocuments({ 
+      group: id, 
+      isDeleted: false 
+    });
+
+    res.json({
+      posts,
+      totalCount,
+      page,
+      totalPages: Math.ceil(totalCount / limit)
+    });
+  } catch (error) {
+    console.error('Get group posts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create or schedule a post in the group
+router.post('/:id/posts', authenticateToken, requireVerifiedEmail, requireGroupPermission('post'), rejectMutedMembers, uploadPostImages.array('images', 5), handleUploadError, [
+  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
+  body('description').trim().isLength({ min: 1, max: 2000 }).withMessage('Description must be 1-2000 characters'),
+  body('link').optional().isURL().withMessage('Link must be a valid URL'),
+  body('sendAt').optional().isISO8601().withMessage('Send time must be an ISO 8601 date'),
+  body('clientId').optional().isString().trim().isLength({ min: 1, max: 64 }).withMessage('Client ID must be 1-64 characters'),
+  ...pollValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { title, description, link, sendAt, clientId, poll } = req.body;
+
+    const images = req.files ? req.files.map(file => ({
+      url: file.path,
+      publicId: file.filename
+    })) : [];
+
+    if (sendAt && poll) {
+      return res.status(400).json({ message: 'Polls cannot be scheduled' });
+    }
+
+    // Schedule the post instead of publishing it now
+    if (sendAt) {
+      const sendAtError = checkSendAt(sendAt);
+      if (sendAtError) {
+        return res.status(400).json({ message: sendAtError });
+      }
+
+      const { item, duplicate } = await scheduleItem(req.user, 'post', sendAt, {
+        title,
+        description,
+        link,
+        images,
+        group: req.group._id,
+        clientId
+      });
+
+      return res.status(duplicate ? 200 : 202).json({
+        message: duplicate ? 'Post already scheduled' : 'Post scheduled',
+        scheduled: item,
+        duplicate
+      });
+    }
+
+    const post = await publishPost(req.app.get('io'), req.user, { title, description, link, images, group: req.group, poll });
+
+    res.status(201).json({
+      message: 'Post created successfully',
+      post
+    });
+  } catch (error) {
+    console.error('Create group post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get group members
+router.get('/:id/members', requireGroupMember(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const role = req.query.role; // admin, member
+
+    let matchStage = {};
+    if (role === 'admin') {
+      matchStage = {
+        $or: [
+          { 'owner': req.user._id },
+          { 'admins': req.user._id }
+        ]
+      };
+    }
+
+    const group = await Group.findById(id)
+      .populate({
+        path: 'members.user',
+        select: 'name avatar bio joinedAt isOnline lastSeen'
+      })
+      .populate('owner', 'name avatar bio')
+      .populate('admins', 'name avatar bio');
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    let members = group.members.slice((page - 1) * limit, page * limit);
+
+    // Add role information
+    members = members.map(member => ({
+      ...member.user._doc,
+      joinedAt: member.joinedAt,
+      role: group.getMemberRole(member.user._id)
+    }));
+
+    res.json({
+      members,
+      owner: group.owner,
+      admins: group.admins,
+      totalCount: group.members.length,
+      page,
+      totalPages: Math.ceil(group.members.length / limit)
+    });
+  } catch (error) {
+    console.error('Get group members error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Promote user to admin
+router.post('/:id/members/:userId/promote', authenticateToken, requireGroupPermission('manageMembers'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    // Appointing admins needs at least admin rank and a member the caller outranks
+    if (!outranks(req.group, req.groupRole, userId) || GROUP_ROLES.indexOf(req.groupRole) < GROUP_ROLES.indexOf('admin')) {
+      return res.status(403).json({ message: 'You cannot promote this member to admin' });
+    }
+
+    const success = await req.group.promoteToAdmin(userId);
+    if (!success) {
+      return res.status(400).json({ 
+        message: 'User is not a member or already an admin' 
+      });
+    }
+
+    res.json({ message: 'User promoted to admin successfully' });
+  } catch (error) {
+    console.error('Promote user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Demote admin to member
+router.post('/:id/members/:userId/demote', authenticateToken, requireGroupPermission('manageMembers'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    // Can't demote the owner
+    if (req.group.owner.toString() === userId) {
+      return res.status(400).json({ message: 'Cannot demote group owner' });
+    }
+
+    if (!outranks(req.group, req.groupRole, userId)) {
+      return res.status(403).json({ message: 'You cannot demote this admin' });
+    }
+
+    const success = await req.group.demoteFromAdmin(userId);
+    if (!success) {
+      return res.status(400).json({ message: 'User is not an admin' });
+    }
+
+    res.json({ message: 'User demoted to member successfully' });
+  } catch (error) {
+    console.error('Demote user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove member from group
+router.delete('/:id/members/:userId', authenticateToken, requireGroupPermission('manageMembers'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    // Can't remove the owner
+    if (req.group.owner.toString() === userId) {
+      return res.status(400).json({ message: 'Cannot remove group owner' });
+    }
+
+    if (!outranks(req.group, req.groupRole, userId)) {
+      return res.status(403).json({ message: 'You cannot remove this member' });
+    }
+
+    if (!req.group.isMember(userId)) {
+      return res.status(400).json({ message: 'User is not a member' });
+    }
+
+    const rule = findCitedRule(req.group, req.body.ruleId);
+    if (rule === null) {
+      return res.status(400).json({ message: 'Cited rule not found' });
+    }
+
+    await req.group.removeMember(userId);
+    await GroupAuditLog.record(req.group._id, req.user._id, 'member_removed', {
+      targetUser: userId,
+      details: ruleCitation(rule)
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      await removeUserFromGroupRoom(io, userId, req.group._id, { reason: 'removed', ...ruleCitation(rule) });
+    }
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set a member's role (member or moderator)
+router.put('/:id/members/:userId/role', authenticateToken, requireGroupPermission('manageMembers'), [
+  body('role').isIn(['member', 'moderator']).withMessage('Role must be member or moderator')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!outranks(req.group, req.groupRole, userId) ||
+        GROUP_ROLES.indexOf(req.groupRole) <= GROUP_ROLES.indexOf(role)) {
+      return res.status(403).json({ message: 'You cannot change this member\'s role' });
+    }
+
+    const success = await req.group.setMemberRole(userId, role);
+    if (!success) {
+      return res.status(400).json({ message: 'User is not a member' });
+    }
+
+    res.json({ message: `Member role updated to ${role}` });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save a rules change, log it and ask members to accept the new version
+const publishRulesChange = async (req, change) => {
+  req.group.bumpRulesVersion();
+  await req.group.save();
+
+  await GroupAuditLog.record(req.group._id, req.user._id, 'rules_updated', {
+    details: { ...change, rulesVersion: req.group.rulesVersion }
+  });
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`group_${req.group._id}`).emit('group_rules_updated', {
+      groupId: req.group._id,
+      rules: req.group.rules,
+      rulesVersion: req.group.rulesVersion
+    });
+  }
+};
+
+const ruleValidation = [
+  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot be more than 1000 characters')
+];
+
+// Get group rules
+router.get('/:id/rules', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const group = await Group.findById(id);
+    if (!group || group.isDeleted) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const isMember = req.user && group.isMember(req.user._id);
+    if (group.isPrivate && !isMember) {
+      return res.status(403).json({ message: 'You must be a member of this group' });
+    }
+
+    res.json({
+      rules: group.rules,
+      rulesVersion: group.rulesVersion,
+      rulesUpdatedAt: group.rulesUpdatedAt,
+      requireRulesAcceptance: group.settings.requireRulesAcceptance,
+      needsAcceptance: isMember ? !group.hasAcceptedRules(req.user._id) : undefined
+    });
+  } catch (error) {
+    console.error('Get group rules error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a rule
+router.post('/:id/rules', authenticateToken, requireGroupPermission('editInfo'), ruleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    if (req.group.rules.length >= 30) {
+      return res.status(400).json({ message: 'A group can have at most 30 rules' });
+    }
+
+    const { title, description = '' } = req.body;
+
+    req.group.rules.push({ title, description });
+    const rule = req.group.rules[req.group.rules.length - 1];
+    await publishRulesChange(req, { change: 'added', rule: { id: rule._id, title } });
+
+    res.status(201).json({
+      message: 'Rule added',
+      rule,
+      rulesVersion: req.group.rulesVersion
+    });
+  } catch (error) {
+    console.error('Add group rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a rule
+router.put('/:id/rules/:ruleId', authenticateToken, requireGroupPermission('editInfo'), ruleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const rule = req.group.getRule(req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    const { title, description } = req.body;
+    rule.title = title;
+    if (description !== undefined) rule.description = description;
+    await publishRulesChange(req, { change: 'updated', rule: { id: rule._id, title } });
+
+    res.json({
+      message: 'Rule updated',
+      rule,
+      rulesVersion: req.group.rulesVersion
+    });
+  } catch (error) {
+    console.error('Update group rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a rule
+router.delete('/:id/rules/:ruleId', authenticateToken, requireGroupPermission('editInfo'), async (req, res) => {
+  try {
+    const rule = req.group.getRule(req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    req.group.rules.pull(rule._id);
+    await publishRulesChange(req, { change: 'removed', rule: { id: rule._id, title: rule.title } });
+
+    res.json({
+      message: 'Rule deleted',
+      rulesVersion: req.group.rulesVersion
+    });
+  } catch (error) {
+    console.error('Delete group rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Accept the current rules
+router.post('/:id/rules/accept', authenticateToken, requireGroupMember(), [
+  body('rulesVersion').isInt({ min: 0 }).withMessage('Invalid rules version')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    // The member must have seen the latest version
+    if (parseInt(req.body.rulesVersion) !== req.group.rulesVersion) {
+      return res.status(409).json({
+        message: 'The rules have changed, please review them again',
+        rules: req.group.rules,
+        rulesVersion: req.group.rulesVersion
+      });
+    }
+
+    const success = await req.group.acceptRules(req.user._id);
+    if (!success) {
+      return res.status(400).json({ message: 'User is not a member' });
+    }
+
+    res.json({
+      message: 'Rules accepted',
+      rulesVersion: req.group.rulesVersion
+    });
+  } catch (error) {
+    console.error('Accept group rules error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Ban a user from the group (removes them and blocks rejoining)
+router.post('/:id/bans', authenticateToken, requireGroupPermission('manageMembers'), [
+  body('userId').isMongoId().withMessage('Invalid user ID'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
+  body('ruleId').optional().isMongoId().withMessage('Invalid rule ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { userId, reason = '' } = req.body;
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+
+    if (expiresAt && expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'Expiry date must be in the future' });
+    }
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot ban yourself' });
+    }
+    if (req.group.owner.toString() === userId) {
+      return res.status(400).json({ message: 'Cannot ban group owner' });
+    }
+    if (!outranks(req.group, req.groupRole, userId)) {
+      return res.status(403).json({ message: 'You cannot ban this member' });
+    }
+
+    const rule = findCitedRule(req.group, req.body.ruleId);
+    if (rule === null) {
+      return res.status(400).json({ message: 'Cited rule not found' });
+    }
+
+    const user = await User.findById(userId).select('name');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await req.group.banMember(userId, { reason, issuedBy: req.user._id, expiresAt, rule: rule?._id });
+
+    // Drop any way back in
+    await JoinRequest.updateMany(
+      { group: req.group._id, user: userId, status: 'pending' },
+      { status: 'rejected', reviewedBy: req.user._id, reviewedAt: new Date() }
+    );
+    await GroupInvite.updateMany(
+      { group: req.group._id, kind: 'direct', invitee: userId, status: 'pending' },
+      { status: 'revoked', revokedBy: req.user._id, revokedAt: new Date() }
+    );
+
+    await GroupAuditLog.record(req.group._id, req.user._id, 'member_banned', {
+      targetUser: userId,
+      details: { reason, expiresAt, ...ruleCitation(rule) }
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      await removeUserFromGroupRoom(io, userId, req.group._id, { reason: 'banned', bannedUntil: expiresAt, ...ruleCitation(rule) });
+    }
+
+    res.json({
+      message: 'User banned from the group',
+      ban: req.group.getActiveBan(userId)
+    });
+  } catch (error) {
+    console.error('Ban group member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get group bans
+router.get('/:id/bans', authenticateToken, requireGroupPermission('manageMembers'), async (req, res) => {
+  try {
+    await req.group.populate([
+      { path: 'bans.user', select: 'name avatar' },
+      { path: 'bans.issuedBy', select: 'name avatar' }
+    ]);
+
+    const bans = req.group.bans.filter(ban => !ban.expiresAt || ban.expiresAt > new Date());
+
+    res.json({ bans });
+  } catch (error) {
+    console.error('Get group bans error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lift a group ban
+router.delete('/:id/bans/:userId', authenticateToken, requireGroupPermission('manageMembers'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const ban = req.group.bans.find(b => b.user.toString() === userId);
+    if (!ban) {
+      return res.status(404).json({ message: 'User is not banned' });
+    }
+    if (!canLiftRestriction(req.group, req.user, req.groupRole, ban)) {
+      return res.status(403).json({ message: 'You cannot lift a ban placed by a higher-ranked member' });
+    }
+
+    await req.group.unbanMember(userId);
+
+    await GroupAuditLog.record(req.group._id, req.user._id, 'member_unbanned', { targetUser: userId });
+
+    res.json({ message: 'Ban lifted' });
+  } catch (error) {
+    console.error('Unban group member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mute a member for a while
+router.post('/:id/mutes', authenticateToken, requireGroupPermission('muteMembers'), [
+  body('userId').isMongoId().withMessage('Invalid user ID'),
+  body('durationMinutes').isInt({ min: 1, max: MAX_MUTE_MINUTES }).withMessage(`Duration must be 1-${MAX_MUTE_MINUTES} minutes`),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
+  body('ruleId').optional().isMongoId().withMessage('Invalid rule ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { userId, durationMinutes, reason = '' } = req.body;
+
+    const rule = findCitedRule(req.group, req.body.ruleId);
+    if (rule === null) {
+      return res.status(400).json({ message: 'Cited rule not found' });
+    }
+
+    if (!req.group.isMember(userId)) {
+      return res.status(400).json({ message: 'User is not a member' });
+    }
+    if (userId === req.user._id.toString() || !outranks(req.group, req.groupRole, userId)) {
+      return res.status(403).json({ message: 'You cannot mute this member' });
+    }
+
+    const expiresAt = new Date(Date.now() + durationMinutes * 60 * 1000);
+    await req.group.muteMember(userId, { reason, issuedBy: req.user._id, expiresAt, rule: rule?._id });
+
+    await GroupAuditLog.record(req.group._id, req.user._id, 'member_muted', {
+      targetUser: userId,
+      details: { reason, expiresAt, ...ruleCitation(rule) }
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${userId}`).emit('group_mute_updated', {
+        groupId: req.group._id,
+        muted: true,
+        mutedUntil: expiresAt,
+        reason,
+        ...ruleCitation(rule)
+      });
+    }
+
+    res.json({
+      message: 'Member muted',
+      mute: req.group.getActiveMute(userId)
+    });
+  } catch (error) {
+    console.error('Mute group member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get active mutes
+router.get('/:id/mutes', authenticateToken, requireGroupPermission('muteMembers'), async (req, res) => {
+  try {
+    await req.group.populate([
+      { path: 'mutes.user', select: 'name avatar' },
+      { path: 'mutes.issuedBy', select: 'name avatar' }
+    ]);
+
+    const mutes = req.group.mutes.filter(mute => mute.expiresAt > new Date());
+
+    res.json({ mutes });
+  } catch (error) {
+    console.error('Get group mutes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lift a mute
+router.delete('/:id/mutes/:userId', authenticateToken, requireGroupPermission('muteMembers'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const mute = req.group.mutes.find(m => m.user.toString() === userId);
+    if (!mute) {
+      return res.status(404).json({ message: 'Member is not muted' });
+    }
+    if (!canLiftRestriction(req.group, req.user, req.groupRole, mute)) {
+      return res.status(403).json({ message: 'You cannot lift a mute placed by a higher-ranked member' });
+    }
+
+    await req.group.unmuteMember(userId);
+
+    await GroupAuditLog.record(req.group._id, req.user._id, 'member_unmuted', { targetUser: userId });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${userId}`).emit('group_mute_updated', {
+        groupId: req.group._id,
+        muted: false
+      });
+    }
+
+    res.json({ message: 'Mute lifted' });
+  } catch (error) {
+    console.error('Unmute group member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pin/Unpin a group post
+router.post('/:id/posts/:postId/pin', authenticateToken, requireGroupPermission('pin'), async (req, res) => {
+  try {
+    const { id, postId } = req.params;
+
+    const post = await Post.findOne({ _id: postId, group: id, isDeleted: false });
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    post.isPinned = !post.isPinned;
+    await post.save();
+
+    res.json({
+      message: post.isPinned ? 'Post pinned' : 'Post unpinned',
+      isPinned: post.isPinned
+    });
+  } catch (error) {
+    console.error('Pin group post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update group settings (the permission matrix can only be changed by the owner)
+router.put('/:id/settings', authenticateToken, requireGroupPermission('editInfo'), [
+  body('allowMemberPosts').optional().isBoolean(),
+  body('requireApproval').optional().isBoolean(),
+  body('allowInvites').optional().isBoolean(),
+  body('requireRulesAcceptance').optional().isBoolean(),
+  body('messageEditWindow').optional({ nullable: true }).isInt({ min: 0, max: MAX_EDIT_WINDOW_MINUTES })
+    .withMessage(`Edit window must be 0-${MAX_EDIT_WINDOW_MINUTES} minutes, or null for no limit`),
+  body('maxMembers').optional().isInt({ min: 10, max: 10000 }),
+  body('permissions').optional().isObject(),
+  body('permissions.*').isIn(GROUP_ROLES).withMessage('Invalid role for permission')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { allowMemberPosts, requireApproval, allowInvites, requireRulesAcceptance, messageEditWindow, maxMembers, permissions } = req.body;
+
+    const isOwner = req.groupRole === 'owner';
+    if ((permissions || allowMemberPosts !== undefined) && !isOwner) {
+      return res.status(403).json({ message: 'Only the group owner can change permissions' });
+    }
+
+    const updateData = {};
+    if (permissions) {
+      for (const [permission, role] of Object.entries(permissions)) {
+        if (!(permission in DEFAULT_GROUP_PERMISSIONS)) {
+          return res.status(400).json({ message: `Unknown permission: ${permission}` });
+        }
+        updateData[`settings.permissions.${permission}`] = role;
+      }
+    }
+    // Legacy toggle, kept for older clients
+    if (allowMemberPosts !== undefined) updateData['settings.permissions.post'] = allowMemberPosts ? 'member' : 'admin';
+    if (requireApproval !== undefined) updateData['settings.requireApproval'] = requireApproval;
+    if (allowInvites !== undefined) updateData['settings.allowInvites'] = allowInvites;
+    if (requireRulesAcceptance !== undefined) updateData['settings.requireRulesAcceptance'] = requireRulesAcceptance;
+    if (messageEditWindow !== undefined) updateData['settings.messageEditWindow'] = messageEditWindow === null ? null : parseInt(messageEditWindow);
+    if (maxMembers !== undefined) updateData.maxMembers = maxMembers;
+
+    const group = await Group.findByIdAndUpdate(
+      id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Group settings updated successfully',
+      group
+    });
+  } catch (error) {
+    console.error('Update group settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update group info
+router.put('/:id', authenticateToken, requireGroupPermission('editInfo'), [
+  body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
+  body('description').optional().trim().isLength({ min: 10, max: 500 }).withMessage('Description must be 10-500 characters'),
+  body('category').optional().isIn(['general', 'technology', 'business', 'creative', 'social', 'gaming'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
         message: 'Validation failed', 
         errors: errors.array() 
       });
@@ -429,7 +1623,7 @@ router.put('/:id', authenticateToken, requireGroupAdmin(), [
 });
 
 // Upload group avatar
-router.post('/:id/avatar', authenticateToken, requireGroupAdmin(), uploadGroupAvatar.single('avatar'), handleUploadError, async (req, res) => {
+router.post('/:id/avatar', authenticateToken, requireGroupPermission('editInfo'), uploadGroupAvatar.single('avatar'), handleUploadError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -452,19 +1646,238 @@ router.post('/:id/avatar', authenticateToken, requireGroupAdmin(), uploadGroupAv
   }
 });
 
+// Request ownership transfer to another member
+router.post('/:id/transfer', authenticateToken, requireGroupOwner(), [
+  body('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { userId } = req.body;
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You already own this group' });
+    }
+    if (!req.group.isMember(userId)) {
+      return res.status(400).json({ message: 'New owner must be a member of the group' });
+    }
+
+    req.group.pendingTransfer = {
+      to: userId,
+      requestedBy: req.user._id,
+      requestedAt: new Date(),
+      expiresAt: new Date(Date.now() + OWNERSHIP_TRANSFER_TTL_DAYS * 24 * 60 * 60 * 1000)
+    };
+    await req.group.save();
+
+    await GroupAuditLog.record(req.group._id, req.user._id, 'ownership_transfer_requested', { targetUser: userId });
+
+    await notifyUser(req.app.get('io'), userId, {
+      type: 'ownership_transfer',
+      from: req.user._id,
+      group: req.group._id,
+      message: `${req.user.name} wants to make you the owner of ${req.group.name}`
+    });
+
+    res.json({
+      message: 'Ownership transfer requested',
+      pendingTransfer: req.group.pendingTransfer
+    });
+  } catch (error) {
+    console.error('Request ownership transfer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a pending ownership transfer
+router.delete('/:id/transfer', authenticateToken, requireGroupOwner(), async (req, res) => {
+  try {
+    const { pendingTransfer } = req.group;
+    if (!pendingTransfer?.to) {
+      return res.status(404).json({ message: 'No pending ownership transfer' });
+    }
+
+    const targetUser = pendingTransfer.to;
+    req.group.pendingTransfer = undefined;
+    await req.group.save();
+
+    await GroupAuditLog.record(req.group._id, req.user._id, 'ownership_transfer_cancelled', { targetUser });
+
+    res.json({ message: 'Ownership transfer cancelled' });
+  } catch (error) {
+    console.error('Cancel ownership transfer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Accept or decline an ownership transfer offered to you
+router.post('/:id/transfer/:decision', authenticateToken, requireGroupMember(), async (req, res) => {
+  try {
+    const { decision } = req.params;
+    if (!['accept', 'decline'].includes(decision)) {
+      return res.status(404).json({ message: 'Not found' });
+    }
+
+    const { pendingTransfer } = req.group;
+    const isForMe = pendingTransfer?.to && pendingTransfer.to.toString() === req.user._id.toString();
+    if (!isForMe || pendingTransfer.expiresAt <= new Date()) {
+      return res.status(404).json({ message: 'No pending ownership transfer for you' });
+    }
+
+    const previousOwner = req.group.owner;
+
+    if (decision === 'decline') {
+      req.group.pendingTransfer = undefined;
+      await req.group.save();
+      await GroupAuditLog.record(req.group._id, req.user._id, 'ownership_transfer_declined', { targetUser: previousOwner });
+      return res.json({ message: 'Ownership transfer declined' });
+    }
+
+    await req.group.transferOwnership(req.user._id);
+
+    await GroupAuditLog.record(req.group._id, req.user._id, 'ownership_transferred', {
+      targetUser: previousOwner,
+      details: { previousOwner, newOwner: req.user._id }
+    });
+
+    await notifyUser(req.app.get('io'), previousOwner, {
+      type: 'ownership_transfer',
+      from: req.user._id,
+      group: req.group._id,
+      message: `${req.user.name} is now the owner of ${req.group.name}`
+    });
+
+    res.json({ message: 'You are now the owner of this group' });
+  } catch (error) {
+    console.error('Respond to ownership transfer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete group (restorable until the grace period ends)
+router.delete('/:id', authenticateToken, requireGroupOwner(), async (req, res) => {
+  try {
+    const purgeAt = new Date(Date.now() + GROUP_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    req.group.isDeleted = true;
+    req.group.deletion = {
+      requestedBy: req.user._id,
+      requestedAt: new Date(),
+      purgeAt
+    };
+    req.group.pendingTransfer = undefined;
+    await req.group.save();
+
+    await GroupAuditLog.record(req.group._id, req.user._id, 'deletion_scheduled', { details: { purgeAt } });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`group_${req.group._id}`).emit('group_deleted', {
+        groupId: req.group._id,
+        purgeAt
+      });
+    }
+
+    res.json({
+      message: `Group deleted. It can be restored until ${purgeAt.toISOString()}`,
+      purgeAt
+    });
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore a deleted group during its grace period
+router.post('/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const group = await Group.findById(id);
+    if (!group || !group.isDeleted || !group.deletion?.purgeAt || group.deletion.purgedAt) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const isOwner = group.owner.toString() === req.user._id.toString();
+    if (!isOwner && !req.user.hasRole('admin')) {
+      return res.status(403).json({ message: 'Only the group owner can restore this group' });
+    }
+
+    if (group.deletion.purgeAt <= new Date()) {
+      return res.status(400).json({ message: 'The restore period for this group has ended' });
+    }
+
+    group.isDeleted = false;
+    group.deletion = undefined;
+    await group.save();
+
+    await GroupAuditLog.record(group._id, req.user._id, 'deletion_cancelled');
+
+    res.json({
+      message: 'Group restored successfully',
+      group
+    });
+  } catch (error) {
+    console.error('Restore group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get group audit log
+router.get('/:id/audit', authenticateToken, requireGroupRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    // ?category=moderation narrows the log to actions taken against members
+    const query = { group: id };
+    if (req.query.category === 'moderation') {
+      query.action = { $in: MODERATION_ACTIONS };
+    }
+
+    const entries = await GroupAuditLog.find(query)
+      .populate('actor', 'name avatar')
+      .populate('targetUser', 'name avatar')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const totalCount = await GroupAuditLog.countDocuments(query);
+
+    res.json({
+      entries,
+      totalCount,
+      page,
+      totalPages: Math.ceil(totalCount / limit)
+    });
+  } catch (error) {
+    console.error('Get group audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Search groups
-router.get('/search/groups', async (req, res) => {
+router.get('/search/groups', optionalAuth, async (req, res) => {
   try {
     const { q, category, page = 1, limit = 20 } = req.query;
     
-    let searchQuery = { isDeleted: false, isPrivate: false };
+    let searchQuery = { isDeleted: false, $and: [visibilityQuery(req.user)] };
 
     if (q && q.trim().length >= 2) {
-      searchQuery.$or = [
-        { name: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } },
-        { tags: { $regex: q, $options: 'i' } }
-      ];
+      searchQuery.$and.push({
+        $or: [
+          { name: { $regex: q, $options: 'i' } },
+          { description: { $regex: q, $options: 'i' } },
+          { tags: { $regex: q, $options: 'i' } }
+        ]
+      });
     }
 
     if (category && category !== 'all') {
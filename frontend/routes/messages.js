@@ -1,13 +1,52 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import Message from '../models/Message.js';
+import mongoose from 'mongoose';
+import { body, query, validationResult } from 'express-validator';
+import Message, { MAX_MESSAGE_REVISIONS, MAX_PINNED_MESSAGES, CLIENT_MESSAGE_TYPES } from '../models/Message.js';
 import User from '../models/User.js';
-import Group from '../models/Group.js';
-import { authenticateToken, requireGroupMember } from '../middleware/auth.js';
+import Group, { GROUP_ROLES, DEFAULT_EDIT_WINDOW_MINUTES } from '../models/Group.js';
+import Channel from '../models/Channel.js';
+import GroupAuditLog from '../models/GroupAuditLog.js';
+import { authenticateToken, requireGroupMember, requireGroupPermission, requireVerifiedEmail, rejectMutedMembers, canInGroup, getEffectiveGroupRole } from '../middleware/auth.js';
 import { uploadMessageAttachment, handleUploadError } from '../middleware/upload.js';
+import { emitGroupMessage, emitDeliveryStatus, messageRoom, fillMessagePreviews, loadMessageScope } from '../utils/socketHandlers.js';
+import { applyMessageMentions, notifyMentions } from '../utils/mentions.js';
+import { sendDirectMessage, sendGroupMessage } from '../utils/publishing.js';
+import { checkSendAt, scheduleItem } from '../utils/scheduler.js';
+import { diffText } from '../utils/textDiff.js';
+import { pollValidation, voteValidation, getPollResults, votePoll, retractPollVote, closePoll } from '../utils/polls.js';
+import { signAttachment, readAttachments, attachmentValidation, attachmentLabel, hasAttachments, attachmentType } from '../utils/attachments.js';
+import { analyzeAudio } from '../utils/audio.js';
 
 const router = express.Router();
 
+// History and search take a cursor instead of a page number:
+// before/after a message id or timestamp, or around a message id to jump to it
+const cursorValidation = [
+  query('before').optional().isString(),
+  query('after').optional().isString(),
+  query('around').optional().isMongoId().withMessage('Invalid message ID'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100')
+];
+
+const cursorOptions = (req, defaultLimit = 50) => ({
+  before: req.query.before,
+  after: req.query.after,
+  around: req.query.around,
+  limit: req.query.limit || defaultLimit
+});
+
+// Optional idempotency key; resending with the same key returns the original message
+const clientIdValidation = body('clientId').optional().isString().trim().isLength({ min: 1, max: 64 }).withMessage('Client ID must be 1-64 characters');
+
+// Optional send time; the message is stored and sent by the scheduler
+const sendAtValidation = body('sendAt').optional().isISO8601().withMessage('Send time must be an ISO 8601 date');
+
+const sendInvalidCursor = (req, res) => {
+  return req.query.around
+    ? res.status(404).json({ message: 'Message not found' })
+    : res.status(400).json({ message: 'Invalid cursor' });
+};
+
 // Get user conversations
 router.get('/conversations', authenticateToken, async (req, res) => {
   try {
@@ -20,11 +59,17 @@ router.get('/conversations', authenticateToken, async (req, res) => {
 });
 
 // Get conversation messages
-router.get('/conversations/:userId', authenticateToken, async (req, res) => {
+router.get('/conversations/:userId', authenticateToken, cursorValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
     const { userId } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
 
     // Verify the other user exists
     const otherUser = await User.findById(userId).select('name avatar');
@@ -32,27 +77,27 @@ router.get('/conversations/:userId', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const messages = await Message.getConversation(req.user._id, userId, page, limit);
+    const page = await Message.getConversation(req.user._id, userId, cursorOptions(req));
+    if (!page) {
+      return sendInvalidCursor(req, res);
+    }
 
-    // Mark messages as read
-    await Message.updateMany(
-      {
-        sender: userId,
-        recipient: req.user._id,
-        'readBy.user': { $ne: req.user._id }
-      },
-      {
-        $push: {
-          readBy: { user: req.user._id }
-        }
-      }
-    );
+    // Mark messages as delivered and read, and tell the sender like the socket path does
+    const unread = { sender: otherUser._id, recipient: req.user._id };
+    const now = new Date();
+    const delivered = await Message.markDelivered(req.user._id, unread, now);
+    const read = await Message.markRead(req.user._id, unread, now);
+
+    const io = req.app.get('io');
+    if (io) {
+      delivered.forEach(message => emitDeliveryStatus(io, message, req.user._id, 'delivered', now));
+      read.forEach(message => emitDeliveryStatus(io, message, req.user._id, 'read', now));
+    }
 
     res.json({
-      messages: messages.reverse(),
+      ...page,
       otherUser,
-      page,
-      hasMore: messages.length === limit
+      hasMore: page.hasMoreBefore
     });
   } catch (error) {
     console.error('Get conversation messages error:', error);
@@ -60,11 +105,31 @@ router.get('/conversations/:userId', authenticateToken, async (req, res) => {
   }
 });
 
+// Schedule a message for req.body.sendAt instead of sending it now
+const scheduleSend = async (req, res, kind, payload) => {
+  const sendAtError = checkSendAt(req.body.sendAt);
+  if (sendAtError) {
+    return res.status(400).json({ message: sendAtError });
+  }
+
+  const { item, duplicate } = await scheduleItem(req.user, kind, req.body.sendAt, payload);
+
+  res.status(duplicate ? 200 : 202).json({
+    message: duplicate ? 'Message already scheduled' : 'Message scheduled',
+    scheduled: item,
+    duplicate
+  });
+};
+
 // Send direct message
-router.post('/direct', authenticateToken, [
+router.post('/direct', authenticateToken, requireVerifiedEmail, [
   body('recipient').isMongoId().withMessage('Invalid recipient ID'),
-  body('content').trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be 1-2000 characters'),
-  body('type').optional().isIn(['text', 'image', 'file']).withMessage('Invalid message type')
+  body('content').if((value, meta) => !hasAttachments(value, meta)).trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be 1-2000 characters'),
+  body('content').if(hasAttachments).optional().trim().isLength({ max: 2000 }).withMessage('Message cannot be more than 2000 characters'),
+  body('type').optional().isIn(CLIENT_MESSAGE_TYPES).withMessage('Invalid message type'),
+  ...attachmentValidation,
+  clientIdValidation,
+  sendAtValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -75,7 +140,13 @@ router.post('/direct', authenticateToken, [
       });
     }
 
-    const { recipient, content, type = 'text' } = req.body;
+    const { recipient, type = 'text', clientId, sendAt } = req.body;
+
+    const { attachments, error } = readAttachments(req.body.attachments, req.user._id);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const content = req.body.content || attachmentLabel(attachments);
 
     // Verify recipient exists
     const recipientUser = await User.findById(recipient);
@@ -83,22 +154,21 @@ router.post('/direct', authenticateToken, [
       return res.status(404).json({ message: 'Recipient not found' });
     }
 
-    const message = new Message({
-      sender: req.user._id,
-      recipient,
-      content,
-      type
-    });
+    if (sendAt && attachments.length) {
+      return res.status(400).json({ message: 'Messages with attachments cannot be scheduled' });
+    }
 
-    await message.save();
-    await message.populate('sender', 'name avatar');
+    if (sendAt) {
+      return scheduleSend(req, res, 'direct_message', { recipient, content, type, clientId });
+    }
 
-    // Emit real-time message
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`user_${recipient}`).emit('new_message', {
-        message,
-        conversationId: message.conversation
+    const { message, duplicate } = await sendDirectMessage(req.app.get('io'), req.user, { recipient, content, type, clientId, attachments });
+
+    if (duplicate) {
+      return res.json({
+        message: 'Message already sent',
+        data: message,
+        duplicate
       });
     }
 
@@ -113,18 +183,28 @@ router.post('/direct', authenticateToken, [
 });
 
 // Get group messages
-router.get('/groups/:groupId', authenticateToken, requireGroupMember(), async (req, res) => {
+router.get('/groups/:groupId', authenticateToken, requireGroupMember(), cursorValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
     const { groupId } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
 
-    const messages = await Message.getGroupMessages(groupId, page, limit);
+    const page = await Message.getGroupMessages(groupId, cursorOptions(req));
+    if (!page) {
+      return sendInvalidCursor(req, res);
+    }
 
     // Mark messages as read
     await Message.updateMany(
       {
         group: groupId,
+        channel: null,
         sender: { $ne: req.user._id },
         'readBy.user': { $ne: req.user._id }
       },
@@ -136,10 +216,9 @@ router.get('/groups/:groupId', authenticateToken, requireGroupMember(), async (r
     );
 
     res.json({
-      messages: messages.reverse(),
+      ...page,
       group: req.group,
-      page,
-      hasMore: messages.length === limit
+      hasMore: page.hasMoreBefore
     });
   } catch (error) {
     console.error('Get group messages error:', error);
@@ -147,11 +226,152 @@ router.get('/groups/:groupId', authenticateToken, requireGroupMember(), async (r
   }
 });
 
+// Poll messages carry a `poll` and may leave out content, which defaults to the question;
+// messages with attachments may leave it out too
+const contentIsOptional = (value, meta) => meta.req.body.type === 'poll' || hasAttachments(value, meta);
+
+const groupMessageValidation = [
+  body('content').if((value, meta) => !contentIsOptional(value, meta)).trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be 1-2000 characters'),
+  body('content').if(contentIsOptional).optional().trim().isLength({ max: 2000 }).withMessage('Message cannot be more than 2000 characters'),
+  body('type').optional().isIn([...CLIENT_MESSAGE_TYPES, 'poll']).withMessage('Invalid message type'),
+  body('replyTo').optional().isMongoId().withMessage('Invalid reply message ID'),
+  ...attachmentValidation,
+  clientIdValidation,
+  sendAtValidation,
+  ...pollValidation,
+  body('poll').if(body('type').equals('poll')).exists().withMessage('Poll details are required')
+];
+
+// Save a group message and broadcast it; channel is null for the default channel
+const postGroupMessage = async (req, res, channel = null) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      message: 'Validation failed', 
+      errors: errors.array() 
+    });
+  }
+
+  const { type = 'text', replyTo, clientId, sendAt } = req.body;
+  const poll = type === 'poll' ? req.body.poll : null;
+
+  const { attachments, error } = readAttachments(req.body.attachments, req.user._id);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  const content = req.body.content || (poll ? poll.question : attachmentLabel(attachments));
+
+  if (sendAt && poll) {
+    return res.status(400).json({ message: 'Polls cannot be scheduled' });
+  }
+
+  if (sendAt && attachments.length) {
+    return res.status(400).json({ message: 'Messages with attachments cannot be scheduled' });
+  }
+
+  if (sendAt) {
+    return scheduleSend(req, res, 'group_message', {
+      group: req.group._id,
+      channel: channel && !channel.isDefault ? channel._id : undefined,
+      content,
+      type,
+      replyTo,
+      clientId
+    });
+  }
+
+  const { message, duplicate } = await sendGroupMessage(req.app.get('io'), req.user, {
+    group: req.group,
+    role: req.groupRole,
+    channel,
+    content,
+    type,
+    replyTo,
+    clientId,
+    poll,
+    attachments
+  });
+
+  if (duplicate) {
+    return res.json({
+      message: 'Message already sent',
+      data: message,
+      duplicate
+    });
+  }
+
+  res.status(201).json({
+    message: 'Message sent successfully',
+    data: message
+  });
+};
+
 // Send group message
-router.post('/groups/:groupId', authenticateToken, requireGroupMember(), [
-  body('content').trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be 1-2000 characters'),
-  body('type').optional().isIn(['text', 'image', 'file']).withMessage('Invalid message type'),
-  body('replyTo').optional().isMongoId().withMessage('Invalid reply message ID')
+router.post('/groups/:groupId', authenticateToken, requireVerifiedEmail, requireGroupPermission('post'), rejectMutedMembers, groupMessageValidation, async (req, res) => {
+  try {
+    await postGroupMessage(req, res);
+  } catch (error) {
+    console.error('Send group message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Load :channelId of req.group as req.channel, hiding channels the caller cannot see
+const loadChannel = async (req, res, next) => {
+  try {
+    const { channelId } = req.params;
+    const channel = mongoose.Types.ObjectId.isValid(channelId)
+      ? await Channel.findOne({ _id: channelId, group: req.group._id, isArchived: false })
+      : null;
+
+    if (!channel || !channel.canView(req.groupRole)) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+
+    req.channel = channel;
+    next();
+  } catch (error) {
+    console.error('Load channel error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const channelValidation = [
+  body('name').optional().trim().isLength({ min: 1, max: 32 }).matches(/^[a-zA-Z0-9_-]+$/).withMessage('Name must be 1-32 letters, numbers, dashes or underscores'),
+  body('topic').optional().trim().isLength({ max: 250 }).withMessage('Topic cannot be more than 250 characters'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Invalid position'),
+  body('permissions.view').optional().isIn(GROUP_ROLES).withMessage('Invalid role for view'),
+  body('permissions.post').optional({ nullable: true }).isIn(GROUP_ROLES).withMessage('Invalid role for post')
+];
+
+// Get group channels with unread counts
+router.get('/groups/:groupId/channels', authenticateToken, requireGroupMember(), async (req, res) => {
+  try {
+    await Channel.ensureDefault(req.group._id, req.group.owner);
+    const channels = await Channel.getVisible(req.group._id, req.groupRole);
+
+    const result = await Promise.all(channels.map(async channel => ({
+      ...channel.toObject(),
+      canPost: channel.canPost(req.group, req.groupRole),
+      unreadCount: await Message.countDocuments({
+        ...channel.messageFilter(),
+        sender: { $ne: req.user._id },
+        'readBy.user': { $ne: req.user._id },
+        isDeleted: false
+      })
+    })));
+
+    res.json({ channels: result });
+  } catch (error) {
+    console.error('Get channels error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create channel
+router.post('/groups/:groupId/channels', authenticateToken, requireGroupPermission('manageChannels'), [
+  body('name').exists().withMessage('Channel name is required'),
+  ...channelValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -162,70 +382,241 @@ router.post('/groups/:groupId', authenticateToken, requireGroupMember(), [
       });
     }
 
-    const { groupId } = req.params;
-    const { content, type = 'text', replyTo } = req.body;
+    const { name, topic, position, permissions = {} } = req.body;
 
-    const messageData = {
-      sender: req.user._id,
-      group: groupId,
-      content,
-      type
-    };
+    await Channel.ensureDefault(req.group._id, req.group.owner);
+
+    const channel = await Channel.create({
+      group: req.group._id,
+      name,
+      topic,
+      position,
+      permissions: { view: permissions.view, post: permissions.post ?? null },
+      createdBy: req.user._id
+    });
 
-    if (replyTo) {
-      messageData.replyTo = replyTo;
+    const io = req.app.get('io');
+    if (io && channel.permissions.view === 'member') {
+      io.to(`group_${req.group._id}`).emit('channel_created', { groupId: req.group._id, channel });
     }
 
-    const message = new Message(messageData);
-    await message.save();
-    await message.populate([
-      { path: 'sender', select: 'name avatar' },
-      { path: 'replyTo', select: 'content sender', populate: { path: 'sender', select: 'name' } }
-    ]);
+    res.status(201).json({
+      message: 'Channel created successfully',
+      channel
+    });
+  } catch (error) {
+    console.error('Create channel error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A channel with this name already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Update group stats
-    await Group.findByIdAndUpdate(groupId, {
-      $inc: { 'stats.totalMessages': 1 }
+// Update channel
+router.put('/groups/:groupId/channels/:channelId', authenticateToken, requireGroupPermission('manageChannels'), loadChannel, channelValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { channel } = req;
+    const { name, topic, position, permissions } = req.body;
+
+    if (name !== undefined) channel.name = name;
+    if (topic !== undefined) channel.topic = topic;
+    if (position !== undefined) channel.position = position;
+    if (permissions?.view !== undefined) {
+      if (channel.isDefault && permissions.view !== 'member') {
+        return res.status(400).json({ message: 'The default channel must stay visible to all members' });
+      }
+      channel.permissions.view = permissions.view;
+    }
+    if (permissions?.post !== undefined) channel.permissions.post = permissions.post;
+
+    await channel.save();
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`group_${req.group._id}`).emit('channel_updated', { groupId: req.group._id, channel });
+    }
+
+    res.json({
+      message: 'Channel updated successfully',
+      channel
     });
+  } catch (error) {
+    console.error('Update channel error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A channel with this name already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Archive channel
+router.delete('/groups/:groupId/channels/:channelId', authenticateToken, requireGroupPermission('manageChannels'), loadChannel, async (req, res) => {
+  try {
+    const { channel } = req;
+
+    if (channel.isDefault) {
+      return res.status(400).json({ message: 'The default channel cannot be deleted' });
+    }
+
+    channel.isArchived = true;
+    await channel.save();
 
-    // Emit real-time message to group members
     const io = req.app.get('io');
     if (io) {
-      io.to(`group_${groupId}`).emit('new_group_message', {
-        message,
-        groupId
+      io.to(`group_${req.group._id}`).emit('channel_archived', { groupId: req.group._id, channelId: channel._id });
+      io.in(channel.roomName()).socketsLeave(channel.roomName());
+    }
+
+    res.json({ message: 'Channel deleted successfully' });
+  } catch (error) {
+    console.error('Archive channel error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get channel messages
+router.get('/groups/:groupId/channels/:channelId', authenticateToken, requireGroupMember(), loadChannel, cursorValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
       });
     }
 
-    res.status(201).json({
-      message: 'Message sent successfully',
-      data: message
+    const { groupId } = req.params;
+    const channelId = req.channel.isDefault ? null : req.channel._id;
+
+    const page = await Message.getGroupMessages(groupId, cursorOptions(req), channelId);
+    if (!page) {
+      return sendInvalidCursor(req, res);
+    }
+
+    // Mark messages as read
+    await Message.updateMany(
+      {
+        ...req.channel.messageFilter(),
+        sender: { $ne: req.user._id },
+        'readBy.user': { $ne: req.user._id }
+      },
+      {
+        $push: {
+          readBy: { user: req.user._id }
+        }
+      }
+    );
+
+    res.json({
+      ...page,
+      channel: req.channel,
+      hasMore: page.hasMoreBefore
     });
   } catch (error) {
-    console.error('Send group message error:', error);
+    console.error('Get channel messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send channel message
+router.post('/groups/:groupId/channels/:channelId', authenticateToken, requireVerifiedEmail, requireGroupMember(), rejectMutedMembers, loadChannel, groupMessageValidation, async (req, res) => {
+  try {
+    if (!req.channel.canPost(req.group, req.groupRole)) {
+      return res.status(403).json({ message: 'You do not have permission to post in this channel', code: 'CHANNEL_PERMISSION_DENIED' });
+    }
+
+    await postGroupMessage(req, res, req.channel);
+  } catch (error) {
+    console.error('Send channel message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pinned messages matching `filter`, most recently pinned first
+const sendPins = async (res, filter) => {
+  const pins = await Message.find({ ...filter, isPinned: true, isDeleted: false })
+    .populate('sender', 'name avatar')
+    .populate('pinnedBy', 'name avatar')
+    .sort({ pinnedAt: -1 });
+
+  res.json({ pins, limit: MAX_PINNED_MESSAGES });
+};
+
+// Get pinned messages of a direct conversation
+router.get('/conversations/:userId/pins', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const conversation = [req.user._id.toString(), userId].sort().join('_');
+    await sendPins(res, { conversation });
+  } catch (error) {
+    console.error('Get conversation pins error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get pinned messages of a group's default channel
+router.get('/groups/:groupId/pins', authenticateToken, requireGroupMember(), async (req, res) => {
+  try {
+    await sendPins(res, { group: req.group._id, channel: null });
+  } catch (error) {
+    console.error('Get group pins error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get pinned messages of a channel
+router.get('/groups/:groupId/channels/:channelId/pins', authenticateToken, requireGroupMember(), loadChannel, async (req, res) => {
+  try {
+    await sendPins(res, req.channel.messageFilter());
+  } catch (error) {
+    console.error('Get channel pins error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // Upload message attachment
-router.post('/attachment', authenticateToken, uploadMessageAttachment.single('file'), handleUploadError, async (req, res) => {
+router.post('/attachment', authenticateToken, requireVerifiedEmail, uploadMessageAttachment.single('file'), handleUploadError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
     const attachment = {
-      type: req.file.mimetype.startsWith('image/') ? 'image' : 
-            req.file.mimetype.startsWith('video/') ? 'video' : 'document',
+      type: attachmentType(req.file.stored),
       url: req.file.path,
       filename: req.file.originalname,
       size: req.file.size,
       publicId: req.file.filename
     };
 
+    // Voice notes get their length and waveform measured here; without them the
+    // player falls back to what the browser reports
+    if (attachment.type === 'audio') {
+      try {
+        Object.assign(attachment, await analyzeAudio(attachment.url));
+      } catch (error) {
+        console.error('Analyze audio error:', error.message);
+      }
+    }
+
     res.json({
       message: 'File uploaded successfully',
-      attachment
+      attachment,
+      // Send this in a message's `attachments` to attach the file
+      token: signAttachment(attachment, req.user._id)
     });
   } catch (error) {
     console.error('Upload attachment error:', error);
@@ -254,13 +645,8 @@ router.post('/:messageId/reaction', authenticateToken, [
       return res.status(404).json({ message: 'Message not found' });
     }
 
-    // Check if user has access to this message
-    const hasAccess = message.sender.toString() === req.user._id.toString() ||
-                     message.recipient?.toString() === req.user._id.toString() ||
-                     (message.group && await Group.findOne({ 
-                       _id: message.group, 
-                       'members.user': req.user._id 
-                     }));
+    // Check if user has access to this message, channel included
+    const hasAccess = await getMessageAccess(message, req.user);
 
     if (!hasAccess) {
       return res.status(403).json({ message: 'Access denied' });
@@ -274,7 +660,7 @@ router.post('/:messageId/reaction', authenticateToken, [
     // Emit real-time reaction update
     const io = req.app.get('io');
     if (io) {
-      const roomName = message.group ? `group_${message.group}` : `user_${message.recipient}`;
+      const roomName = messageRoom(message);
       io.to(roomName).emit('message_reaction', {
         messageId,
         userId: req.user._id,
@@ -309,7 +695,9 @@ router.put('/:messageId', authenticateToken, [
     const { messageId } = req.params;
     const { content } = req.body;
 
-    const message = await Message.findById(messageId);
+    const message = mongoose.Types.ObjectId.isValid(messageId)
+      ? await Message.findById(messageId).select('+revisions')
+      : null;
     if (!message || message.isDeleted) {
       return res.status(404).json({ message: 'Message not found' });
     }
@@ -319,28 +707,81 @@ router.put('/:messageId', authenticateToken, [
       return res.status(403).json({ message: 'You can only edit your own messages' });
     }
 
-    // Check if message is older than 5 minutes (edit time limit)
-    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-    if (message.createdAt < fiveMinutesAgo) {
-      return res.status(400).json({ message: 'Message can only be edited within 5 minutes' });
+    if (message.type === 'system') {
+      return res.status(400).json({ message: 'System messages cannot be edited' });
+    }
+
+    // Group messages follow the group's edit window; direct messages use the default
+    const access = await getMessageAccess(message, req.user);
+    const editWindow = access?.group ? access.group.settings.messageEditWindow : DEFAULT_EDIT_WINDOW_MINUTES;
+    const deadline = message.getEditDeadline(editWindow);
+    if (deadline && deadline < new Date()) {
+      return res.status(400).json({
+        message: editWindow === 0
+          ? 'Editing messages is disabled in this group'
+          : `Message can only be edited within ${editWindow} minutes`,
+        code: 'EDIT_WINDOW_EXPIRED',
+        editableUntil: deadline
+      });
+    }
+
+    if (content === message.content) {
+      return res.json({
+        message: 'Message unchanged',
+        data: message
+      });
+    }
+
+    if (message.revisions.length >= MAX_MESSAGE_REVISIONS) {
+      return res.status(400).json({ message: 'This message cannot be edited any further' });
     }
 
+    const previousContent = message.content;
     await message.editContent(content);
 
-    // Emit real-time edit
+    // Re-resolve mentions; only people newly mentioned by the edit are notified
+    const previousMentions = message.metadata.mentions.map(id => id.toString());
+    const previousBroadcast = message.metadata.broadcastMention;
+    const mentioned = await applyMessageMentions(message, access || {});
+    await message.save();
+
+    if (access?.group) {
+      // An @here/@channel that was already there does not fire again
+      const candidates = message.metadata.broadcastMention === previousBroadcast ? message.metadata.mentions : mentioned;
+      const newlyMentioned = candidates.filter(id => !previousMentions.includes(id.toString()));
+      await notifyMentions(req.app.get('io'), newlyMentioned, {
+        from: req.user,
+        group: access.group._id,
+        text: `${req.user.name} mentioned you in ${access.group.name}`
+      });
+    }
+
+    // Emit real-time edit with enough to show what changed without refetching the history
     const io = req.app.get('io');
     if (io) {
-      const roomName = message.group ? `group_${message.group}` : `user_${message.recipient}`;
-      io.to(roomName).emit('message_edited', {
+      const rooms = message.group ? [messageRoom(message)] : [messageRoom(message), `user_${message.sender}`];
+      io.to(rooms).emit('message_edited', {
         messageId,
         content,
-        editedAt: message.edited.editedAt
+        editedAt: message.edited.editedAt,
+        version: message.edited.version,
+        previousVersion: message.edited.version - 1,
+        previousContent,
+        change: diffText(previousContent, content),
+        conversationId: message.conversation,
+        groupId: message.group,
+        channelId: message.channel,
+        threadRoot: message.threadRoot
       });
     }
+    fillMessagePreviews(io, message);
+
+    const data = message.toObject();
+    delete data.revisions;
 
     res.json({
       message: 'Message edited successfully',
-      data: message
+      data
     });
   } catch (error) {
     console.error('Edit message error:', error);
@@ -348,6 +789,44 @@ router.put('/:messageId', authenticateToken, [
   }
 });
 
+// Get a message's edit history: the parties to a direct conversation, the sender,
+// or group admins can see it
+router.get('/:messageId/revisions', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const message = mongoose.Types.ObjectId.isValid(messageId)
+      ? await Message.findById(messageId).select('+revisions')
+      : null;
+    if (!message || message.isDeleted) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const access = await getMessageAccess(message, req.user);
+    if (!access) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const isSender = message.sender.toString() === req.user._id.toString();
+    if (access.group && !isSender && GROUP_ROLES.indexOf(access.role) < GROUP_ROLES.indexOf('admin')) {
+      return res.status(403).json({ message: 'Only group admins can view edit history' });
+    }
+
+    const revisions = message.getRevisions().map((revision, index, all) => ({
+      ...revision,
+      change: index > 0 ? diffText(all[index - 1].content, revision.content) : null
+    }));
+
+    res.json({
+      messageId: message._id,
+      currentVersion: revisions.length,
+      revisions
+    });
+  } catch (error) {
+    console.error('Get message revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete message
 router.delete('/:messageId', authenticateToken, async (req, res) => {
   try {
@@ -358,29 +837,53 @@ router.delete('/:messageId', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Message not found' });
     }
 
-    // Only sender can delete their message, or group admin can delete in group
-    let canDelete = message.sender.toString() === req.user._id.toString();
+    // Only sender can delete their message, or group roles allowed to delete others' messages
+    const isSender = message.sender.toString() === req.user._id.toString();
+    let canDelete = isSender;
+    let group = null;
 
     if (message.group && !canDelete) {
-      const group = await Group.findById(message.group);
-      canDelete = group && group.isAdmin(req.user._id);
+      group = await Group.findById(message.group);
+      canDelete = group && canInGroup(group, req.user, 'deleteMessages');
     }
 
     if (!canDelete) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    // Moderators may cite the group rule the message broke
+    const ruleId = req.body.ruleId || req.query.ruleId;
+    const rule = group && ruleId ? group.getRule(ruleId) : null;
+    if (group && ruleId && !rule) {
+      return res.status(400).json({ message: 'Cited rule not found' });
+    }
+
     message.isDeleted = true;
     message.deletedAt = new Date();
     await message.save();
 
+    if (message.threadRoot) {
+      await Message.findByIdAndUpdate(message.threadRoot, { $inc: { 'thread.replyCount': -1 } });
+    }
+
+    if (group) {
+      await GroupAuditLog.record(group._id, req.user._id, 'message_removed', {
+        targetUser: message.sender,
+        details: {
+          messageId: message._id,
+          ...(rule ? { rule: { id: rule._id, title: rule.title } } : {})
+        }
+      });
+    }
+
     // Emit real-time deletion
     const io = req.app.get('io');
     if (io) {
-      const roomName = message.group ? `group_${message.group}` : `user_${message.recipient}`;
+      const roomName = messageRoom(message);
       io.to(roomName).emit('message_deleted', {
         messageId,
-        deletedBy: req.user._id
+        deletedBy: req.user._id,
+        ...(rule ? { rule: { id: rule._id, title: rule.title } } : {})
       });
     }
 
@@ -391,11 +894,443 @@ router.delete('/:messageId', authenticateToken, async (req, res) => {
   }
 });
 
+// Get per-recipient delivery receipts (sender only)
+router.get('/:messageId/receipts', authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const message = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+
+    if (!message || message.isDeleted) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    if (message.sender.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the sender can view delivery receipts' });
+    }
+
+    await message.populate([
+      { path: 'deliveredTo.user', select: 'name avatar' },
+      { path: 'readBy.user', select: 'name avatar' },
+      { path: 'recipient', select: 'name avatar' }
+    ]);
+
+    const receipts = message.getReceipts();
+    res.json({
+      messageId: message._id,
+      status: message.recipient ? message.getDeliveryStatus(message.recipient._id) : undefined,
+      receipts,
+      counts: {
+        delivered: receipts.filter(r => r.status !== 'sent').length,
+        read: receipts.filter(r => r.status === 'read').length
+      }
+    });
+  } catch (error) {
+    console.error('Get delivery receipts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Load :messageId for pinning: the caller needs the group's pin permission,
+// or to be one of the two people in a direct conversation
+const loadPinnableMessage = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const message = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+    if (!message || message.isDeleted) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const access = await getMessageAccess(message, req.user);
+    if (!access) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    if (access.group && !access.group.roleHasPermission(access.role, 'pin')) {
+      return res.status(403).json({ message: 'You do not have permission to pin messages in this group' });
+    }
+
+    if (message.type === 'system' || message.threadRoot) {
+      return res.status(400).json({ message: 'Only messages in the main conversation can be pinned' });
+    }
+
+    req.pinMessage = message;
+    req.messageAccess = access;
+    next();
+  } catch (error) {
+    console.error('Load pinnable message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Rooms told about pin changes: the channel, or both people in a direct conversation
+const pinRooms = (message) => {
+  return message.group ? [messageRoom(message)] : [`user_${message.sender}`, `user_${message.recipient}`];
+};
+
+// Pin message
+router.post('/:messageId/pin', authenticateToken, loadPinnableMessage, async (req, res) => {
+  try {
+    const message = req.pinMessage;
+    const { group, channel } = req.messageAccess;
+
+    if (message.isPinned) {
+      return res.status(400).json({ message: 'Message is already pinned' });
+    }
+
+    const pinCount = await Message.countDocuments(message.pinFilter());
+    if (pinCount >= MAX_PINNED_MESSAGES) {
+      return res.status(400).json({
+        message: `A conversation can have at most ${MAX_PINNED_MESSAGES} pinned messages; unpin one first`,
+        code: 'PIN_LIMIT_REACHED'
+      });
+    }
+
+    await message.pin(req.user._id);
+
+    // Note in the stream who pinned what
+    const excerpt = message.content.length > 100 ? `${message.content.slice(0, 100)}…` : message.content;
+    const otherParty = message.sender.toString() === req.user._id.toString() ? message.recipient : message.sender;
+    const systemMessage = new Message({
+      sender: req.user._id,
+      type: 'system',
+      content: `${req.user.name} pinned a message: "${excerpt}"`,
+      group: message.group,
+      channel: message.channel,
+      recipient: message.group ? null : otherParty,
+      systemEvent: { action: 'message_pinned', message: message._id }
+    });
+    await systemMessage.save();
+    await systemMessage.populate('sender', 'name avatar');
+
+    const io = req.app.get('io');
+    if (io) {
+      if (group) {
+        emitGroupMessage(io, systemMessage, group, channel);
+      } else {
+        io.to(pinRooms(message)).emit('new_message', {
+          message: systemMessage,
+          conversationId: systemMessage.conversation
+        });
+      }
+
+      io.to(pinRooms(message)).emit('message_pinned', {
+        messageId: message._id,
+        pinnedBy: { _id: req.user._id, name: req.user.name },
+        pinnedAt: message.pinnedAt,
+        conversationId: message.conversation,
+        groupId: message.group,
+        channelId: message.channel,
+        systemMessageId: systemMessage._id
+      });
+    }
+
+    res.json({
+      message: 'Message pinned',
+      data: message,
+      systemMessage
+    });
+  } catch (error) {
+    console.error('Pin message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unpin message
+router.delete('/:messageId/pin', authenticateToken, loadPinnableMessage, async (req, res) => {
+  try {
+    const message = req.pinMessage;
+
+    if (!message.isPinned) {
+      return res.status(400).json({ message: 'Message is not pinned' });
+    }
+
+    await message.unpin();
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(pinRooms(message)).emit('message_unpinned', {
+        messageId: message._id,
+        unpinnedBy: { _id: req.user._id, name: req.user.name },
+        conversationId: message.conversation,
+        groupId: message.group,
+        channelId: message.channel
+      });
+    }
+
+    res.json({
+      message: 'Message unpinned',
+      data: message
+    });
+  } catch (error) {
+    console.error('Unpin message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Load the poll of :messageId for someone who can read the message. The poll's creator
+// and moderators who can delete messages may close it.
+const loadMessagePoll = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const message = mongoose.Types.ObjectId.isValid(messageId)
+      ? await Message.findById(messageId).populate('poll')
+      : null;
+    if (!message || message.isDeleted || !message.poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const access = await getMessageAccess(message, req.user);
+    if (!access) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    req.poll = message.poll;
+    req.pollRoom = messageRoom(message);
+    req.canClosePoll = message.poll.createdBy.toString() === req.user._id.toString()
+      || (!!access.group && access.group.roleHasPermission(access.role, 'deleteMessages'));
+    next();
+  } catch (error) {
+    console.error('Load message poll error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get poll results
+router.get('/:messageId/poll', authenticateToken, loadMessagePoll, getPollResults);
+
+// Vote in a poll; voting again replaces the earlier choice
+router.post('/:messageId/poll/votes', authenticateToken, loadMessagePoll, voteValidation, votePoll);
+
+// Retract a poll vote
+router.delete('/:messageId/poll/votes', authenticateToken, loadMessagePoll, retractPollVote);
+
+// Close a poll before its close time
+router.post('/:messageId/poll/close', authenticateToken, loadMessagePoll, closePoll);
+
+// Resolve what the user may do with a message: a party to the direct conversation,
+// or a group member who can see its channel. Returns null when the user has no access.
+const getMessageAccess = async (message, user) => {
+  if (!message.group) {
+    const isParty = [message.sender, message.recipient].some(id => id && id.toString() === user._id.toString());
+    return isParty ? { group: null, role: null, channel: null } : null;
+  }
+
+  const group = await Group.findById(message.group);
+  if (!group || group.isDeleted) return null;
+
+  const role = getEffectiveGroupRole(group, user);
+  if (!role) return null;
+
+  let channel = null;
+  if (message.channel) {
+    channel = await Channel.findById(message.channel);
+    if (!channel || !channel.canView(role)) return null;
+  }
+
+  return { group, role, channel };
+};
+
+// Load :messageId as a thread root the caller can read (req.threadRoot, req.messageAccess)
+const loadThreadRoot = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const root = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+
+    // Replies cannot start threads of their own
+    if (!root || root.threadRoot) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const access = await getMessageAccess(root, req.user);
+    if (!access) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    req.threadRoot = root;
+    req.messageAccess = access;
+    next();
+  } catch (error) {
+    console.error('Load thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get a thread
+router.get('/:messageId/thread', authenticateToken, loadThreadRoot, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const root = req.threadRoot;
+
+    const replies = await Message.getThreadReplies(root._id, page, limit);
+    await root.populate('sender', 'name avatar');
+
+    // Follower lists stay private
+    const { thread: { followers, ...thread }, ...rootData } = root.toObject();
+
+    res.json({
+      root: root.isDeleted ? { _id: root._id, isDeleted: true, thread } : { ...rootData, thread },
+      replies,
+      following: root.isFollowedBy(req.user._id),
+      page,
+      totalCount: root.thread.replyCount,
+      hasMore: page * limit < root.thread.replyCount
+    });
+  } catch (error) {
+    console.error('Get thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reply in a thread
+router.post('/:messageId/thread', authenticateToken, requireVerifiedEmail, loadThreadRoot, [
+  body('content').trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be 1-2000 characters'),
+  body('type').optional().isIn(['text', 'image', 'file']).withMessage('Invalid message type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const root = req.threadRoot;
+    const { group, role, channel } = req.messageAccess;
+    const { content, type = 'text' } = req.body;
+
+    if (root.isDeleted) {
+      return res.status(400).json({ message: 'Cannot reply to a deleted message' });
+    }
+
+    if (group) {
+      const canPost = channel ? channel.canPost(group, role) : group.roleHasPermission(role, 'post');
+      if (!canPost) {
+        return res.status(403).json({ message: 'You do not have permission to post here' });
+      }
+      const mute = group.getActiveMute(req.user._id);
+      if (mute) {
+        return res.status(403).json({ message: 'You are muted in this group', code: 'GROUP_MUTED', mutedUntil: mute.expiresAt });
+      }
+    }
+
+    // Direct replies go to the other party of the conversation
+    const recipient = group
+      ? null
+      : (root.sender.toString() === req.user._id.toString() ? root.recipient : root.sender);
+
+    const reply = new Message({
+      sender: req.user._id,
+      recipient,
+      group: root.group,
+      channel: root.channel,
+      threadRoot: root._id,
+      content,
+      type
+    });
+    const mentioned = await applyMessageMentions(reply, req.messageAccess);
+    await reply.save();
+    await reply.populate('sender', 'name avatar');
+
+    const updatedRoot = await Message.recordThreadReply(root, reply);
+
+    const io = req.app.get('io');
+    if (io) {
+      const summary = {
+        messageId: root._id,
+        replyCount: updatedRoot.thread.replyCount,
+        lastReplyAt: updatedRoot.thread.lastReplyAt
+      };
+
+      // Followers get the reply itself; everyone else only sees the counter move
+      const followers = updatedRoot.thread.followers.filter(id => {
+        if (!group) return true;
+        const followerRole = group.getMemberRole(id);
+        return channel ? channel.canView(followerRole) : !!followerRole;
+      });
+      if (followers.length > 0) {
+        io.to(followers.map(id => `user_${id}`)).emit('new_thread_reply', {
+          message: reply,
+          threadRootId: root._id,
+          ...summary
+        });
+      }
+      io.to(messageRoom(root)).emit('thread_updated', summary);
+    }
+    fillMessagePreviews(io, reply);
+
+    if (group) {
+      await notifyMentions(io, mentioned, {
+        from: req.user,
+        group: group._id,
+        text: `${req.user.name} mentioned you in a thread in ${group.name}`
+      });
+    }
+
+    res.status(201).json({
+      message: 'Reply sent successfully',
+      data: reply
+    });
+  } catch (error) {
+    console.error('Send thread reply error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Follow a thread
+router.post('/:messageId/thread/follow', authenticateToken, loadThreadRoot, async (req, res) => {
+  try {
+    await Message.updateOne(
+      { _id: req.threadRoot._id },
+      { $addToSet: { 'thread.followers': req.user._id } }
+    );
+
+    res.json({ message: 'Following thread', following: true });
+  } catch (error) {
+    console.error('Follow thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unfollow a thread
+router.delete('/:messageId/thread/follow', authenticateToken, loadThreadRoot, async (req, res) => {
+  try {
+    await Message.updateOne(
+      { _id: req.threadRoot._id },
+      { $pull: { 'thread.followers': req.user._id } }
+    );
+
+    res.json({ message: 'Unfollowed thread', following: false });
+  } catch (error) {
+    console.error('Unfollow thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Where each search hit can be opened. History views only page through the top-level messages
+// of one channel, so thread replies open their thread and channel messages jump (?around=)
+// in that channel; everything else jumps in the conversation or the group's default history.
+const withSearchContext = (messages) => messages.map(message => ({
+  ...message.toJSON(),
+  context: message.threadRoot
+    ? { view: 'thread', threadRoot: message.threadRoot, channel: message.channel || null }
+    : { view: message.channel ? 'channel' : 'history', channel: message.channel || null }
+}));
+
 // Search messages in conversation
-router.get('/search/conversation/:userId', authenticateToken, async (req, res) => {
+router.get('/search/conversation/:userId', authenticateToken, cursorValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
     const { userId } = req.params;
-    const { q, page = 1, limit = 20 } = req.query;
+    const { q } = req.query;
 
     if (!q || q.trim().length < 2) {
       return res.status(400).json({ message: 'Search query must be at least 2 characters' });
@@ -404,27 +1339,26 @@ router.get('/search/conversation/:userId', authenticateToken, async (req, res) =
     const ids = [req.user._id.toString(), userId.toString()].sort();
     const conversationId = ids.join('_');
 
-    const messages = await Message.find({
+    const filter = {
       conversation: conversationId,
       content: { $regex: q, $options: 'i' },
       isDeleted: false
-    })
-    .populate('sender', 'name avatar')
-    .sort({ createdAt: -1 })
-    .limit(limit * 1)
-    .skip((page - 1) * limit);
+    };
 
-    const totalCount = await Message.countDocuments({
-      conversation: conversationId,
-      content: { $regex: q, $options: 'i' },
-      isDeleted: false
+    const page = await Message.paginate(filter, {
+      ...cursorOptions(req, 20),
+      populate: { path: 'sender', select: 'name avatar' }
     });
+    if (!page) {
+      return sendInvalidCursor(req, res);
+    }
+
+    const totalCount = await Message.countDocuments(filter);
 
     res.json({
-      messages,
-      totalCount,
-      page: parseInt(page),
-      totalPages: Math.ceil(totalCount / limit)
+      ...page,
+      messages: withSearchContext(page.messages),
+      totalCount
     });
   } catch (error) {
     console.error('Search messages error:', error);
@@ -433,36 +1367,46 @@ router.get('/search/conversation/:userId', authenticateToken, async (req, res) =
 });
 
 // Search messages in group
-router.get('/search/group/:groupId', authenticateToken, requireGroupMember(), async (req, res) => {
+router.get('/search/group/:groupId', authenticateToken, requireGroupMember(), cursorValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
     const { groupId } = req.params;
-    const { q, page = 1, limit = 20 } = req.query;
+    const { q } = req.query;
 
     if (!q || q.trim().length < 2) {
       return res.status(400).json({ message: 'Search query must be at least 2 characters' });
     }
 
-    const messages = await Message.find({
+    // Only search channels the caller can see
+    const channels = await Channel.getVisible(groupId, req.groupRole);
+    const query = {
       group: groupId,
+      channel: { $in: [null, ...channels.filter(c => !c.isDefault).map(c => c._id)] },
       content: { $regex: q, $options: 'i' },
       isDeleted: false
-    })
-    .populate('sender', 'name avatar')
-    .sort({ createdAt: -1 })
-    .limit(limit * 1)
-    .skip((page - 1) * limit);
+    };
 
-    const totalCount = await Message.countDocuments({
-      group: groupId,
-      content: { $regex: q, $options: 'i' },
-      isDeleted: false
+    const page = await Message.paginate(query, {
+      ...cursorOptions(req, 20),
+      populate: { path: 'sender', select: 'name avatar' }
     });
+    if (!page) {
+      return sendInvalidCursor(req, res);
+    }
+
+    const totalCount = await Message.countDocuments(query);
 
     res.json({
-      messages,
-      totalCount,
-      page: parseInt(page),
-      totalPages: Math.ceil(totalCount / limit)
+      ...page,
+      messages: withSearchContext(page.messages),
+      totalCount
     });
   } catch (error) {
     console.error('Search group messages error:', error);
@@ -473,14 +1417,12 @@ router.get('/search/group/:groupId', authenticateToken, requireGroupMember(), as
 // Get unread message count
 router.get('/unread/count', authenticateToken, async (req, res) => {
   try {
+    // Same messages as the conversation and channel badges: what the user can see,
+    // without thread replies
     const unreadCount = await Message.countDocuments({
-      $or: [
-        { recipient: req.user._id },
-        { 
-          group: { $in: req.user.joinedGroups },
-          sender: { $ne: req.user._id }
-        }
-      ],
+      $and: [await loadMessageScope(req.user._id)],
+      sender: { $ne: req.user._id },
+      threadRoot: null,
       'readBy.user': { $ne: req.user._id },
       isDeleted: false
     });
@@ -2,8 +2,14 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Post from '../models/Post.js';
 import User from '../models/User.js';
-import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import Group from '../models/Group.js';
+import { authenticateToken, optionalAuth, requireVerifiedEmail, getEffectiveGroupRole, sendForbidden, groupPostDenial } from '../middleware/auth.js';
 import { uploadPostImages, handleUploadError } from '../middleware/upload.js';
+import { resolveMentions, mentionAudience, notifyMentions } from '../utils/mentions.js';
+import { fillPostPreview } from '../utils/linkPreview.js';
+import { publishPost } from '../utils/publishing.js';
+import { checkSendAt, scheduleItem } from '../utils/scheduler.js';
+import { pollValidation, voteValidation, getPollResults, votePoll, retractPollVote, closePoll } from '../utils/polls.js';
 
 const router = express.Router();
 
@@ -40,6 +46,7 @@ router.get('/', optionalAuth, async (req, res) => {
       .populate('author', 'name avatar')
       .populate('comments.author', 'name avatar')
       .populate('likes', 'name')
+      .populate('poll')
       .sort(sortQuery)
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -79,6 +86,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
       .populate('author', 'name avatar bio followersCount')
       .populate('comments.author', 'name avatar')
       .populate('likes', 'name avatar')
+      .populate('poll')
       .lean();
 
     if (!post || post.isDeleted) {
@@ -105,11 +113,14 @@ router.get('/:id', optionalAuth, async (req, res) => {
 });
 
 // Create new post
-router.post('/', authenticateToken, uploadPostImages.array('images', 5), handleUploadError, [
+router.post('/', authenticateToken, requireVerifiedEmail, uploadPostImages.array('images', 5), handleUploadError, [
   body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
   body('description').trim().isLength({ min: 1, max: 2000 }).withMessage('Description must be 1-2000 characters'),
   body('link').optional().isURL().withMessage('Link must be a valid URL'),
-  body('groupId').optional().isMongoId().withMessage('Invalid group ID')
+  body('groupId').optional().isMongoId().withMessage('Invalid group ID'),
+  body('sendAt').optional().isISO8601().withMessage('Send time must be an ISO 8601 date'),
+  body('clientId').optional().isString().trim().isLength({ min: 1, max: 64 }).withMessage('Client ID must be 1-64 characters'),
+  ...pollValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -120,35 +131,53 @@ router.post('/', authenticateToken, uploadPostImages.array('images', 5), handleU
       });
     }
 
-    const { title, description, link, groupId } = req.body;
+    const { title, description, link, groupId, sendAt, clientId, poll } = req.body;
 
-    const postData = {
-      title,
-      description,
-      author: req.user._id,
-      images: req.files ? req.files.map(file => ({
-        url: file.path,
-        publicId: file.filename
-      })) : [],
-    };
+    const images = req.files ? req.files.map(file => ({
+      url: file.path,
+      publicId: file.filename
+    })) : [];
 
-    if (link) postData.link = link;
-    if (groupId) postData.group = groupId;
+    const group = groupId ? await Group.findById(groupId) : null;
+    if (groupId && (!group || group.isDeleted)) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
 
-    const post = new Post(postData);
-    await post.save();
+    // Same checks as posting through the group's own route
+    const denial = group && groupPostDenial(group, req.user);
+    if (denial) {
+      return sendForbidden(res, denial.message, denial.code, denial.extra);
+    }
+
+    if (sendAt && poll) {
+      return res.status(400).json({ message: 'Polls cannot be scheduled' });
+    }
+
+    // Schedule the post instead of publishing it now
+    if (sendAt) {
+      const sendAtError = checkSendAt(sendAt);
+      if (sendAtError) {
+        return res.status(400).json({ message: sendAtError });
+      }
 
-    // Populate author info
-    await post.populate('author', 'name avatar');
+      const { item, duplicate } = await scheduleItem(req.user, 'post', sendAt, {
+        title,
+        description,
+        link,
+        images,
+        group: group ? group._id : undefined,
+        clientId
+      });
 
-    // If it's a group post, update group stats
-    if (groupId) {
-      const Group = (await import('../models/Group.js')).default;
-      await Group.findByIdAndUpdate(groupId, {
-        $inc: { 'stats.totalPosts': 1 }
+      return res.status(duplicate ? 200 : 202).json({
+        message: duplicate ? 'Post already scheduled' : 'Post scheduled',
+        scheduled: item,
+        duplicate
       });
     }
 
+    const post = await publishPost(req.app.get('io'), req.user, { title, description, link, images, group, poll });
+
     res.status(201).json({
       message: 'Post created successfully',
       post
@@ -192,12 +221,29 @@ router.put('/:id', authenticateToken, [
     if (description) updateData.description = description;
     if (link !== undefined) updateData.link = link;
 
+    let newlyMentioned = [];
+    if (description) {
+      const group = post.group ? await Group.findById(post.group) : null;
+      updateData.mentions = await resolveMentions(description, mentionAudience(group));
+      newlyMentioned = updateData.mentions.filter(id => !post.mentions.some(m => m.toString() === id.toString()));
+    }
+
     const updatedPost = await Post.findByIdAndUpdate(
       id,
       updateData,
       { new: true, runValidators: true }
     ).populate('author', 'name avatar');
 
+    if (description || link !== undefined) {
+      fillPostPreview(updatedPost);
+    }
+
+    await notifyMentions(req.app.get('io'), newlyMentioned, {
+      from: req.user,
+      post: post._id,
+      text: `${req.user.name} mentioned you in a post`
+    });
+
     res.json({
       message: 'Post updated successfully',
       post: updatedPost
@@ -218,9 +264,9 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    // Check if user is the author or admin
+    // Check if user is the author or a site moderator/admin
     const canDelete = post.author.toString() === req.user._id.toString() || 
-                     req.user.role === 'admin';
+                     req.user.hasRole('moderator');
     
     if (!canDelete) {
       return res.status(403).json({ message: 'You can only delete your own posts' });
@@ -286,7 +332,7 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
 });
 
 // Add comment to post
-router.post('/:id/comment', authenticateToken, [
+router.post('/:id/comment', authenticateToken, requireVerifiedEmail, [
   body('content').trim().isLength({ min: 1, max: 500 }).withMessage('Comment must be 1-500 characters')
 ], async (req, res) => {
   try {
@@ -306,9 +352,18 @@ router.post('/:id/comment', authenticateToken, [
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    const comment = await post.addComment(req.user._id, content);
+    const group = post.group ? await Group.findById(post.group) : null;
+    const mentions = await resolveMentions(content, mentionAudience(group));
+
+    const comment = await post.addComment(req.user._id, content, mentions);
     await post.populate('comments.author', 'name avatar');
 
+    await notifyMentions(req.app.get('io'), mentions, {
+      from: req.user,
+      post: post._id,
+      text: `${req.user.name} mentioned you in a comment`
+    });
+
     // Add notification to post author (if not self-comment)
     if (post.author.toString() !== req.user._id.toString()) {
       const postAuthor = await User.findById(post.author);
@@ -491,4 +546,45 @@ router.get('/hashtags/popular', async (req, res) => {
   }
 });
 
+// Load the poll of post :id. Polls in group posts are for the group's members, who get
+// live tallies in the group room; the author and group moderators may close them.
+const loadPostPoll = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id).populate('poll');
+    if (!post || post.isDeleted || !post.poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    let canModerate = false;
+    if (post.group) {
+      const group = await Group.findById(post.group);
+      const role = group && !group.isDeleted ? getEffectiveGroupRole(group, req.user) : null;
+      if (!role) {
+        return res.status(403).json({ message: 'Only group members can take part in this poll' });
+      }
+      canModerate = group.roleHasPermission(role, 'deleteMessages');
+    }
+
+    req.poll = post.poll;
+    req.pollRoom = post.group ? `group_${post.group}` : null;
+    req.canClosePoll = canModerate || post.author.toString() === req.user._id.toString();
+    next();
+  } catch (error) {
+    console.error('Load post poll error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get poll results
+router.get('/:id/poll', authenticateToken, loadPostPoll, getPollResults);
+
+// Vote in a poll; voting again replaces the earlier choice
+router.post('/:id/poll/votes', authenticateToken, loadPostPoll, voteValidation, votePoll);
+
+// Retract a poll vote
+router.delete('/:id/poll/votes', authenticateToken, loadPostPoll, retractPollVote);
+
+// Close a poll before its close time
+router.post('/:id/poll/close', authenticateToken, loadPostPoll, closePoll);
+
 export default router;
\ No newline at end of file
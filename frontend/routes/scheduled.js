@@ -0,0 +1,200 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, query, validationResult } from 'express-validator';
+import ScheduledItem, { SCHEDULED_KINDS, EDITABLE_STATUSES } from '../models/ScheduledItem.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { deleteFromCloudinary } from '../middleware/upload.js';
+import { checkSendAt } from '../utils/scheduler.js';
+
+const router = express.Router();
+
+// Load :itemId as req.item when it belongs to the caller
+const loadItem = async (req, res, next) => {
+  try {
+    const { itemId } = req.params;
+    const item = mongoose.Types.ObjectId.isValid(itemId)
+      ? await ScheduledItem.findOne({ _id: itemId, author: req.user._id })
+      : null;
+
+    if (!item) {
+      return res.status(404).json({ message: 'Scheduled item not found' });
+    }
+
+    req.item = item;
+    next();
+  } catch (error) {
+    console.error('Load scheduled item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Get the caller's scheduled messages and posts, soonest first
+router.get('/', authenticateToken, [
+  query('status').optional().isIn(['scheduled', 'processing', 'sent', 'failed', 'cancelled']).withMessage('Invalid status'),
+  query('kind').optional().isIn(SCHEDULED_KINDS).withMessage('Invalid kind')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, kind } = req.query;
+
+    // Without a status, everything that has not gone out or been cancelled
+    const filter = {
+      author: req.user._id,
+      status: status || { $in: ['scheduled', 'processing', 'failed'] }
+    };
+    if (kind) filter.kind = kind;
+
+    const items = await ScheduledItem.find(filter)
+      .populate('payload.recipient', 'name avatar')
+      .populate('payload.group', 'name avatar')
+      .populate('payload.channel', 'name')
+      .sort({ sendAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const totalCount = await ScheduledItem.countDocuments(filter);
+
+    res.json({
+      items,
+      totalCount,
+      page,
+      totalPages: Math.ceil(totalCount / limit),
+      hasNextPage: page < Math.ceil(totalCount / limit)
+    });
+  } catch (error) {
+    console.error('Get scheduled items error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a scheduled item
+router.get('/:itemId', authenticateToken, loadItem, async (req, res) => {
+  try {
+    await req.item.populate([
+      { path: 'payload.recipient', select: 'name avatar' },
+      { path: 'payload.group', select: 'name avatar' },
+      { path: 'payload.channel', select: 'name' }
+    ]);
+
+    res.json({ item: req.item });
+  } catch (error) {
+    console.error('Get scheduled item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit a scheduled item's content or send time; editing a failed item schedules it again
+router.put('/:itemId', authenticateToken, loadItem, [
+  body('sendAt').optional().isISO8601().withMessage('Send time must be an ISO 8601 date'),
+  body('content').optional().trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be 1-2000 characters'),
+  body('title').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
+  body('description').optional().trim().isLength({ min: 1, max: 2000 }).withMessage('Description must be 1-2000 characters'),
+  body('link').optional({ checkFalsy: true }).isURL().withMessage('Link must be a valid URL')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { item } = req;
+    const { sendAt, content, title, description, link } = req.body;
+
+    if (!item.isEditable()) {
+      return res.status(400).json({ message: `A ${item.status} item can no longer be edited` });
+    }
+
+    const isPost = item.kind === 'post';
+    if (isPost && content !== undefined) {
+      return res.status(400).json({ message: 'Posts have a title and description, not content' });
+    }
+    if (!isPost && [title, description, link].some(value => value !== undefined)) {
+      return res.status(400).json({ message: 'Messages only have content' });
+    }
+
+    const updateData = { status: 'scheduled', error: null, attempts: 0 };
+
+    if (sendAt) {
+      const sendAtError = checkSendAt(sendAt);
+      if (sendAtError) {
+        return res.status(400).json({ message: sendAtError });
+      }
+      updateData.sendAt = sendAt;
+    } else if (item.sendAt <= new Date()) {
+      return res.status(400).json({ message: 'Choose a new send time' });
+    }
+
+    if (content !== undefined) updateData['payload.content'] = content;
+    if (title !== undefined) updateData['payload.title'] = title;
+    if (description !== undefined) updateData['payload.description'] = description;
+    if (link !== undefined) updateData['payload.link'] = link || null;
+
+    // The scheduler may have claimed it since it was loaded
+    const updatedItem = await ScheduledItem.findOneAndUpdate(
+      { _id: item._id, status: { $in: EDITABLE_STATUSES } },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedItem) {
+      return res.status(400).json({ message: 'This item is already being sent' });
+    }
+
+    res.json({
+      message: 'Scheduled item updated successfully',
+      item: updatedItem
+    });
+  } catch (error) {
+    console.error('Update scheduled item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a scheduled item
+router.delete('/:itemId', authenticateToken, loadItem, async (req, res) => {
+  try {
+    const { item } = req;
+
+    if (!item.isEditable()) {
+      return res.status(400).json({ message: `A ${item.status} item can no longer be cancelled` });
+    }
+
+    const cancelledItem = await ScheduledItem.findOneAndUpdate(
+      { _id: item._id, status: { $in: EDITABLE_STATUSES } },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    );
+
+    if (!cancelledItem) {
+      return res.status(400).json({ message: 'This item is already being sent' });
+    }
+
+    // Images uploaded for a post that will never be published
+    const images = cancelledItem.payload.images || [];
+    await Promise.all(images.filter(image => image.publicId).map(image =>
+      deleteFromCloudinary(image.publicId).catch(() => {})
+    ));
+
+    res.json({
+      message: 'Scheduled item cancelled',
+      item: cancelledItem
+    });
+  } catch (error) {
+    console.error('Cancel scheduled item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import User from '../models/User.js';
+import User, { RESERVED_HANDLES } from '../models/User.js';
 import Post from '../models/Post.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { uploadAvatar, handleUploadError } from '../middleware/upload.js';
@@ -54,6 +54,9 @@ router.get('/profile/:id', async (req, res) => {
 // Update user profile
 router.put('/profile', authenticateToken, [
   body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
+  body('handle').optional().trim().toLowerCase()
+    .matches(/^[a-z0-9_]{3,30}$/).withMessage('Handle must be 3-30 letters, numbers or underscores')
+    .not().isIn(RESERVED_HANDLES).withMessage('This handle is reserved'),
   body('bio').optional().isLength({ max: 500 }).withMessage('Bio cannot be more than 500 characters'),
   body('externalLink').optional().isURL().withMessage('External link must be a valid URL')
 ], async (req, res) => {
@@ -66,10 +69,11 @@ router.put('/profile', authenticateToken, [
       });
     }
 
-    const { name, bio, externalLink } = req.body;
+    const { name, handle, bio, externalLink } = req.body;
     const updateData = {};
 
     if (name) updateData.name = name;
+    if (handle) updateData.handle = handle;
     if (bio !== undefined) updateData.bio = bio;
     if (externalLink !== undefined) updateData.externalLink = externalLink;
 
@@ -85,6 +89,9 @@ router.put('/profile', authenticateToken, [
     });
   } catch (error) {
     console.error('Update profile error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This handle is already taken' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -235,10 +242,11 @@ router.get('/search', async (req, res) => {
     const users = await User.find({
       $or: [
         { name: { $regex: q, $options: 'i' } },
+        { handle: { $regex: q, $options: 'i' } },
         { bio: { $regex: q, $options: 'i' } }
       ]
     })
-    .select('name avatar bio followersCount followingCount')
+    .select('name handle avatar bio followersCount followingCount')
     .limit(limit * 1)
     .skip((page - 1) * limit)
     .sort({ followersCount: -1 });
@@ -246,6 +254,7 @@ router.get('/search', async (req, res) => {
     const totalCount = await User.countDocuments({
       $or: [
         { name: { $regex: q, $options: 'i' } },
+        { handle: { $regex: q, $options: 'i' } },
         { bio: { $regex: q, $options: 'i' } }
       ]
     });
@@ -17,12 +17,20 @@ import postRoutes from './routes/posts.js';
 import groupRoutes from './routes/groups.js';
 import messageRoutes from './routes/messages.js';
 import adminRoutes from './routes/admin.js';
+import scheduledRoutes from './routes/scheduled.js';
 
 // Import socket handlers
 import { handleConnection } from './utils/socketHandlers.js';
+import { startGroupCleanup } from './utils/groupCleanup.js';
+import { startScheduler } from './utils/scheduler.js';
+import { checkMailConfig } from './utils/mailer.js';
+import { runMigrations } from './utils/migrations.js';
+import { checkFfmpeg } from './utils/audio.js';
 
 // Load environment variables
 dotenv.config();
+checkMailConfig();
+checkFfmpeg();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -36,6 +44,9 @@ const io = new Server(server, {
   }
 });
 
+// Make io available to routes via req.app.get('io')
+app.set('io', io);
+
 const PORT = process.env.PORT || 5000;
 
 // Rate limiting
@@ -63,7 +74,16 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mini-offi
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('🚀 Connected to MongoDB'))
+.then(async () => {
+  console.log('🚀 Connected to MongoDB');
+  try {
+    await runMigrations();
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+  }
+  startGroupCleanup();
+  startScheduler(io);
+})
 .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 // Routes
@@ -73,6 +93,7 @@ app.use('/api/posts', postRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/scheduled', scheduledRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,158 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeUser, makeGroup, signIn, serve, request, queryOf, fakeIo } from './helpers.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: Group } = await import('../models/Group.js');
+const { default: User } = await import('../models/User.js');
+const { default: JoinRequest } = await import('../models/JoinRequest.js');
+const { default: GroupInvite } = await import('../models/GroupInvite.js');
+const { default: GroupAuditLog } = await import('../models/GroupAuditLog.js');
+const { default: Channel } = await import('../models/Channel.js');
+const { default: groupRoutes } = await import('../routes/groups.js');
+const { groupPostDenial } = await import('../middleware/auth.js');
+
+const io = fakeIo();
+let server;
+
+before(async () => {
+  server = await serve('/api/groups', groupRoutes, { io });
+});
+
+after(async () => {
+  await server.close();
+});
+
+const owner = makeUser();
+const admin = makeUser();
+const otherAdmin = makeUser();
+const moderator = makeUser();
+const member = makeUser();
+const everyone = [owner, admin, otherAdmin, moderator, member];
+
+const minutesFromNow = minutes => new Date(Date.now() + minutes * 60 * 1000);
+
+// Serve `group` to `caller` with saves and side effects kept in memory
+const moderate = (t, caller, group) => {
+  const token = signIn(t, caller, everyone);
+  t.mock.method(Group, 'findById', () => queryOf(group));
+  t.mock.method(Group.prototype, 'save', async function() { return this; });
+  t.mock.method(User, 'findByIdAndUpdate', async () => null);
+  t.mock.method(JoinRequest, 'updateMany', async () => ({}));
+  t.mock.method(GroupInvite, 'updateMany', async () => ({}));
+  t.mock.method(Channel, 'find', () => queryOf([]));
+  const audit = t.mock.method(GroupAuditLog, 'create', async data => data);
+
+  const call = (method, path, body) => request(`${server.url}/${group._id}${path}`, { method, token, body });
+  return { call, audit };
+};
+
+const groupOfAll = (fields = {}) => makeGroup({
+  owner,
+  admins: [admin, otherAdmin],
+  members: [{ user: moderator, role: 'moderator' }, { user: member }],
+  ...fields
+});
+
+test('admins ban members, removing them from the group', async (t) => {
+  const group = groupOfAll();
+  const { call, audit } = moderate(t, admin, group);
+
+  const { status, body } = await call('POST', '/bans', { userId: member._id.toString(), reason: 'spam' });
+
+  assert.equal(status, 200);
+  assert.equal(body.ban.reason, 'spam');
+  assert.equal(group.isMember(member._id), false);
+  assert.equal(audit.mock.calls[0].arguments[0].action, 'member_banned');
+  assert.ok(io.emitted.some(e => e.room === `user_${member._id}` && e.event === 'removed_from_group'));
+  assert.equal(groupPostDenial(group, member).code, 'GROUP_BANNED');
+});
+
+test('nobody can ban the owner, a peer or themselves, and moderators cannot ban at all', async (t) => {
+  const group = groupOfAll();
+  const { call } = moderate(t, admin, group);
+
+  assert.equal((await call('POST', '/bans', { userId: owner._id.toString() })).status, 400);
+  assert.equal((await call('POST', '/bans', { userId: admin._id.toString() })).status, 400);
+  assert.equal((await call('POST', '/bans', { userId: otherAdmin._id.toString() })).status, 403);
+  assert.equal((await call('POST', '/bans', { userId: member._id.toString(), expiresAt: minutesFromNow(-1) })).status, 400);
+
+  const asModerator = moderate(t, moderator, group);
+  const { status, body } = await asModerator.call('POST', '/bans', { userId: member._id.toString() });
+  assert.equal(status, 403);
+  assert.equal(body.code, 'GROUP_PERMISSION_DENIED');
+  assert.equal(group.getActiveBan(member._id), null);
+});
+
+test('a timed ban stops counting once it expires', () => {
+  const group = groupOfAll({
+    bans: [{ user: member._id, issuedBy: admin._id, expiresAt: minutesFromNow(-5) }]
+  });
+
+  assert.equal(group.getActiveBan(member._id), null);
+  assert.equal(groupPostDenial(group, member), null);
+});
+
+test('moderators mute members for a while', async (t) => {
+  const group = groupOfAll();
+  const { call } = moderate(t, moderator, group);
+
+  const { status, body } = await call('POST', '/mutes', { userId: member._id.toString(), durationMinutes: 30 });
+
+  assert.equal(status, 200);
+  assert.ok(new Date(body.mute.expiresAt) > minutesFromNow(29));
+  assert.equal(groupPostDenial(group, member).code, 'GROUP_MUTED');
+  assert.ok(io.emitted.some(e => e.event === 'group_mute_updated' && e.payload.muted === true));
+});
+
+test('members can only be muted by someone who outranks them', async (t) => {
+  const group = groupOfAll();
+  const { call } = moderate(t, moderator, group);
+
+  assert.equal((await call('POST', '/mutes', { userId: admin._id.toString(), durationMinutes: 30 })).status, 403);
+  assert.equal((await call('POST', '/mutes', { userId: moderator._id.toString(), durationMinutes: 30 })).status, 403);
+  assert.equal((await call('POST', '/mutes', { userId: member._id.toString(), durationMinutes: 0 })).status, 400);
+  assert.equal(group.getActiveMute(member._id), null);
+});
+
+test('an expired mute no longer blocks posting', () => {
+  const group = groupOfAll({
+    mutes: [{ user: member._id, issuedBy: moderator._id, expiresAt: minutesFromNow(-1) }]
+  });
+
+  assert.equal(groupPostDenial(group, member), null);
+});
+
+test('a restriction is lifted by whoever placed it or someone who outranks them', async (t) => {
+  const mutedByAdmin = () => groupOfAll({
+    mutes: [{ user: member._id, issuedBy: admin._id, expiresAt: minutesFromNow(30) }]
+  });
+
+  const byModerator = moderate(t, moderator, mutedByAdmin());
+  const refused = await byModerator.call('DELETE', `/mutes/${member._id}`);
+  assert.equal(refused.status, 403);
+
+  const group = mutedByAdmin();
+  const byIssuer = moderate(t, admin, group);
+  assert.equal((await byIssuer.call('DELETE', `/mutes/${member._id}`)).status, 200);
+  assert.equal(group.getActiveMute(member._id), null);
+
+  const byOwner = moderate(t, owner, mutedByAdmin());
+  assert.equal((await byOwner.call('DELETE', `/mutes/${member._id}`)).status, 200);
+});
+
+test('a peer cannot lift a ban placed by another admin', async (t) => {
+  const bannedByAdmin = () => groupOfAll({
+    bans: [{ user: member._id, issuedBy: admin._id }]
+  });
+
+  const byPeer = moderate(t, otherAdmin, bannedByAdmin());
+  assert.equal((await byPeer.call('DELETE', `/bans/${member._id}`)).status, 403);
+
+  const group = bannedByAdmin();
+  const byOwner = moderate(t, owner, group);
+  assert.equal((await byOwner.call('DELETE', `/bans/${member._id}`)).status, 200);
+  assert.equal(group.getActiveBan(member._id), null);
+  assert.equal((await byOwner.call('DELETE', `/bans/${member._id}`)).status, 404);
+});
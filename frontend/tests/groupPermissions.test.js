@@ -0,0 +1,139 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeUser, makeGroup, signIn, serve, request, queryOf } from './helpers.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: Group, DEFAULT_GROUP_PERMISSIONS } = await import('../models/Group.js');
+const { default: User } = await import('../models/User.js');
+const { default: groupRoutes } = await import('../routes/groups.js');
+const { getEffectiveGroupRole, canInGroup } = await import('../middleware/auth.js');
+const { runMigrations } = await import('../utils/migrations.js');
+
+let server;
+
+before(async () => {
+  server = await serve('/api/groups', groupRoutes);
+});
+
+after(async () => {
+  await server.close();
+});
+
+const owner = makeUser();
+const admin = makeUser();
+const moderator = makeUser();
+const member = makeUser();
+const outsider = makeUser();
+
+const groupOfAll = (fields = {}) => makeGroup({
+  owner,
+  admins: [admin],
+  members: [{ user: moderator, role: 'moderator' }, { user: member }],
+  ...fields
+});
+
+test('default permissions follow the role ladder', () => {
+  const group = groupOfAll();
+
+  assert.equal(group.roleHasPermission('member', 'post'), true);
+  assert.equal(group.roleHasPermission('member', 'pin'), false);
+  assert.equal(group.roleHasPermission('moderator', 'pin'), true);
+  assert.equal(group.roleHasPermission('moderator', 'editInfo'), false);
+  assert.equal(group.roleHasPermission('admin', 'manageChannels'), true);
+  assert.equal(group.roleHasPermission('owner', 'manageMembers'), true);
+  assert.equal(group.roleHasPermission(null, 'post'), false);
+  assert.equal(group.roleHasPermission('owner', 'launchRockets'), false);
+
+  for (const permission of Object.keys(DEFAULT_GROUP_PERMISSIONS)) {
+    assert.equal(group.roleHasPermission('owner', permission), true, permission);
+  }
+});
+
+test('the owner can raise or lower what each permission needs', () => {
+  const group = groupOfAll({ settings: { permissions: { post: 'admin', pin: 'member' } } });
+
+  assert.equal(group.roleHasPermission('moderator', 'post'), false);
+  assert.equal(group.roleHasPermission('admin', 'post'), true);
+  assert.equal(group.roleHasPermission('member', 'pin'), true);
+  assert.equal(canInGroup(group, member, 'pin'), true);
+  assert.equal(canInGroup(group, outsider, 'pin'), false);
+});
+
+test('site staff carry their role into groups', () => {
+  const group = groupOfAll();
+  const siteAdmin = makeUser({ role: 'admin' });
+  const siteModerator = makeUser({ role: 'moderator' });
+
+  assert.equal(getEffectiveGroupRole(group, siteAdmin), 'admin');
+  assert.equal(getEffectiveGroupRole(group, siteModerator), 'moderator');
+  assert.equal(getEffectiveGroupRole(group, owner), 'owner');
+  assert.equal(getEffectiveGroupRole(group, moderator), 'moderator');
+  assert.equal(getEffectiveGroupRole(group, outsider), null);
+});
+
+// PUT /:id/settings needs editInfo, and only the owner may touch the matrix
+const updateSettings = async (t, caller, body) => {
+  const group = groupOfAll();
+  const token = signIn(t, caller);
+  t.mock.method(Group, 'findById', () => queryOf(group));
+  const update = t.mock.method(Group, 'findByIdAndUpdate', (id, data) => queryOf({ _id: id, ...data }));
+
+  const response = await request(`${server.url}/${group._id}/settings`, { method: 'PUT', token, body });
+  return { ...response, update };
+};
+
+test('the owner changes the permission matrix', async (t) => {
+  const { status, update } = await updateSettings(t, owner, { permissions: { pin: 'member', post: 'moderator' } });
+
+  assert.equal(status, 200);
+  assert.deepEqual(update.mock.calls[0].arguments[1], {
+    'settings.permissions.pin': 'member',
+    'settings.permissions.post': 'moderator'
+  });
+});
+
+test('admins can edit settings but not the permission matrix', async (t) => {
+  const { status, body, update } = await updateSettings(t, admin, { permissions: { pin: 'member' } });
+  assert.equal(status, 403);
+  assert.equal(body.message, 'Only the group owner can change permissions');
+  assert.equal(update.mock.callCount(), 0);
+
+  const allowed = await updateSettings(t, admin, { requireApproval: true });
+  assert.equal(allowed.status, 200);
+});
+
+test('the legacy allowMemberPosts toggle maps onto the post permission', async (t) => {
+  const { update } = await updateSettings(t, owner, { allowMemberPosts: false });
+  assert.equal(update.mock.calls[0].arguments[1]['settings.permissions.post'], 'admin');
+});
+
+test('unknown permissions and roles are rejected', async (t) => {
+  assert.equal((await updateSettings(t, owner, { permissions: { launchRockets: 'member' } })).status, 400);
+  assert.equal((await updateSettings(t, owner, { permissions: { pin: 'superuser' } })).status, 400);
+});
+
+test('members without the permission and outsiders are turned away', async (t) => {
+  const asModerator = await updateSettings(t, moderator, { requireApproval: true });
+  assert.equal(asModerator.status, 403);
+  assert.equal(asModerator.body.code, 'GROUP_PERMISSION_DENIED');
+
+  const asOutsider = await updateSettings(t, outsider, { requireApproval: true });
+  assert.equal(asOutsider.status, 403);
+  assert.equal(asOutsider.body.code, 'NOT_GROUP_MEMBER');
+});
+
+test('the startup migration turns allowMemberPosts off into an admin-only post permission', async (t) => {
+  const groupUpdates = t.mock.method(Group.collection, 'updateMany', async () => ({ modifiedCount: 0 }));
+  t.mock.method(User.collection, 'updateMany', async () => ({ modifiedCount: 0 }));
+  t.mock.method(User, 'find', () => ({
+    select: () => ({ lean: () => ({ cursor: () => [] }) })
+  }));
+
+  await runMigrations();
+
+  const [filter, update] = groupUpdates.mock.calls[0].arguments;
+  assert.deepEqual(filter, { 'settings.allowMemberPosts': false, 'settings.permissions.post': { $exists: false } });
+  assert.deepEqual(update, { $set: { 'settings.permissions.post': 'admin' } });
+  assert.deepEqual(groupUpdates.mock.calls[1].arguments[1], { $unset: { 'settings.allowMemberPosts': '' } });
+});
@@ -0,0 +1,107 @@
+import http from 'http';
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Group from '../models/Group.js';
+import Session from '../models/Session.js';
+import { generateTokens } from '../middleware/auth.js';
+
+// Shared by the route and job tests. Nothing here talks to MongoDB: tests replace the
+// model methods they exercise with in-memory versions through node:test mocks.
+
+export const objectId = () => new mongoose.Types.ObjectId();
+
+// Stand-in for a mongoose query resolving to `value`; chained modifiers are ignored
+export const queryOf = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  ['select', 'populate', 'lean', 'sort', 'limit', 'skip'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+let userCount = 0;
+
+export const makeUser = (fields = {}) => {
+  userCount++;
+  return new User({
+    name: `User ${userCount}`,
+    handle: `user_${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: 'secret123',
+    emailVerified: true,
+    ...fields
+  });
+};
+
+// Group owned by `owner` with the given admins and { user, role } members
+export const makeGroup = ({ owner, admins = [], members = [], ...fields }) => {
+  return new Group({
+    name: `Group ${objectId()}`,
+    description: 'A group for tests',
+    owner: owner._id,
+    admins: admins.map(admin => admin._id),
+    members: [
+      { user: owner._id, role: 'member' },
+      ...admins.map(admin => ({ user: admin._id, role: 'member' })),
+      ...members.map(({ user, role = 'member' }) => ({ user: user._id, role }))
+    ],
+    ...fields
+  });
+};
+
+// Let requests from `user` through authenticateToken, with User.findById also finding
+// `others`; returns an access token for the user
+export const signIn = (t, user, others = []) => {
+  const users = new Map([user, ...others].map(u => [u._id.toString(), u]));
+  t.mock.method(Session, 'isActiveSession', async () => true);
+  t.mock.method(User, 'findById', id => queryOf(users.get(String(id)) || null));
+  return generateTokens(user._id, objectId(), 'token').accessToken;
+};
+
+// Serve `router` under `path` on a free local port; resolves to { url, close }
+export const serve = async (path, router, { io = null } = {}) => {
+  const app = express();
+  app.use(express.json());
+  if (io) app.set('io', io);
+  app.use(path, router);
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}${path}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+// JSON request against a served router; resolves to { status, body }
+export const request = async (url, { method = 'GET', body, token } = {}) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(url, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Socket.io server stand-in that records every emit as { room, event, payload }
+export const fakeIo = () => {
+  const emitted = [];
+  return {
+    emitted,
+    to: room => ({
+      emit: (event, payload) => emitted.push({ room, event, payload })
+    }),
+    in: () => ({
+      socketsLeave: () => {},
+      disconnectSockets: () => {},
+      fetchSockets: async () => []
+    })
+  };
+};
@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+// Read when the module loads, so set before importing it
+process.env.LINK_PREVIEW_ALLOW_PRIVATE = 'true';
+process.env.LINK_PREVIEW_TIMEOUT_MS = '500';
+process.env.LINK_PREVIEW_MAX_BYTES = '4096';
+
+const { unfurlUrl } = await import('../utils/linkPreview.js');
+
+const ARTICLE = `<!doctype html><html><head>
+  <title>Fallback title</title>
+  <meta property="og:title" content="Quarterly &amp; Annual Report">
+  <meta property='og:description' content='Numbers for the year'>
+  <meta property="og:image" content="/images/cover.png">
+  <meta property="og:site_name" content="Fixture Site">
+</head><body>Article</body></html>`;
+
+// Local fixture server standing in for the sites being previewed
+const routes = {
+  '/article': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(ARTICLE);
+  },
+  '/plain': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html><head><title>Just a title</title><meta name="description" content="Plain page"></head></html>');
+  },
+  '/moved': (req, res) => {
+    res.writeHead(301, { Location: '/article' });
+    res.end();
+  },
+  '/loop': (req, res) => {
+    res.writeHead(302, { Location: '/loop' });
+    res.end();
+  },
+  '/json': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{}');
+  },
+  // Head first, then an endless body: only MAX_BYTES of it may be read
+  '/huge': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.write('<html><head><title>Huge page</title></head><body>');
+    const filler = 'x'.repeat(1024);
+    const timer = setInterval(() => res.write(filler), 1);
+    res.on('close', () => clearInterval(timer));
+  },
+  '/slow': () => {
+    // Never answers
+  }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const route = routes[req.url];
+    if (route) return route(req, res);
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('parses OpenGraph metadata', async () => {
+  const preview = await unfurlUrl(`${baseUrl}/article`);
+  assert.equal(preview.title, 'Quarterly & Annual Report');
+  assert.equal(preview.description, 'Numbers for the year');
+  assert.equal(preview.image, `${baseUrl}/images/cover.png`);
+  assert.equal(preview.siteName, 'Fixture Site');
+});
+
+test('falls back to the title tag and description meta tag', async () => {
+  const preview = await unfurlUrl(`${baseUrl}/plain`);
+  assert.equal(preview.title, 'Just a title');
+  assert.equal(preview.description, 'Plain page');
+  assert.equal(preview.image, undefined);
+  assert.equal(preview.siteName, '127.0.0.1');
+});
+
+test('follows redirects', async () => {
+  const preview = await unfurlUrl(`${baseUrl}/moved`);
+  assert.equal(preview.title, 'Quarterly & Annual Report');
+});
+
+test('gives up after too many redirects', async () => {
+  await assert.rejects(unfurlUrl(`${baseUrl}/loop`), /Too many redirects/);
+});
+
+test('rejects responses that are not HTML', async () => {
+  await assert.rejects(unfurlUrl(`${baseUrl}/json`), /Unsupported content type/);
+});
+
+test('stops reading at the size cap', async () => {
+  // The body never ends, so this only resolves if reading stops at the cap
+  const preview = await unfurlUrl(`${baseUrl}/huge`);
+  assert.equal(preview.title, 'Huge page');
+});
+
+test('times out on servers that never answer', async () => {
+  const started = Date.now();
+  await assert.rejects(unfurlUrl(`${baseUrl}/slow`), /timed out/);
+  assert.ok(Date.now() - started < 2000);
+});
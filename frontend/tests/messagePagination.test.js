@@ -0,0 +1,197 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { objectId, makeUser, makeGroup, signIn, serve, request, queryOf } from './helpers.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: Message } = await import('../models/Message.js');
+const { default: Group } = await import('../models/Group.js');
+const { default: Channel } = await import('../models/Channel.js');
+const { default: messageRoutes } = await import('../routes/messages.js');
+
+let server;
+
+before(async () => {
+  server = await serve('/api/messages', messageRoutes);
+});
+
+after(async () => {
+  await server.close();
+});
+
+// Just enough of MongoDB's query language for the filters paginate builds
+const comparable = value => value instanceof Date ? value.getTime() : String(value);
+
+const matchesValue = (actual, expected) => {
+  if (expected === null) return actual === null || actual === undefined;
+  if (expected instanceof Date || expected instanceof mongoose.Types.ObjectId || typeof expected !== 'object') {
+    return actual !== null && actual !== undefined && comparable(actual) === comparable(expected);
+  }
+  return Object.entries(expected).every(([op, operand]) => {
+    switch (op) {
+      case '$lt': return comparable(actual) < comparable(operand);
+      case '$gt': return comparable(actual) > comparable(operand);
+      case '$ne': return !matchesValue(actual, operand);
+      case '$in': return operand.some(value => matchesValue(actual, value));
+      case '$regex': return new RegExp(operand, expected.$options).test(actual);
+      case '$options': return true;
+      default: throw new Error(`Unsupported operator ${op}`);
+    }
+  });
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, expected]) => {
+  if (key === '$and') return expected.every(part => matches(doc, part));
+  if (key === '$or') return expected.some(part => matches(doc, part));
+  return matchesValue(doc.get(key), expected);
+});
+
+// Serve `messages` through the Message statics paginate uses
+const useMessages = (t, messages) => {
+  const find = filter => messages.filter(message => matches(message, filter));
+
+  t.mock.method(Message, 'find', (filter) => {
+    let results = find(filter);
+    const query = {
+      populate: () => query,
+      sort: (spec) => {
+        const sign = spec.createdAt;
+        results = [...results].sort((a, b) =>
+          sign * (a.createdAt - b.createdAt || comparable(a._id).localeCompare(comparable(b._id))));
+        return query;
+      },
+      limit: (count) => {
+        results = results.slice(0, count);
+        return query;
+      },
+      then: (resolve, reject) => Promise.resolve(results).then(resolve, reject)
+    };
+    return query;
+  });
+  t.mock.method(Message, 'findById', id => queryOf(messages.find(m => m._id.equals(id)) || null));
+  t.mock.method(Message, 'findOne', filter => queryOf(find(filter)[0] || null));
+  t.mock.method(Message, 'exists', async filter => find(filter).length ? { _id: find(filter)[0]._id } : null);
+  t.mock.method(Message, 'countDocuments', async filter => find(filter).length);
+};
+
+const start = new Date('2026-01-01T00:00:00Z');
+const conversation = 'a_b';
+
+// `count` messages a second apart; every third shares its timestamp with the one before
+const history = (count, fields = {}) => Array.from({ length: count }, (_, i) => new Message({
+  conversation,
+  content: `message ${i}`,
+  isDeleted: false,
+  createdAt: new Date(start.getTime() + (i - (i % 3 === 2 ? 1 : 0)) * 1000),
+  ...fields
+}));
+
+const contents = page => page.messages.map(message => message.content);
+const filter = { conversation, threadRoot: null, isDeleted: false };
+
+test('without a cursor the latest page comes back oldest first', async (t) => {
+  const messages = history(10);
+  useMessages(t, messages);
+
+  const page = await Message.paginate(filter, { limit: 4 });
+
+  assert.deepEqual(contents(page), ['message 6', 'message 7', 'message 8', 'message 9']);
+  assert.equal(page.hasMoreBefore, true);
+  assert.equal(page.hasMoreAfter, false);
+  assert.equal(page.cursors.before, messages[6]._id);
+  assert.equal(page.cursors.after, messages[9]._id);
+});
+
+test('paging back with before cursors visits every message once, even on timestamp ties', async (t) => {
+  const messages = history(11);
+  useMessages(t, messages);
+
+  const seen = [];
+  let page = await Message.paginate(filter, { limit: 3 });
+  seen.unshift(...contents(page));
+  while (page.hasMoreBefore) {
+    page = await Message.paginate(filter, { before: page.cursors.before.toString(), limit: 3 });
+    assert.equal(page.hasMoreAfter, true);
+    seen.unshift(...contents(page));
+  }
+
+  assert.deepEqual(seen, messages.map(message => message.content));
+});
+
+test('an after cursor pages forward and probes for older history', async (t) => {
+  const messages = history(6);
+  useMessages(t, messages);
+
+  const page = await Message.paginate(filter, { after: messages[1]._id.toString(), limit: 2 });
+  assert.deepEqual(contents(page), ['message 2', 'message 3']);
+  assert.equal(page.hasMoreBefore, true);
+  assert.equal(page.hasMoreAfter, true);
+
+  const last = await Message.paginate(filter, { after: messages[3]._id.toString(), limit: 5 });
+  assert.deepEqual(contents(last), ['message 4', 'message 5']);
+  assert.equal(last.hasMoreAfter, false);
+
+  // Past the newest message: nothing newer, but the cursor itself is older history
+  const empty = await Message.paginate(filter, { after: messages[5]._id.toString() });
+  assert.deepEqual(empty.messages, []);
+  assert.equal(empty.hasMoreBefore, true);
+});
+
+test('timestamps work as cursors too', async (t) => {
+  useMessages(t, history(6));
+
+  const page = await Message.paginate(filter, { before: new Date(start.getTime() + 3000).toISOString() });
+  assert.deepEqual(contents(page), ['message 0', 'message 1', 'message 2']);
+  assert.equal(page.hasMoreBefore, false);
+  assert.equal(page.hasMoreAfter, true);
+});
+
+test('around a message returns a window that contains it', async (t) => {
+  const messages = history(20);
+  useMessages(t, messages);
+
+  const page = await Message.paginate(filter, { around: messages[10]._id.toString(), limit: 6 });
+
+  assert.deepEqual(contents(page), ['message 8', 'message 9', 'message 10', 'message 11', 'message 12', 'message 13']);
+  assert.equal(page.hasMoreBefore, true);
+  assert.equal(page.hasMoreAfter, true);
+});
+
+test('unknown and out-of-scope cursors are reported as invalid', async (t) => {
+  const messages = history(3);
+  const elsewhere = new Message({ conversation: 'c_d', content: 'hidden', isDeleted: false, createdAt: start });
+  useMessages(t, [...messages, elsewhere]);
+
+  assert.equal(await Message.paginate(filter, { before: objectId().toString() }), null);
+  assert.equal(await Message.paginate(filter, { after: 'not a cursor' }), null);
+  assert.equal(await Message.paginate(filter, { around: elsewhere._id.toString() }), null);
+});
+
+test('search hits say which view can show them', async (t) => {
+  const owner = makeUser();
+  const group = makeGroup({ owner });
+  const channel = new Channel({ group: group._id, name: 'general-chat' });
+  const root = objectId();
+  const inGroup = { group: group._id, content: 'deploy', isDeleted: false, createdAt: start };
+
+  useMessages(t, [
+    new Message({ ...inGroup, channel: null }),
+    new Message({ ...inGroup, channel: channel._id }),
+    new Message({ ...inGroup, channel: channel._id, threadRoot: root }),
+    new Message({ ...inGroup, content: 'lunch' })
+  ]);
+  const token = signIn(t, owner);
+  t.mock.method(Group, 'findById', () => queryOf(group));
+  t.mock.method(Channel, 'getVisible', async () => [channel]);
+
+  const { status, body } = await request(`${server.url}/search/group/${group._id}?q=deploy`, { token });
+
+  assert.equal(status, 200);
+  assert.equal(body.totalCount, 3);
+  assert.deepEqual(body.messages.map(message => message.context), [
+    { view: 'history', channel: null },
+    { view: 'channel', channel: channel._id.toString() },
+    { view: 'thread', threadRoot: root.toString(), channel: channel._id.toString() }
+  ]);
+});
@@ -0,0 +1,187 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { objectId, makeUser, makeGroup, signIn, serve, request, queryOf, fakeIo } from './helpers.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: Poll } = await import('../models/Poll.js');
+const { default: Post } = await import('../models/Post.js');
+const { default: Group } = await import('../models/Group.js');
+const { default: Message } = await import('../models/Message.js');
+const { default: postRoutes } = await import('../routes/posts.js');
+const { closeExpiredPolls } = await import('../utils/polls.js');
+const { publishPost } = await import('../utils/publishing.js');
+
+const io = fakeIo();
+let server;
+
+before(async () => {
+  server = await serve('/api/posts', postRoutes, { io });
+});
+
+after(async () => {
+  await server.close();
+});
+
+const makePoll = (fields = {}) => new Poll({
+  question: 'Where should we meet?',
+  options: [{ text: 'Park' }, { text: 'Cafe' }, { text: 'Library' }],
+  createdBy: objectId(),
+  votes: [],
+  ...fields
+});
+
+// Let Poll.recordVote load and save `poll` in memory
+const usePoll = (t, poll) => {
+  t.mock.method(Poll, 'findById', () => queryOf(poll));
+  return t.mock.method(Poll.prototype, 'save', async function() { return this; });
+};
+
+const tallies = poll => poll.options.map(option => option.voteCount);
+
+test('voting again moves the vote instead of adding one', async (t) => {
+  const poll = makePoll();
+  usePoll(t, poll);
+  const voter = objectId();
+
+  await Poll.recordVote(poll._id, voter, [0]);
+  await Poll.recordVote(poll._id, objectId(), [0]);
+  const { poll: updated } = await Poll.recordVote(poll._id, voter, [2]);
+
+  assert.deepEqual(tallies(updated), [1, 0, 1]);
+  assert.equal(updated.voterCount, 2);
+  assert.deepEqual(updated.getResults(voter).myVotes, [2]);
+
+  await Poll.recordVote(poll._id, voter, null);
+  assert.deepEqual(tallies(poll), [1, 0, 0]);
+  assert.equal(poll.voterCount, 1);
+});
+
+test('votes that break the poll rules are refused', async (t) => {
+  const poll = makePoll();
+  usePoll(t, poll);
+  const voter = objectId();
+
+  assert.deepEqual(await Poll.recordVote(poll._id, voter, [0, 1]), { error: 'This poll allows only one choice' });
+  assert.deepEqual(await Poll.recordVote(poll._id, voter, [3]), { error: 'Invalid poll option' });
+  assert.deepEqual(await Poll.recordVote(poll._id, voter, null), { error: 'You have not voted in this poll' });
+
+  poll.allowMultiple = true;
+  assert.deepEqual(await Poll.recordVote(poll._id, voter, [1, 1]), { error: 'Invalid poll option' });
+  assert.deepEqual(tallies((await Poll.recordVote(poll._id, voter, [0, 1])).poll), [1, 1, 0]);
+
+  poll.closesAt = new Date(Date.now() - 1000);
+  assert.deepEqual(await Poll.recordVote(poll._id, voter, [2]), { error: 'This poll is closed' });
+});
+
+test('a vote that collides with a concurrent one is retried', async (t) => {
+  const poll = makePoll();
+  usePoll(t, poll);
+  const saves = t.mock.method(Poll.prototype, 'save', async function() {
+    if (saves.mock.callCount() === 0) {
+      throw Object.assign(new Error('No matching document found'), { name: 'VersionError' });
+    }
+    return this;
+  });
+
+  const { poll: updated } = await Poll.recordVote(poll._id, objectId(), [1]);
+  assert.equal(saves.mock.callCount(), 2);
+  assert.equal(updated.voterCount, 1);
+});
+
+test('anonymous polls never say who voted for what', async (t) => {
+  const voter = objectId();
+  const named = makePoll({ votes: [{ user: voter, options: [1] }] });
+  const anonymous = makePoll({ isAnonymous: true, votes: [{ user: voter, options: [1] }] });
+
+  assert.deepEqual(named.getResults().options[1].voters.map(String), [voter.toString()]);
+  assert.equal(anonymous.getResults().options[1].voters, undefined);
+  assert.deepEqual(anonymous.getResults(voter).myVotes, [1]);
+});
+
+// A group post with a poll, served to `caller`
+const groupPostPoll = (t, caller, { owner, group }) => {
+  const poll = makePoll({ group: group._id });
+  const post = new Post({ title: 'Meetup', author: owner._id, group: group._id, poll });
+
+  const token = signIn(t, caller);
+  t.mock.method(Post, 'findById', () => queryOf(post));
+  t.mock.method(Group, 'findById', async () => group);
+  usePoll(t, poll);
+
+  const call = (method, path, body) => request(`${server.url}/${post._id}/poll${path}`, { method, token, body });
+  return { poll, post, call };
+};
+
+test('group members vote in post polls and the group sees the new tallies', async (t) => {
+  const owner = makeUser();
+  const member = makeUser();
+  const outsider = makeUser();
+  const group = makeGroup({ owner, members: [{ user: member }] });
+
+  const { call } = groupPostPoll(t, member, { owner, group });
+  const { status, body } = await call('POST', '/votes', { options: [1] });
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.myVotes, [1]);
+  assert.ok(io.emitted.some(e => e.room === `group_${group._id}` && e.event === 'poll_updated'));
+  assert.equal((await call('POST', '/votes', { options: ['park'] })).status, 400);
+
+  const asOutsider = groupPostPoll(t, outsider, { owner, group });
+  assert.equal((await asOutsider.call('POST', '/votes', { options: [1] })).status, 403);
+});
+
+test('only the author or a group moderator closes a post poll early', async (t) => {
+  const owner = makeUser();
+  const moderator = makeUser();
+  const member = makeUser();
+  const group = makeGroup({ owner, members: [{ user: moderator, role: 'moderator' }, { user: member }] });
+
+  const byMember = groupPostPoll(t, member, { owner, group });
+  assert.equal((await byMember.call('POST', '/close')).status, 403);
+
+  const byModerator = groupPostPoll(t, moderator, { owner, group });
+  const { status, body } = await byModerator.call('POST', '/close');
+  assert.equal(status, 200);
+  assert.equal(body.results.isClosed, true);
+  assert.equal(byModerator.poll.closedBy, moderator._id);
+  assert.equal((await byModerator.call('POST', '/close')).status, 400);
+});
+
+test('polls reaching their close time are announced once, in their own room', async (t) => {
+  const channel = objectId();
+  const message = new Message({ group: objectId(), channel, content: 'Vote!' });
+  const group = objectId();
+  const due = [
+    makePoll({ message: message._id, closedAt: new Date() }),
+    makePoll({ group, post: objectId(), closedAt: new Date() })
+  ];
+  const io = fakeIo();
+
+  const claims = t.mock.method(Poll, 'findOneAndUpdate', async () => due.shift() || null);
+  t.mock.method(Message, 'findById', () => queryOf(message));
+
+  await closeExpiredPolls(io);
+
+  assert.equal(claims.mock.callCount(), 3);
+  assert.deepEqual(claims.mock.calls[0].arguments[0].closedAt, null);
+  assert.deepEqual(io.emitted.map(e => [e.room, e.event, e.payload.results.isClosed]), [
+    [`channel_${channel}`, 'poll_closed', true],
+    [`group_${group}`, 'poll_closed', true]
+  ]);
+});
+
+test('a poll is removed again when its post cannot be saved', async (t) => {
+  const author = makeUser();
+  const created = makePoll();
+  t.mock.method(Poll, 'create', async () => created);
+  const removed = t.mock.method(created, 'deleteOne', async () => created);
+  t.mock.method(Post.prototype, 'save', async () => {
+    throw new Error('validation failed');
+  });
+
+  await assert.rejects(
+    publishPost(null, author, { title: 'Meetup', description: 'Pick a place', poll: { question: 'Where?', options: ['A', 'B'] } }),
+    /validation failed/
+  );
+  assert.equal(removed.mock.callCount(), 1);
+});
@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeUser, makeGroup, queryOf, fakeIo } from './helpers.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: ScheduledItem } = await import('../models/ScheduledItem.js');
+const { default: User } = await import('../models/User.js');
+const { default: Group } = await import('../models/Group.js');
+const { default: Post } = await import('../models/Post.js');
+const { checkSendAt, scheduleItem, fireScheduledItem, MAX_SCHEDULE_AHEAD_DAYS } = await import('../utils/scheduler.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('send times must be in the future and within the scheduling window', () => {
+  assert.equal(checkSendAt('tomorrow-ish'), 'Invalid send time');
+  assert.equal(checkSendAt(new Date(Date.now() - 1000)), 'Send time must be in the future');
+  assert.match(checkSendAt(new Date(Date.now() + (MAX_SCHEDULE_AHEAD_DAYS + 1) * DAY_MS)), /at most 365 days ahead/);
+  assert.equal(checkSendAt(new Date(Date.now() + DAY_MS)), null);
+});
+
+test('scheduling twice with one clientId returns the item already stored', async (t) => {
+  const author = makeUser();
+  const sendAt = new Date(Date.now() + DAY_MS);
+  const original = new ScheduledItem({ author: author._id, kind: 'post', sendAt, payload: { clientId: 'abc' } });
+
+  t.mock.method(ScheduledItem, 'findOne', () => original);
+  const create = t.mock.method(ScheduledItem, 'create', async data => new ScheduledItem(data));
+
+  const { item, duplicate } = await scheduleItem(author, 'post', sendAt, { title: 'Again', clientId: 'abc' });
+  assert.equal(duplicate, true);
+  assert.equal(item, original);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('a retry that loses the insert race to the first request gets the stored item', async (t) => {
+  const author = makeUser();
+  const sendAt = new Date(Date.now() + DAY_MS);
+  const stored = new ScheduledItem({ author: author._id, kind: 'post', sendAt, payload: { clientId: 'abc' } });
+
+  const findOne = t.mock.method(ScheduledItem, 'findOne', () => findOne.mock.callCount() > 0 ? stored : null);
+  t.mock.method(ScheduledItem, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+
+  const { item, duplicate } = await scheduleItem(author, 'post', sendAt, { title: 'Raced', clientId: 'abc' });
+  assert.equal(duplicate, true);
+  assert.equal(item, stored);
+});
+
+// A due group post by `author`, with publishing kept in memory; resolves to what happened
+const firePost = async (t, { author, group, attempts = 1, published = null, saveError = null }) => {
+  const io = fakeIo();
+  const item = new ScheduledItem({
+    author: author._id,
+    kind: 'post',
+    sendAt: new Date(),
+    status: 'processing',
+    attempts,
+    payload: { group: group._id, title: 'Release notes', description: 'Out now' }
+  });
+
+  t.mock.method(ScheduledItem.prototype, 'save', async function() { return this; });
+  t.mock.method(User, 'findById', async () => author);
+  t.mock.method(Group, 'findById', async () => group);
+  t.mock.method(Group, 'findByIdAndUpdate', async () => group);
+  t.mock.method(Post, 'findOne', async () => published);
+  t.mock.method(Post.prototype, 'populate', async function() { return this; });
+  const saves = t.mock.method(Post.prototype, 'save', async function() {
+    if (saveError) throw saveError;
+    return this;
+  });
+
+  await fireScheduledItem(io, item);
+  return { item, io, saves };
+};
+
+test('a due group post is published and its author told', async (t) => {
+  const owner = makeUser();
+  const member = makeUser();
+  const group = makeGroup({ owner, members: [{ user: member }] });
+
+  const { item, io, saves } = await firePost(t, { author: member, group });
+
+  assert.equal(saves.mock.callCount(), 1);
+  const post = saves.mock.calls[0].this;
+  assert.equal(post.group, group._id);
+  assert.equal(post.scheduledItem, item._id);
+  assert.equal(item.status, 'sent');
+  assert.equal(item.result.post, post._id);
+  assert.deepEqual(io.emitted.map(e => [e.room, e.event]), [[`user_${member._id}`, 'scheduled_item_sent']]);
+});
+
+test('a post that already went out before a crash is not published again', async (t) => {
+  const owner = makeUser();
+  const group = makeGroup({ owner });
+  const published = new Post({ title: 'Release notes', author: owner._id, group: group._id });
+
+  const { item, saves } = await firePost(t, { author: owner, group, published });
+
+  assert.equal(saves.mock.callCount(), 0);
+  assert.equal(item.status, 'sent');
+  assert.equal(item.result.post, published._id);
+});
+
+test('group posts fail when the author may no longer post there', async (t) => {
+  const owner = makeUser();
+  const member = makeUser();
+  const inFuture = new Date(Date.now() + DAY_MS);
+  const cases = [
+    [makeGroup({ owner, members: [{ user: member }], mutes: [{ user: member._id, issuedBy: owner._id, expiresAt: inFuture }] }), 'You are muted in this group'],
+    [makeGroup({ owner, members: [{ user: member }], settings: { permissions: { post: 'admin' } } }), 'You do not have permission to do this in this group'],
+    [makeGroup({ owner }), 'You must be a member of this group'],
+    [makeGroup({ owner, bans: [{ user: member._id, issuedBy: owner._id }] }), 'You are banned from this group'],
+    [makeGroup({ owner, members: [{ user: member }], isDeleted: true }), 'The group no longer exists']
+  ];
+
+  for (const [group, error] of cases) {
+    const { item, io, saves } = await firePost(t, { author: member, group });
+
+    assert.equal(saves.mock.callCount(), 0, error);
+    assert.equal(item.status, 'failed');
+    assert.equal(item.error, error);
+    assert.equal(io.emitted[0].event, 'scheduled_item_failed');
+  }
+});
+
+test('suspended authors have nothing sent', async (t) => {
+  const owner = makeUser({ isBanned: true });
+  const { item, saves } = await firePost(t, { author: owner, group: makeGroup({ owner }) });
+
+  assert.equal(saves.mock.callCount(), 0);
+  assert.equal(item.error, 'Your account is suspended');
+});
+
+test('unexpected errors are retried a few times before the item fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const owner = makeUser();
+  const group = makeGroup({ owner });
+  const saveError = new Error('connection reset');
+
+  const retried = await firePost(t, { author: owner, group, attempts: 1, saveError });
+  assert.equal(retried.item.status, 'processing');
+  assert.ok(retried.item.lockedUntil > new Date());
+  assert.equal(retried.item.error, 'connection reset');
+  assert.deepEqual(retried.io.emitted, []);
+
+  const lastTry = await firePost(t, { author: owner, group, attempts: 3, saveError });
+  assert.equal(lastTry.item.status, 'failed');
+  assert.equal(lastTry.item.lockedUntil, undefined);
+  assert.equal(lastTry.io.emitted[0].event, 'scheduled_item_failed');
+});
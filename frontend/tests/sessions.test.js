@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { objectId, serve, request } from './helpers.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: Session } = await import('../models/Session.js');
+const { default: User } = await import('../models/User.js');
+const { default: authRoutes } = await import('../routes/auth.js');
+const { generateTokens } = await import('../middleware/auth.js');
+
+let server;
+
+before(async () => {
+  server = await serve('/api/auth', authRoutes);
+});
+
+after(async () => {
+  await server.close();
+});
+
+// Sessions kept in memory; findOneAndUpdate applies the same filter MongoDB would
+const useFakeSessions = (t) => {
+  const sessions = new Map();
+  const load = id => {
+    const stored = sessions.get(String(id));
+    return stored ? Session.hydrate({ ...stored }) : null;
+  };
+
+  t.mock.method(Session, 'create', async (data) => {
+    const session = new Session(data);
+    sessions.set(String(session._id), session.toObject());
+    return session;
+  });
+  t.mock.method(Session, 'findById', async id => load(id));
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const stored = sessions.get(String(filter._id));
+    if (!stored || stored.tokenHash !== filter.tokenHash || stored.revokedAt) return null;
+    Object.assign(stored, update.$set);
+    stored.rotationCount += update.$inc.rotationCount;
+    return load(filter._id);
+  });
+  t.mock.method(Session.prototype, 'save', async function() {
+    sessions.set(String(this._id), this.toObject());
+    return this;
+  });
+
+  return sessions;
+};
+
+// A logged-in user with one session; resolves to { user, session, refreshToken }
+const login = async (t) => {
+  const sessions = useFakeSessions(t);
+  const user = new User({ name: 'Session User', handle: 'sessionuser', email: 'session@example.com', password: 'secret123' });
+  t.mock.method(User, 'findById', async () => user);
+
+  const { session, tokenId } = await Session.start(user._id, { userAgent: 'test' });
+  const { refreshToken } = generateTokens(user._id, session._id, tokenId);
+  return { sessions, user, session, refreshToken };
+};
+
+const refresh = refreshToken => request(`${server.url}/refresh`, { method: 'POST', body: { refreshToken } });
+
+test('a refresh token is traded for a new pair bound to the same session', async (t) => {
+  const { sessions, session, refreshToken } = await login(t);
+
+  const { status, body } = await refresh(refreshToken);
+  assert.equal(status, 200);
+  assert.notEqual(body.refreshToken, refreshToken);
+  assert.equal(jwt.decode(body.accessToken).sessionId, session._id.toString());
+  assert.equal(sessions.get(session._id.toString()).rotationCount, 1);
+
+  // The new refresh token works in turn
+  assert.equal((await refresh(body.refreshToken)).status, 200);
+});
+
+test('of two concurrent refreshes with one token, one wins and the other is told to retry', async (t) => {
+  const { sessions, session, refreshToken } = await login(t);
+
+  const results = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+  const statuses = results.map(result => result.status).sort();
+
+  assert.deepEqual(statuses, [200, 409]);
+  assert.equal(results.find(result => result.status === 409).body.code, 'REFRESH_RACE');
+  assert.equal(sessions.get(session._id.toString()).revokedAt, undefined);
+});
+
+test('a rotated-out token presented after the grace period revokes the session', async (t) => {
+  const { sessions, session, refreshToken } = await login(t);
+
+  const { body } = await refresh(refreshToken);
+  sessions.get(session._id.toString()).rotatedAt = new Date(Date.now() - 60 * 1000);
+
+  const reuse = await refresh(refreshToken);
+  assert.equal(reuse.status, 401);
+  assert.equal(sessions.get(session._id.toString()).revokedReason, 'reuse_detected');
+
+  // The thief and the owner both lose the session
+  assert.equal((await refresh(body.refreshToken)).status, 401);
+});
+
+test('rotating with a token that is no longer current changes nothing', async (t) => {
+  const { sessions, session } = await login(t);
+  const before = { ...sessions.get(session._id.toString()) };
+
+  assert.equal(await session.rotate('not-the-current-token'), null);
+  assert.equal(sessions.get(session._id.toString()).tokenHash, before.tokenHash);
+});
+
+test('refresh tokens signed for another purpose are refused', async (t) => {
+  const { user, session } = await login(t);
+  const { accessToken } = generateTokens(user._id, session._id, 'unused');
+
+  assert.equal((await refresh(accessToken)).status, 401);
+  assert.equal((await refresh(undefined)).status, 401);
+});
@@ -0,0 +1,114 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import User, { TWO_FACTOR_SECRETS } from '../models/User.js';
+import Group from '../models/Group.js';
+import Post from '../models/Post.js';
+import Message from '../models/Message.js';
+import { verifyCode, generateSecret, hashRecoveryCode } from '../utils/totp.js';
+
+// RFC 6238 test secret ("12345678901234567890"); its code at 59s is 287082
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_TIME = 59 * 1000;
+const RFC_CODE = '287082';
+
+const realNow = Date.now;
+afterEach(() => {
+  Date.now = realNow;
+});
+
+// A user with two-factor enabled whose saves stay in memory
+const enrolledUser = () => {
+  const user = new User({
+    name: 'Two Factor',
+    handle: 'twofactor',
+    email: 'two@example.com',
+    password: 'secret123',
+    twoFactor: {
+      enabled: true,
+      secret: RFC_SECRET,
+      recoveryCodes: [{ hash: hashRecoveryCode('abcde-12345') }]
+    }
+  });
+  user.save = async () => user;
+  return user;
+};
+
+test('verifyCode accepts the RFC 6238 code and one step of drift', () => {
+  Date.now = () => RFC_TIME;
+  assert.equal(verifyCode(RFC_SECRET, RFC_CODE), 1);
+
+  Date.now = () => RFC_TIME + 30 * 1000;
+  assert.equal(verifyCode(RFC_SECRET, RFC_CODE), 1);
+
+  Date.now = () => RFC_TIME + 90 * 1000;
+  assert.equal(verifyCode(RFC_SECRET, RFC_CODE), null);
+});
+
+test('verifyCode rejects malformed codes and missing secrets', () => {
+  assert.equal(verifyCode(generateSecret(), '12345'), null);
+  assert.equal(verifyCode(generateSecret(), 'abcdef'), null);
+  assert.equal(verifyCode(undefined, '123456'), null);
+});
+
+test('a TOTP code cannot be used twice', async () => {
+  Date.now = () => RFC_TIME;
+  const user = enrolledUser();
+
+  assert.equal(await user.verifyTwoFactor({ code: RFC_CODE }), true);
+  assert.equal(user.twoFactor.lastUsedStep, 1);
+  assert.equal(await user.verifyTwoFactor({ code: RFC_CODE }), false);
+});
+
+test('recovery codes work once, in any case', async () => {
+  const user = enrolledUser();
+
+  assert.equal(await user.verifyTwoFactor({ recoveryCode: 'ABCDE-12345' }), true);
+  assert.ok(user.twoFactor.recoveryCodes[0].usedAt);
+  assert.equal(await user.verifyTwoFactor({ recoveryCode: 'abcde-12345' }), false);
+  assert.equal(await user.verifyTwoFactor({ recoveryCode: 'zzzzz-00000' }), false);
+});
+
+test('codes are refused while two-factor is disabled', async () => {
+  Date.now = () => RFC_TIME;
+  const user = enrolledUser();
+  user.twoFactor.enabled = false;
+
+  assert.equal(await user.verifyTwoFactor({ code: RFC_CODE }), false);
+});
+
+test('secrets are left out of queries unless asked for', () => {
+  const query = User.findOne({ email: 'two@example.com' }).select('-password');
+  query._applyPaths();
+  assert.equal(query._fields['twoFactor.secret'], 0);
+  assert.equal(query._fields['twoFactor.pendingSecret'], 0);
+  assert.equal(query._fields['twoFactor.recoveryCodes'], 0);
+
+  const withSecrets = User.findOne({ email: 'two@example.com' }).select(TWO_FACTOR_SECRETS);
+  withSecrets._applyPaths();
+  assert.equal(withSecrets._fields['twoFactor.secret'], undefined);
+});
+
+test('the public profile only says whether two-factor is on', () => {
+  const profile = enrolledUser().getPublicProfile();
+  assert.equal(profile.twoFactor, undefined);
+  assert.equal(profile.twoFactorEnabled, true);
+});
+
+test('aggregations joining users drop their two-factor data', async (t) => {
+  const projections = [];
+  for (const model of [Group, Post, Message]) {
+    t.mock.method(model, 'aggregate', async (pipeline) => {
+      projections.push(pipeline.find(stage => stage.$project).$project);
+      return [];
+    });
+  }
+
+  await Group.getPopular();
+  await Post.getTrending();
+  await Message.getUserConversations('64b000000000000000000001');
+
+  assert.equal(projections[0]['owner.twoFactor'], 0);
+  assert.equal(projections[1]['author.twoFactor'], 0);
+  assert.equal(projections[2]['lastMessage.sender.twoFactor'], 0);
+  assert.equal(projections[2]['lastMessage.recipient.twoFactor'], 0);
+});
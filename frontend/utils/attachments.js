@@ -0,0 +1,70 @@
+import jwt from 'jsonwebtoken';
+import { body } from 'express-validator';
+
+// Most attachments on one message
+export const MAX_MESSAGE_ATTACHMENTS = 5;
+
+// Long enough for a message queued offline to be sent once the client reconnects
+const ATTACHMENT_TOKEN_EXPIRY = '24h';
+
+const secret = () => process.env.JWT_SECRET + '_attachment';
+
+// Uploads are described by the server (type, size, voice note duration and waveform) and handed
+// back signed, so messages can carry them without trusting metadata from the client
+export const signAttachment = (attachment, userId) => {
+  return jwt.sign(
+    { attachment, userId: userId.toString(), purpose: 'message_attachment' },
+    secret(),
+    { expiresIn: ATTACHMENT_TOKEN_EXPIRY }
+  );
+};
+
+export const attachmentValidation = [
+  body('attachments').optional().isArray({ max: MAX_MESSAGE_ATTACHMENTS }).withMessage(`A message can have up to ${MAX_MESSAGE_ATTACHMENTS} attachments`),
+  body('attachments.*').isString().withMessage('Invalid attachment')
+];
+
+// Turn attachment tokens from `userId`'s upload responses back into attachments.
+// Returns { attachments } or { error }.
+export const readAttachments = (tokens, userId) => {
+  if (tokens === undefined || tokens === null) return { attachments: [] };
+  if (!Array.isArray(tokens) || tokens.length > MAX_MESSAGE_ATTACHMENTS) {
+    return { error: `A message can have up to ${MAX_MESSAGE_ATTACHMENTS} attachments` };
+  }
+
+  const attachments = [];
+  for (const token of tokens) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(token), secret());
+    } catch (error) {
+      return { error: error.name === 'TokenExpiredError' ? 'Attachment expired, please upload it again' : 'Invalid attachment' };
+    }
+
+    if (decoded.purpose !== 'message_attachment' || decoded.userId !== userId.toString()) {
+      return { error: 'Invalid attachment' };
+    }
+    attachments.push(decoded.attachment);
+  }
+
+  return { attachments };
+};
+
+// Attachment type of an upload, from what Cloudinary stored (file.stored). Audio-only files
+// are stored as video; PDFs as images.
+export const attachmentType = ({ resourceType, format, isAudio } = {}) => {
+  if (resourceType === 'image') return format === 'pdf' ? 'document' : 'image';
+  if (resourceType === 'video') return isAudio ? 'audio' : 'video';
+  return 'document';
+};
+
+// Message text for messages sent with attachments only
+export const attachmentLabel = (attachments) => {
+  if (attachments.some(attachment => attachment.type === 'audio')) {
+    return 'Voice message';
+  }
+  return attachments.map(attachment => attachment.filename).join(', ');
+};
+
+// Content may be left out when the message has attachments
+export const hasAttachments = (value, { req }) => Array.isArray(req.body.attachments) && req.body.attachments.length > 0;
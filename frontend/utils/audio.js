@@ -0,0 +1,120 @@
+import { spawn } from 'child_process';
+
+// Duration and waveform for voice notes, decoded with ffmpeg (FFMPEG_PATH, or ffmpeg on the PATH).
+// Read on use, since .env is loaded after this module.
+const ffmpegPath = () => process.env.FFMPEG_PATH || 'ffmpeg';
+const TIMEOUT_MS = parseInt(process.env.AUDIO_ANALYSIS_TIMEOUT_MS) || 30 * 1000;
+const SAMPLE_RATE = 8000;
+const BLOCK_SAMPLES = SAMPLE_RATE / 100;
+
+// Number of peaks stored per voice note
+export const WAVEFORM_BARS = 64;
+
+// Only audio containers are decoded, and only fetched over http(s)
+const FORMAT_WHITELIST = 'matroska,webm,ogg,mov,mp4,m4a,3gp,3g2,mj2';
+const PROTOCOL_WHITELIST = 'http,https,tls,tcp';
+
+// Reduce per-block peaks to WAVEFORM_BARS values between 0 and 1, scaled to the loudest bar
+const toWaveform = (blockPeaks) => {
+  if (blockPeaks.length === 0) return [];
+
+  const bars = [];
+  const perBar = blockPeaks.length / WAVEFORM_BARS;
+  for (let bar = 0; bar < WAVEFORM_BARS; bar++) {
+    const start = Math.floor(bar * perBar);
+    const end = Math.max(start + 1, Math.floor((bar + 1) * perBar));
+    let peak = 0;
+    for (let i = start; i < end && i < blockPeaks.length; i++) {
+      peak = Math.max(peak, blockPeaks[i]);
+    }
+    bars.push(peak);
+  }
+
+  const loudest = Math.max(...bars);
+  return bars.map(peak => loudest ? Math.round(peak / loudest * 100) / 100 : 0);
+};
+
+// Check at startup that ffmpeg can be run, so a missing binary shows up before the first
+// voice note is sent without its duration and waveform. Resolves to whether it ran.
+export const checkFfmpeg = () => {
+  return new Promise((resolve) => {
+    const ffmpeg = spawn(ffmpegPath(), ['-version'], { stdio: 'ignore' });
+    ffmpeg.on('error', () => resolve(false));
+    ffmpeg.on('close', code => resolve(code === 0));
+  }).then((available) => {
+    if (!available) {
+      console.error(`❌ ffmpeg not found at "${ffmpegPath()}": voice notes will be sent without duration or waveform. Install ffmpeg or set FFMPEG_PATH.`);
+    }
+    return available;
+  });
+};
+
+// Decode the audio at `url` to mono 16-bit PCM and measure it.
+// Resolves to { duration (seconds), waveform }; rejects if ffmpeg fails or takes too long.
+export const analyzeAudio = (url) => {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(ffmpegPath(), [
+      '-v', 'error',
+      '-nostdin',
+      '-protocol_whitelist', PROTOCOL_WHITELIST,
+      '-format_whitelist', FORMAT_WHITELIST,
+      '-i', url,
+      '-vn',
+      '-ac', '1',
+      '-ar', String(SAMPLE_RATE),
+      '-f', 's16le',
+      'pipe:1'
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const blockPeaks = [];
+    let samples = 0;
+    let blockPeak = 0;
+    let leftover = null;
+    let stderr = '';
+
+    const timer = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+      reject(new Error('Audio analysis timed out'));
+    }, TIMEOUT_MS);
+
+    ffmpeg.stdout.on('data', (chunk) => {
+      // Samples are two bytes; keep an odd trailing byte for the next chunk
+      const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = data.length - (data.length % 2);
+      leftover = usable < data.length ? data.subarray(usable) : null;
+
+      for (let offset = 0; offset < usable; offset += 2) {
+        blockPeak = Math.max(blockPeak, Math.abs(data.readInt16LE(offset)));
+        samples++;
+        if (samples % BLOCK_SAMPLES === 0) {
+          blockPeaks.push(blockPeak / 32768);
+          blockPeak = 0;
+        }
+      }
+    });
+
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-1000);
+    });
+
+    ffmpeg.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    ffmpeg.on('close', (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        return reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+      }
+      if (samples % BLOCK_SAMPLES !== 0) {
+        blockPeaks.push(blockPeak / 32768);
+      }
+
+      resolve({
+        duration: Math.round(samples / SAMPLE_RATE * 100) / 100,
+        waveform: toWaveform(blockPeaks)
+      });
+    });
+  });
+};
@@ -0,0 +1,59 @@
+import { sendMail } from './mailer.js';
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Email address verification email
+export const sendVerificationEmail = async (user, token) => {
+  const link = `${clientUrl()}/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Mini Office email address',
+    text: `Hi ${user.name},\n\n` +
+      'Please confirm your email address to start posting, creating groups and sending messages.\n\n' +
+      `${link}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      '<p>Please confirm your email address to start posting, creating groups and sending messages.</p>' +
+      `<p><a href="${link}">Verify email</a></p>`
+  });
+};
+
+// Account locked after repeated failed logins
+export const sendAccountLockedEmail = async (user, lockedUntil, ip) => {
+  const until = lockedUntil.toUTCString();
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your Mini Office account was temporarily locked',
+    text: `Hi ${user.name},\n\n` +
+      `We locked your account until ${until} after too many failed login attempts (last attempt from ${ip}).\n\n` +
+      'If this was not you, consider resetting your password once the lock expires.',
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>We locked your account until ${until} after too many failed login attempts (last attempt from ${escapeHtml(ip)}).</p>` +
+      '<p>If this was not you, consider resetting your password once the lock expires.</p>'
+  });
+};
+
+// Password reset email
+export const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  const link = `${clientUrl()}/reset-password?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Mini Office password',
+    text: `Hi ${user.name},\n\n` +
+      `Use the link below to reset your password. It expires in ${expiresInMinutes} minutes and can only be used once.\n\n` +
+      `${link}\n\n` +
+      'If you did not request a password reset, you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      `<p>Use the link below to reset your password. It expires in ${expiresInMinutes} minutes and can only be used once.</p>` +
+      `<p><a href="${link}">Reset password</a></p>` +
+      '<p>If you did not request a password reset, you can ignore this email.</p>'
+  });
+};
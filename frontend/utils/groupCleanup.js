@@ -0,0 +1,65 @@
+import Group from '../models/Group.js';
+import Post from '../models/Post.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import JoinRequest from '../models/JoinRequest.js';
+import GroupInvite from '../models/GroupInvite.js';
+import GroupAuditLog from '../models/GroupAuditLog.js';
+import Channel from '../models/Channel.js';
+
+export const GROUP_DELETION_GRACE_DAYS = parseInt(process.env.GROUP_DELETION_GRACE_DAYS) || 7;
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Permanently remove a group's content and memberships once its grace period is over
+export const purgeGroup = async (group) => {
+  const now = new Date();
+
+  await Promise.all([
+    Post.updateMany({ group: group._id, isDeleted: false }, { isDeleted: true }),
+    Message.updateMany({ group: group._id, isDeleted: false }, { isDeleted: true, deletedAt: now }),
+    User.updateMany({ joinedGroups: group._id }, { $pull: { joinedGroups: group._id } }),
+    JoinRequest.updateMany({ group: group._id, status: 'pending' }, { status: 'cancelled' }),
+    GroupInvite.updateMany({ group: group._id, status: 'pending' }, { status: 'revoked', revokedAt: now }),
+    Channel.updateMany({ group: group._id }, { isArchived: true })
+  ]);
+
+  const memberCount = group.members.length;
+  group.members = [];
+  group.admins = [];
+  group.pendingTransfer = undefined;
+  group.deletion.purgedAt = now;
+  await group.save();
+
+  await GroupAuditLog.record(group._id, group.deletion.requestedBy, 'group_purged', {
+    details: { memberCount }
+  });
+};
+
+// Purge every group whose deletion grace period has expired
+export const purgeExpiredGroups = async () => {
+  const groups = await Group.find({
+    isDeleted: true,
+    'deletion.purgeAt': { $lte: new Date() },
+    'deletion.purgedAt': null
+  });
+
+  for (const group of groups) {
+    try {
+      await purgeGroup(group);
+      console.log(`🗑️  Purged group ${group.name}`);
+    } catch (error) {
+      console.error(`Purge group ${group._id} error:`, error);
+    }
+  }
+};
+
+// Run the purge sweep at startup and then periodically inside the server process
+export const startGroupCleanup = () => {
+  const sweep = () => {
+    purgeExpiredGroups().catch(error => console.error('Group cleanup error:', error));
+  };
+
+  sweep();
+  return setInterval(sweep, SWEEP_INTERVAL_MS);
+};
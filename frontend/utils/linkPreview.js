@@ -0,0 +1,267 @@
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import LinkPreview from '../models/LinkPreview.js';
+import Post from '../models/Post.js';
+
+const TIMEOUT_MS = parseInt(process.env.LINK_PREVIEW_TIMEOUT_MS) || 5000;
+const MAX_BYTES = parseInt(process.env.LINK_PREVIEW_MAX_BYTES) || 512 * 1024;
+const MAX_REDIRECTS = 3;
+const MAX_LINKS_PER_MESSAGE = 3;
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const FAILURE_TTL_MS = 60 * 60 * 1000;
+
+// Only for local development and fixture servers: allow loopback/private targets and any port
+const allowPrivateNetworks = () => process.env.LINK_PREVIEW_ALLOW_PRIVATE === 'true';
+
+// Addresses we never connect to
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96], ['2001:db8::', 32]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1)
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+
+  return blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// DNS lookup used for every connection, so a host cannot resolve to a private address
+// (including after a redirect or a DNS rebind between checks)
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    // Node asks for every address when it races IPv4/IPv6 connections
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = !allowPrivateNetworks() && addresses.find(isPrivateAddress);
+    if (blocked) {
+      return callback(new Error(`Refusing to connect to private address ${blocked}`));
+    }
+    callback(null, address, family);
+  });
+};
+
+const checkUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Invalid URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Only http and https links are previewed');
+  }
+  if (parsed.username || parsed.password) {
+    throw new Error('URLs with credentials are not previewed');
+  }
+  if (!allowPrivateNetworks()) {
+    if (parsed.port && !['80', '443'].includes(parsed.port)) {
+      throw new Error('Non-standard ports are not previewed');
+    }
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+      throw new Error(`Refusing to connect to private address ${hostname}`);
+    }
+  }
+
+  return parsed;
+};
+
+// GET a URL and return up to MAX_BYTES of its HTML body, following a few redirects
+const fetchHtml = (url, redirects = 0) => new Promise((resolve, reject) => {
+  let parsed;
+  try {
+    parsed = checkUrl(url);
+  } catch (error) {
+    return reject(error);
+  }
+
+  const client = parsed.protocol === 'https:' ? https : http;
+  const request = client.get(parsed, {
+    lookup: safeLookup,
+    timeout: TIMEOUT_MS,
+    headers: {
+      'User-Agent': 'MiniOffice-LinkPreview/1.0',
+      Accept: 'text/html,application/xhtml+xml'
+    }
+  }, (response) => {
+    const { statusCode, headers } = response;
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      if (redirects >= MAX_REDIRECTS) {
+        return reject(new Error('Too many redirects'));
+      }
+      return resolve(fetchHtml(new URL(headers.location, parsed).toString(), redirects + 1));
+    }
+
+    if (statusCode !== 200) {
+      response.resume();
+      return reject(new Error(`Unexpected status ${statusCode}`));
+    }
+
+    const contentType = headers['content-type'] || '';
+    if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+      response.resume();
+      return reject(new Error(`Unsupported content type ${contentType}`));
+    }
+
+    const chunks = [];
+    let size = 0;
+    response.on('data', (chunk) => {
+      size += chunk.length;
+      chunks.push(chunk);
+      // The head is all we need; stop reading once we have enough
+      if (size >= MAX_BYTES) {
+        response.destroy();
+        resolve({ url: parsed.toString(), html: Buffer.concat(chunks).subarray(0, MAX_BYTES).toString('utf8') });
+      }
+    });
+    response.on('end', () => resolve({ url: parsed.toString(), html: Buffer.concat(chunks).toString('utf8') }));
+    response.on('error', reject);
+  });
+
+  request.on('timeout', () => request.destroy(new Error('Request timed out')));
+  request.on('error', reject);
+
+  // Hard cap on the whole exchange, including slow bodies
+  const timer = setTimeout(() => request.destroy(new Error('Request timed out')), TIMEOUT_MS);
+  request.on('close', () => clearTimeout(timer));
+});
+
+const decodeEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, '\'')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+const clean = (value, maxLength) => {
+  if (!value) return undefined;
+  const text = decodeEntities(value).replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, maxLength) : undefined;
+};
+
+// Extract OpenGraph / Twitter card metadata, falling back to <title> and the description meta tag
+export const parseMetadata = (html, pageUrl) => {
+  const head = html.split(/<\/head>/i)[0];
+  const meta = {};
+
+  for (const [tag] of head.matchAll(/<meta\s[^>]*>/gi)) {
+    const attributes = {};
+    for (const [, name, , value1, value2] of tag.matchAll(/([a-zA-Z:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+      attributes[name.toLowerCase()] = value1 ?? value2;
+    }
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && !(key in meta)) {
+      meta[key] = attributes.content;
+    }
+  }
+
+  const titleTag = head.match(/<title[^>]*>([^<]*)<\/title>/i);
+
+  let image = meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || meta['twitter:image:src'];
+  if (image) {
+    try {
+      image = new URL(decodeEntities(image), pageUrl);
+      image = ['http:', 'https:'].includes(image.protocol) ? image.toString() : undefined;
+    } catch (error) {
+      image = undefined;
+    }
+  }
+
+  return {
+    title: clean(meta['og:title'] || meta['twitter:title'] || titleTag?.[1], 200),
+    description: clean(meta['og:description'] || meta['twitter:description'] || meta.description, 500),
+    image,
+    siteName: clean(meta['og:site_name'], 100) || new URL(pageUrl).hostname
+  };
+};
+
+// Fetch and parse a URL without touching the cache
+export const unfurlUrl = async (url) => {
+  const { url: finalUrl, html } = await fetchHtml(url);
+  return parseMetadata(html, finalUrl);
+};
+
+// Unfurl requests already running, so concurrent messages with the same link share one fetch
+const inFlight = new Map();
+
+// Get a preview for a URL from the cache or by fetching it; null when the link has no usable preview
+export const getLinkPreview = async (url) => {
+  const cached = await LinkPreview.findOne({ url, expiresAt: { $gt: new Date() } });
+  if (cached) {
+    return cached.status === 'ok' ? cached.toPreview() : null;
+  }
+
+  if (!inFlight.has(url)) {
+    const task = (async () => {
+      try {
+        const metadata = await unfurlUrl(url);
+        const ok = !!(metadata.title || metadata.description || metadata.image);
+        const entry = await LinkPreview.findOneAndUpdate(
+          { url },
+          {
+            status: ok ? 'ok' : 'failed',
+            ...metadata,
+            error: ok ? undefined : 'No preview metadata',
+            expiresAt: new Date(Date.now() + (ok ? CACHE_TTL_MS : FAILURE_TTL_MS))
+          },
+          { upsert: true, new: true }
+        );
+        return ok ? entry.toPreview() : null;
+      } catch (error) {
+        await LinkPreview.findOneAndUpdate(
+          { url },
+          { status: 'failed', error: error.message, expiresAt: new Date(Date.now() + FAILURE_TTL_MS) },
+          { upsert: true }
+        );
+        return null;
+      } finally {
+        inFlight.delete(url);
+      }
+    })();
+    inFlight.set(url, task);
+  }
+
+  return inFlight.get(url);
+};
+
+// Find the http(s) links in a piece of text, in order and without duplicates
+export const extractUrls = (text = '', max = MAX_LINKS_PER_MESSAGE) => {
+  const matches = text.match(/https?:\/\/[^\s<>"']+/gi) || [];
+  const urls = matches.map(url => url.replace(/[.,;:!?)\]]+$/, ''));
+  return [...new Set(urls)].slice(0, max);
+};
+
+// Previews for every link in a piece of text, skipping links without one
+export const getLinkPreviews = async (text) => {
+  const previews = await Promise.all(extractUrls(text).map(getLinkPreview));
+  return previews.filter(Boolean);
+};
+
+// Unfurl a post's link in the background and store the preview on the post
+export const fillPostPreview = (post) => {
+  const url = post.link || extractUrls(post.description, 1)[0];
+  if (!url && !post.linkPreview?.url) return;
+
+  (url ? getLinkPreview(url) : Promise.resolve(null))
+    .then(preview => Post.updateOne({ _id: post._id }, preview ? { linkPreview: preview } : { $unset: { linkPreview: 1 } }))
+    .catch(error => console.error('Post link preview error:', error));
+};
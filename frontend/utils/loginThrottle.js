@@ -0,0 +1,125 @@
+import LoginThrottle from '../models/LoginThrottle.js';
+import { sendAccountLockedEmail } from './emails.js';
+
+const FAILURE_WINDOW_MS = 15 * 60 * 1000; // failures older than this are forgotten
+const LOCK_DURATION_MS = (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+const MAX_DELAY_SECONDS = 30;
+
+const limits = {
+  account: {
+    maxFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 10,
+    freeAttempts: 3
+  },
+  ip: {
+    maxFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 50,
+    freeAttempts: 10
+  }
+};
+
+const keysFor = ({ email, ip }) => {
+  const keys = [];
+  if (email) keys.push({ scope: 'account', key: email.toLowerCase() });
+  if (ip) keys.push({ scope: 'ip', key: ip });
+  return keys;
+};
+
+// Delay before the next attempt grows exponentially once the free attempts are used up
+const delayFor = (scope, failures) => {
+  const extra = failures - limits[scope].freeAttempts;
+  return extra > 0 ? Math.min(2 ** (extra - 1), MAX_DELAY_SECONDS) : 0;
+};
+
+// Check whether a login attempt may proceed for this account and IP
+export const checkLoginAllowed = async ({ email, ip }) => {
+  const now = new Date();
+  const throttles = await LoginThrottle.find({ $or: keysFor({ email, ip }) });
+
+  for (const throttle of throttles) {
+    if (throttle.isLocked) {
+      return {
+        allowed: false,
+        locked: true,
+        scope: throttle.scope,
+        retryAfter: Math.ceil((throttle.lockedUntil - now) / 1000)
+      };
+    }
+    if (throttle.nextAttemptAt && throttle.nextAttemptAt > now) {
+      return {
+        allowed: false,
+        locked: false,
+        scope: throttle.scope,
+        retryAfter: Math.ceil((throttle.nextAttemptAt - now) / 1000)
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+// Record a failed attempt against the account and IP, locking them when over the limit
+export const recordLoginFailure = async ({ email, ip, user = null }) => {
+  const now = new Date();
+
+  for (const { scope, key } of keysFor({ email, ip })) {
+    // Forget failures outside the window
+    await LoginThrottle.updateOne(
+      { scope, key, lastFailureAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+      { $set: { failures: 0 } }
+    );
+
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { scope, key },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          lastFailureAt: now,
+          lastIp: ip,
+          expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS + LOCK_DURATION_MS),
+          ...(user ? { user: user._id } : {})
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    if (throttle.failures >= limits[scope].maxFailures) {
+      throttle.lockedUntil = new Date(now.getTime() + LOCK_DURATION_MS);
+      throttle.lockCount += 1;
+      throttle.failures = 0;
+      throttle.nextAttemptAt = undefined;
+      await throttle.save();
+
+      if (scope === 'account' && user) {
+        try {
+          await sendAccountLockedEmail(user, throttle.lockedUntil, ip);
+        } catch (error) {
+          console.error('Account locked email error:', error);
+        }
+      }
+    } else {
+      const delay = delayFor(scope, throttle.failures);
+      if (delay > 0) {
+        throttle.nextAttemptAt = new Date(now.getTime() + delay * 1000);
+        await throttle.save();
+      }
+    }
+  }
+};
+
+// Clear the account counter after a successful login
+export const recordLoginSuccess = async ({ email }) => {
+  if (email) {
+    await LoginThrottle.deleteOne({ scope: 'account', key: email.toLowerCase() });
+  }
+};
+
+// Send the standard throttled response
+export const sendThrottled = (res, check) => {
+  res.set('Retry-After', String(check.retryAfter));
+  return res.status(429).json({
+    message: check.locked
+      ? 'Too many failed login attempts. Please try again later.'
+      : `Too many failed login attempts. Please wait ${check.retryAfter} seconds.`,
+    code: check.locked ? 'LOGIN_LOCKED' : 'LOGIN_THROTTLED',
+    retryAfter: check.retryAfter
+  });
+};
@@ -0,0 +1,95 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Mail drivers: each exposes send({ from, to, subject, text, html })
+const drivers = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+
+    return {
+      send: (mail) => transporter.sendMail(mail)
+    };
+  },
+
+  // Writes each mail as a JSON file, handy for local testing
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'logs', 'mail');
+
+    return {
+      send: async (mail) => {
+        await fs.mkdir(dir, { recursive: true });
+        const filename = `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+        await fs.writeFile(
+          path.join(dir, filename),
+          JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2)
+        );
+        return { filename };
+      }
+    };
+  },
+
+  // Prints mails, links and tokens included, to stdout: development only
+  console: () => ({
+    send: async (mail) => {
+      console.log(`📧 Mail to ${mail.to}: ${mail.subject}\n${mail.text}`);
+      return {};
+    }
+  })
+};
+
+let transport = null;
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// The configured driver name; throws for setups that would leak mail contents into logs
+const getDriverName = () => {
+  const driverName = process.env.MAIL_DRIVER || (isProduction() ? null : 'console');
+  if (!driverName) {
+    throw new Error('MAIL_DRIVER must be set in production');
+  }
+  if (driverName === 'console' && isProduction()) {
+    throw new Error('The console mail driver cannot be used in production');
+  }
+  if (!drivers[driverName]) {
+    throw new Error(`Unknown mail driver: ${driverName}`);
+  }
+  return driverName;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = drivers[getDriverName()]();
+  }
+  return transport;
+};
+
+// Check the mail configuration at startup instead of on the first mail
+export const checkMailConfig = () => {
+  getDriverName();
+};
+
+// Register a custom mail driver (e.g. for a provider API)
+export const registerMailDriver = (name, createDriver) => {
+  drivers[name] = createDriver;
+  transport = null;
+};
+
+// Send an email through the configured driver
+export const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Mini Office <no-reply@minioffice.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
@@ -0,0 +1,97 @@
+import User from '../models/User.js';
+import { GROUP_ROLES } from '../models/Group.js';
+import { notifyUsers } from './notifications.js';
+
+// @handle, not preceded by a word character (so emails don't match)
+const MENTION_REGEX = /(^|[^a-zA-Z0-9_@.])@([a-zA-Z0-9_]{3,30})\b/g;
+
+// Mentions that reach many people at once; only group admins may use them
+export const BROADCAST_MENTIONS = ['here', 'channel'];
+
+// Pull handles and any broadcast mention out of a piece of text
+export const extractMentions = (text = '') => {
+  const handles = new Set();
+  let broadcast = null;
+
+  for (const match of text.matchAll(MENTION_REGEX)) {
+    const handle = match[2].toLowerCase();
+    if (BROADCAST_MENTIONS.includes(handle)) {
+      // @channel wins over @here
+      broadcast = broadcast === 'channel' ? broadcast : handle;
+    } else {
+      handles.add(handle);
+    }
+  }
+
+  return { handles: [...handles], broadcast };
+};
+
+// Who can be mentioned: anyone, or only members for group content
+export const mentionAudience = (group) => {
+  return group ? [group.owner, ...group.admins, ...group.members.map(m => m.user)] : null;
+};
+
+// Resolve the handles in `text` to user ids, optionally limited to `allowedIds`
+export const resolveMentions = async (text, allowedIds = null) => {
+  const { handles } = extractMentions(text);
+  if (handles.length === 0) return [];
+
+  const query = { handle: { $in: handles } };
+  if (allowedIds) {
+    query._id = { $in: allowedIds };
+  }
+
+  const users = await User.find(query).select('_id');
+  return users.map(user => user._id);
+};
+
+// Resolve mentions in a group message. @here/@channel are expanded only for group admins:
+// @channel reaches everyone who can see the channel, @here only those currently online.
+export const resolveGroupMentions = async (text, { group, role, channel = null }) => {
+  const { broadcast } = extractMentions(text);
+  const audience = mentionAudience(group)
+    .filter(id => !channel || channel.canView(group.getMemberRole(id)));
+
+  const mentions = await resolveMentions(text, audience);
+
+  const canBroadcast = GROUP_ROLES.indexOf(role) >= GROUP_ROLES.indexOf('admin');
+  if (!broadcast || !canBroadcast) {
+    return { mentions, broadcast: null, recipients: mentions };
+  }
+
+  let broadcastIds = audience;
+  if (broadcast === 'here') {
+    const online = await User.find({ _id: { $in: audience }, isOnline: true }).select('_id');
+    broadcastIds = online.map(user => user._id);
+  }
+
+  return { mentions, broadcast, recipients: [...mentions, ...broadcastIds] };
+};
+
+// Store resolved mentions on a message before it is saved and return who should be notified.
+// Direct messages only record mentions of the two participants and notify nobody.
+export const applyMessageMentions = async (message, { group = null, role = null, channel = null } = {}) => {
+  if (!group) {
+    message.metadata.mentions = await resolveMentions(message.content, [message.sender, message.recipient]);
+    return [];
+  }
+
+  const { mentions, broadcast, recipients } = await resolveGroupMentions(message.content, { group, role, channel });
+  message.metadata.mentions = mentions;
+  message.metadata.broadcastMention = broadcast;
+  return recipients;
+};
+
+// Send `mention` notifications, never to the author
+export const notifyMentions = async (io, userIds, { from, group = null, post = null, text }) => {
+  const recipients = userIds.filter(id => id.toString() !== from._id.toString());
+  if (recipients.length === 0) return;
+
+  await notifyUsers(io, recipients, {
+    type: 'mention',
+    from: from._id,
+    group,
+    post,
+    message: text
+  });
+};
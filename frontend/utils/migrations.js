@@ -0,0 +1,67 @@
+import Group from '../models/Group.js';
+import User from '../models/User.js';
+
+// Data migrations run at startup. Each one is idempotent, so running it again is a no-op.
+
+// Groups from before the permission matrix kept "members may post" as settings.allowMemberPosts,
+// a field the schema no longer has. The native driver is used since Mongoose strips unknown paths.
+const migrateAllowMemberPosts = async () => {
+  const restricted = await Group.collection.updateMany(
+    { 'settings.allowMemberPosts': false, 'settings.permissions.post': { $exists: false } },
+    { $set: { 'settings.permissions.post': 'admin' } }
+  );
+  await Group.collection.updateMany(
+    { 'settings.allowMemberPosts': { $exists: true } },
+    { $unset: { 'settings.allowMemberPosts': '' } }
+  );
+
+  if (restricted.modifiedCount > 0) {
+    console.log(`🔧 Moved allowMemberPosts into post permissions for ${restricted.modifiedCount} groups`);
+  }
+};
+
+// Accounts created before handles existed can't be @mentioned until they get one
+const backfillHandles = async () => {
+  const missing = { $or: [{ handle: { $exists: false } }, { handle: null }, { handle: '' }] };
+  const users = User.find(missing).select('name').lean().cursor();
+
+  let count = 0;
+  for await (const user of users) {
+    // Another user may take the generated handle in the meantime
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        const handle = await User.generateHandle(user.name || 'user');
+        await User.updateOne({ _id: user._id, ...missing }, { handle });
+        count++;
+        break;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  if (count > 0) {
+    console.log(`🔧 Generated handles for ${count} users`);
+  }
+};
+
+// Accounts from before email verification never had the flag. They count as verified rather
+// than losing posting and messaging until they dig out a verification mail.
+const grandfatherEmailVerification = async () => {
+  const result = await User.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`🔧 Marked ${result.modifiedCount} existing users as verified`);
+  }
+};
+
+const migrations = [migrateAllowMemberPosts, backfillHandles, grandfatherEmailVerification];
+
+export const runMigrations = async () => {
+  for (const migrate of migrations) {
+    await migrate();
+  }
+};
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import User, { MAX_NOTIFICATIONS } from '../models/User.js';
+
+const NOTIFY_BATCH_SIZE = 500;
+
+// Store a notification for a user and push it over their socket room
+export const notifyUser = async (io, userId, notification) => {
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  await user.addNotification(notification);
+
+  if (io) {
+    io.to(`user_${userId}`).emit('new_notification', user.notifications[0]);
+  }
+};
+
+// Notify several users, skipping duplicates. Written in batches with one update each,
+// so notifying a large group doesn't load and save every member.
+export const notifyUsers = async (io, userIds, notification) => {
+  const uniqueIds = [...new Set(userIds.map(id => id.toString()))];
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    ...notification,
+    read: false,
+    createdAt: new Date()
+  };
+
+  for (let i = 0; i < uniqueIds.length; i += NOTIFY_BATCH_SIZE) {
+    const batch = uniqueIds.slice(i, i + NOTIFY_BATCH_SIZE);
+    await User.updateMany(
+      { _id: { $in: batch } },
+      { $push: { notifications: { $each: [entry], $position: 0, $slice: MAX_NOTIFICATIONS } } },
+      { runValidators: true }
+    );
+
+    if (io) {
+      io.to(batch.map(userId => `user_${userId}`)).emit('new_notification', entry);
+    }
+  }
+};
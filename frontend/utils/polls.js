@@ -0,0 +1,169 @@
+import { body, validationResult } from 'express-validator';
+import Poll, { MAX_POLL_OPTIONS } from '../models/Poll.js';
+import Message from '../models/Message.js';
+import { messageRoom } from './socketHandlers.js';
+
+// Posts are sent as multipart form data, where the poll arrives as a JSON string
+const parseJson = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Validation for an optional `poll`: { question, options, allowMultiple, isAnonymous, closesAt }
+export const pollValidation = [
+  body('poll').optional().customSanitizer(parseJson).isObject().withMessage('Poll must be an object'),
+  body('poll.question').if(body('poll').exists()).trim().isLength({ min: 1, max: 300 }).withMessage('Question must be 1-300 characters'),
+  body('poll.options').if(body('poll').exists()).isArray({ min: 2, max: MAX_POLL_OPTIONS }).withMessage(`A poll needs 2-${MAX_POLL_OPTIONS} options`),
+  body('poll.options.*').trim().isLength({ min: 1, max: 100 }).withMessage('Options must be 1-100 characters'),
+  body('poll.allowMultiple').optional().isBoolean(),
+  body('poll.isAnonymous').optional().isBoolean(),
+  body('poll.closesAt').optional({ nullable: true }).isISO8601().withMessage('Close time must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date()).withMessage('Close time must be in the future')
+];
+
+export const voteValidation = [
+  body('options').isArray({ min: 1, max: MAX_POLL_OPTIONS }).withMessage('Choose at least one option'),
+  body('options.*').isInt({ min: 0 }).toInt().withMessage('Invalid poll option')
+];
+
+// Create a poll from validated request data
+export const createPoll = (creator, data, group = null) => {
+  return Poll.create({
+    question: data.question,
+    options: data.options.map(text => ({ text })),
+    allowMultiple: [true, 'true'].includes(data.allowMultiple),
+    isAnonymous: [true, 'true'].includes(data.isAnonymous),
+    closesAt: data.closesAt || null,
+    createdBy: creator._id,
+    group: group ? group._id : null
+  });
+};
+
+const emitPollEvent = (io, room, event, poll) => {
+  if (io && room) {
+    io.to(room).emit(event, {
+      pollId: poll._id,
+      messageId: poll.message,
+      postId: poll.post,
+      groupId: poll.group,
+      results: poll.getResults()
+    });
+  }
+};
+
+// Push new tallies to everyone who can see the poll
+const emitPoll = (req, event, poll) => {
+  emitPollEvent(req.app.get('io'), req.pollRoom, event, poll);
+};
+
+// Socket room of the message or group post a poll belongs to, if any
+const pollRoomOf = async (poll) => {
+  if (poll.message) {
+    const message = await Message.findById(poll.message).select('group channel recipient');
+    return message ? messageRoom(message) : null;
+  }
+  return poll.group ? `group_${poll.group}` : null;
+};
+
+// Mark polls whose close time has passed as closed and tell their rooms, once each.
+// Run by the scheduler sweep.
+export const closeExpiredPolls = async (io) => {
+  let poll;
+  while ((poll = await Poll.findOneAndUpdate(
+    { closedAt: null, closesAt: { $ne: null, $lte: new Date() } },
+    { $set: { closedAt: new Date() }, $inc: { __v: 1 } },
+    { new: true }
+  ))) {
+    emitPollEvent(io, await pollRoomOf(poll), 'poll_closed', poll);
+  }
+};
+
+// Route handlers shared by message and post polls. The loading middleware sets req.poll,
+// req.pollRoom (socket room for live tallies, if any) and req.canClosePoll.
+
+export const getPollResults = async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.poll._id)
+      .select('+votes')
+      .populate('votes.user', 'name avatar');
+
+    res.json({ results: poll.getResults(req.user._id) });
+  } catch (error) {
+    console.error('Get poll results error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const votePoll = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { poll, error } = await Poll.recordVote(req.poll._id, req.user._id, req.body.options);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    emitPoll(req, 'poll_updated', poll);
+
+    res.json({
+      message: 'Vote recorded',
+      results: poll.getResults(req.user._id)
+    });
+  } catch (error) {
+    console.error('Vote in poll error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const retractPollVote = async (req, res) => {
+  try {
+    const { poll, error } = await Poll.recordVote(req.poll._id, req.user._id, null);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    emitPoll(req, 'poll_updated', poll);
+
+    res.json({
+      message: 'Vote removed',
+      results: poll.getResults(req.user._id)
+    });
+  } catch (error) {
+    console.error('Retract poll vote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export const closePoll = async (req, res) => {
+  try {
+    if (!req.canClosePoll) {
+      return res.status(403).json({ message: 'Only the poll creator or a moderator can close this poll' });
+    }
+
+    const poll = await Poll.findById(req.poll._id).select('+votes');
+    if (poll.isClosed()) {
+      return res.status(400).json({ message: 'This poll is already closed' });
+    }
+
+    await poll.close(req.user._id);
+    emitPoll(req, 'poll_closed', poll);
+
+    res.json({
+      message: 'Poll closed',
+      results: poll.getResults(req.user._id)
+    });
+  } catch (error) {
+    console.error('Close poll error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,173 @@
+import Message from '../models/Message.js';
+import Group from '../models/Group.js';
+import Post from '../models/Post.js';
+import { emitGroupMessage, fillMessagePreviews } from './socketHandlers.js';
+import { applyMessageMentions, resolveMentions, mentionAudience, notifyMentions } from './mentions.js';
+import { fillPostPreview } from './linkPreview.js';
+import { createPoll } from './polls.js';
+
+// Sending paths shared by the REST routes and the scheduler. Callers check access first.
+
+// Save a direct message and push it to the recipient; a repeated clientId returns the original
+export const sendDirectMessage = async (io, sender, { recipient, content, type = 'text', clientId, attachments = [] }) => {
+  const message = new Message({
+    sender: sender._id,
+    recipient,
+    content,
+    type,
+    attachments,
+    clientId
+  });
+
+  await applyMessageMentions(message);
+  const { message: saved, duplicate } = await message.saveOnce();
+  await saved.populate('sender', 'name avatar');
+
+  // A retry of a message we already have is only confirmed again
+  if (duplicate) {
+    return { message: saved, duplicate };
+  }
+
+  if (io) {
+    io.to(`user_${recipient}`).emit('new_message', {
+      message: saved,
+      conversationId: saved.conversation
+    });
+  }
+  fillMessagePreviews(io, saved);
+
+  return { message: saved, duplicate };
+};
+
+// Save a group message and broadcast it; channel is null (or the default channel) for the main chat.
+// Poll messages pass the poll's details as `poll`.
+export const sendGroupMessage = async (io, sender, { group, role, channel = null, content, type = 'text', replyTo, clientId, poll = null, attachments = [] }) => {
+  const channelId = channel && !channel.isDefault ? channel._id : null;
+
+  const messageData = {
+    sender: sender._id,
+    group: group._id,
+    channel: channelId,
+    content,
+    type,
+    attachments,
+    clientId
+  };
+
+  if (replyTo) {
+    messageData.replyTo = replyTo;
+  }
+
+  const createdPoll = poll ? await createPoll(sender, poll, group) : null;
+  if (createdPoll) {
+    messageData.type = 'poll';
+    messageData.poll = createdPoll._id;
+  }
+
+  let mentioned;
+  let saved;
+  let duplicate;
+  try {
+    const message = new Message(messageData);
+    mentioned = await applyMessageMentions(message, { group, role, channel });
+    ({ message: saved, duplicate } = await message.saveOnce());
+  } catch (error) {
+    // Don't leave a poll behind without its message
+    if (createdPoll) await createdPoll.deleteOne();
+    throw error;
+  }
+
+  if (createdPoll) {
+    // A retried send keeps the poll of the original message
+    if (duplicate) {
+      await createdPoll.deleteOne();
+    } else {
+      createdPoll.message = saved._id;
+      await createdPoll.save();
+    }
+  }
+
+  await saved.populate([
+    { path: 'sender', select: 'name avatar' },
+    { path: 'replyTo', select: 'content sender', populate: { path: 'sender', select: 'name' } },
+    { path: 'poll' }
+  ]);
+
+  if (duplicate) {
+    return { message: saved, duplicate };
+  }
+
+  // Update group stats
+  await Group.findByIdAndUpdate(group._id, {
+    $inc: { 'stats.totalMessages': 1 }
+  });
+
+  // Emit real-time message to group members
+  if (io) {
+    emitGroupMessage(io, saved, group, channel);
+  }
+  fillMessagePreviews(io, saved);
+
+  await notifyMentions(io, mentioned, {
+    from: sender,
+    group: group._id,
+    text: `${sender.name} mentioned you in ${group.name}`
+  });
+
+  return { message: saved, duplicate };
+};
+
+// Create a post, optionally in `group`, and notify the people it mentions
+export const publishPost = async (io, author, { title, description, link, images = [], group = null, scheduledItem, poll = null }) => {
+  const postData = {
+    title,
+    description,
+    author: author._id,
+    images
+  };
+
+  if (link) postData.link = link;
+  if (group) postData.group = group._id;
+  if (scheduledItem) postData.scheduledItem = scheduledItem;
+
+  postData.mentions = await resolveMentions(description, mentionAudience(group));
+
+  const createdPoll = poll ? await createPoll(author, poll, group) : null;
+  if (createdPoll) postData.poll = createdPoll._id;
+
+  const post = new Post(postData);
+  try {
+    await post.save();
+  } catch (error) {
+    if (createdPoll) await createdPoll.deleteOne();
+    throw error;
+  }
+
+  if (createdPoll) {
+    createdPoll.post = post._id;
+    await createdPoll.save();
+  }
+
+  // Populate author info
+  await post.populate([
+    { path: 'author', select: 'name avatar' },
+    { path: 'poll' }
+  ]);
+  fillPostPreview(post);
+
+  // If it's a group post, update group stats
+  if (group) {
+    await Group.findByIdAndUpdate(group._id, {
+      $inc: { 'stats.totalPosts': 1 }
+    });
+  }
+
+  await notifyMentions(io, post.mentions, {
+    from: author,
+    group: group ? group._id : undefined,
+    post: post._id,
+    text: group ? `${author.name} mentioned you in a post in ${group.name}` : `${author.name} mentioned you in a post`
+  });
+
+  return post;
+};
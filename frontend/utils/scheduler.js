@@ -0,0 +1,199 @@
+import ScheduledItem from '../models/ScheduledItem.js';
+import User from '../models/User.js';
+import Group from '../models/Group.js';
+import Channel from '../models/Channel.js';
+import Post from '../models/Post.js';
+import { getEffectiveGroupRole, groupPostDenial } from '../middleware/auth.js';
+import { sendDirectMessage, sendGroupMessage, publishPost } from './publishing.js';
+import { closeExpiredPolls } from './polls.js';
+
+export const MAX_SCHEDULE_AHEAD_DAYS = 365;
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 15 * 1000;
+const LOCK_MS = 5 * 60 * 1000;
+const RETRY_DELAY_MS = 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+// Why a requested send time can't be used, or null when it is fine
+export const checkSendAt = (sendAt) => {
+  const time = new Date(sendAt).getTime();
+  if (isNaN(time)) return 'Invalid send time';
+  if (time <= Date.now()) return 'Send time must be in the future';
+  if (time > Date.now() + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+    return `Items can be scheduled at most ${MAX_SCHEDULE_AHEAD_DAYS} days ahead`;
+  }
+  return null;
+};
+
+// Store an item to send at `sendAt`; a repeated clientId returns the item already scheduled
+export const scheduleItem = async (author, kind, sendAt, payload) => {
+  const findOriginal = () => payload.clientId
+    ? ScheduledItem.findOne({ author: author._id, 'payload.clientId': payload.clientId })
+    : null;
+
+  const original = await findOriginal();
+  if (original) {
+    return { item: original, duplicate: true };
+  }
+
+  try {
+    const item = await ScheduledItem.create({ author: author._id, kind, sendAt, payload });
+    return { item, duplicate: false };
+  } catch (error) {
+    // A concurrent retry was stored first
+    if (error.code === 11000 && payload.clientId) {
+      const raced = await findOriginal();
+      if (raced) return { item: raced, duplicate: true };
+    }
+    throw error;
+  }
+};
+
+// Access is checked again when the item fires: the author may have left the group,
+// been muted or lost access to the channel since scheduling it
+const deliverGroupMessage = async (io, author, item) => {
+  const { payload } = item;
+
+  const group = await Group.findById(payload.group);
+  if (!group || group.isDeleted) return { error: 'The group no longer exists' };
+
+  const role = getEffectiveGroupRole(group, author);
+  if (!role) return { error: 'You are no longer a member of this group' };
+
+  if (group.getActiveMute(author._id)) return { error: 'You are muted in this group' };
+
+  let channel = null;
+  if (payload.channel) {
+    channel = await Channel.findOne({ _id: payload.channel, group: group._id, isArchived: false });
+    if (!channel) return { error: 'The channel no longer exists' };
+    if (!channel.canPost(group, role)) return { error: 'You can no longer post in this channel' };
+  } else if (!group.roleHasPermission(role, 'post')) {
+    return { error: 'You can no longer post in this group' };
+  }
+
+  const { message } = await sendGroupMessage(io, author, {
+    group,
+    role,
+    channel,
+    content: payload.content,
+    type: payload.type,
+    replyTo: payload.replyTo,
+    clientId: `scheduled_${item._id}`
+  });
+  return { message };
+};
+
+const deliverItem = async (io, item) => {
+  const author = await User.findById(item.author);
+  if (!author) return { error: 'Your account no longer exists' };
+  if (author.isCurrentlyBanned()) return { error: 'Your account is suspended' };
+
+  const { payload } = item;
+
+  if (item.kind === 'direct_message') {
+    const recipient = await User.findById(payload.recipient).select('_id');
+    if (!recipient) return { error: 'The recipient no longer exists' };
+
+    // The clientId makes a retried run after a crash return the message already sent
+    const { message } = await sendDirectMessage(io, author, {
+      recipient: payload.recipient,
+      content: payload.content,
+      type: payload.type,
+      clientId: `scheduled_${item._id}`
+    });
+    return { message };
+  }
+
+  if (item.kind === 'group_message') {
+    return deliverGroupMessage(io, author, item);
+  }
+
+  const published = await Post.findOne({ scheduledItem: item._id });
+  if (published) return { post: published };
+
+  // Group posts get the ban, membership, permission and mute checks of posting right now
+  let group = null;
+  if (payload.group) {
+    group = await Group.findById(payload.group);
+    if (!group || group.isDeleted) return { error: 'The group no longer exists' };
+
+    const denial = groupPostDenial(group, author);
+    if (denial) return { error: denial.message };
+  }
+
+  const post = await publishPost(io, author, {
+    title: payload.title,
+    description: payload.description,
+    link: payload.link,
+    images: payload.images,
+    group,
+    scheduledItem: item._id
+  });
+  return { post };
+};
+
+// Send one claimed item and record the outcome; unexpected errors are retried a few times
+export const fireScheduledItem = async (io, item) => {
+  try {
+    const result = await deliverItem(io, item);
+
+    if (result.error) {
+      item.status = 'failed';
+      item.error = result.error;
+    } else {
+      item.status = 'sent';
+      item.sentAt = new Date();
+      item.error = undefined;
+      item.result = { message: result.message?._id, post: result.post?._id };
+    }
+    item.lockedUntil = undefined;
+  } catch (error) {
+    console.error(`Scheduled item ${item._id} error:`, error);
+    item.error = error.message;
+
+    if (item.attempts >= MAX_ATTEMPTS) {
+      item.status = 'failed';
+      item.lockedUntil = undefined;
+    } else {
+      // Left processing; claimed again once the lock runs out
+      item.lockedUntil = new Date(Date.now() + RETRY_DELAY_MS);
+    }
+  }
+
+  await item.save();
+
+  if (io && ['sent', 'failed'].includes(item.status)) {
+    io.to(`user_${item.author}`).emit(item.status === 'sent' ? 'scheduled_item_sent' : 'scheduled_item_failed', {
+      item
+    });
+  }
+};
+
+// Send everything that is due
+export const runDueItems = async (io) => {
+  let item;
+  while ((item = await ScheduledItem.claimDue(LOCK_MS))) {
+    await fireScheduledItem(io, item);
+  }
+};
+
+// Run the scheduler inside the server process. Items live in MongoDB, so anything that came
+// due while the server was down goes out on the first sweep after a restart. The sweep also
+// announces polls that reached their close time.
+export const startScheduler = (io) => {
+  let running = false;
+
+  const sweep = () => {
+    if (running) return;
+    running = true;
+    runDueItems(io)
+      .then(() => closeExpiredPolls(io))
+      .catch(error => console.error('Scheduler error:', error))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  sweep();
+  return setInterval(sweep, SWEEP_INTERVAL_MS);
+};
@@ -28,6 +28,7 @@ const seedData = async () => {
       email: 'admin@minioffice.com',
       password: 'admin123',
       role: 'admin',
+      emailVerified: true,
       bio: 'System administrator',
       avatar: 'https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=150&h=150&fit=crop&crop=face'
     });
@@ -81,7 +82,7 @@ const seedData = async () => {
 
     const users = [];
     for (const userData of sampleUsers) {
-      const user = new User(userData);
+      const user = new User({ ...userData, emailVerified: true });
       await user.save();
       users.push(user);
     }
@@ -1,9 +1,86 @@
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Group from '../models/Group.js';
+import { verifyAccessToken, canInGroup, getEffectiveGroupRole } from '../middleware/auth.js';
+import Channel from '../models/Channel.js';
+import { CLIENT_MESSAGE_TYPES } from '../models/Message.js';
+import { applyMessageMentions, notifyMentions } from './mentions.js';
+import { extractUrls, getLinkPreviews } from './linkPreview.js';
+import { readAttachments, attachmentLabel } from './attachments.js';
 
 const connectedUsers = new Map();
 
+const MAX_DELIVERY_BATCH = 500;
+
+// Answer through the client's ack callback when it sent one, otherwise with an event
+const respond = (socket, ack, event, payload) => {
+  if (typeof ack === 'function') {
+    ack(payload);
+  } else {
+    socket.emit(event, payload);
+  }
+};
+
+const fail = (socket, ack, error) => {
+  if (typeof ack === 'function') {
+    ack({ ok: false, ...error });
+  } else {
+    socket.emit('error', error);
+  }
+};
+
+// socket.user is loaded on connect, so look again when it says unverified: the address
+// may have been verified since
+const hasVerifiedEmail = async (socket) => {
+  if (socket.user.emailVerified) return true;
+
+  const user = await User.findById(socket.userId).select('emailVerified');
+  socket.user.emailVerified = !!user?.emailVerified;
+  return socket.user.emailVerified;
+};
+
+// Query matching every message a user may receive: their direct messages (both ways,
+// for their other devices) and messages in the groups and channels they can see
+export const loadMessageScope = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return { _id: null };
+
+  const groups = (await Group.find({ _id: { $in: user.joinedGroups }, isDeleted: false }))
+    .filter(group => group.isMember(userId));
+  const roles = new Map(groups.map(group => [group._id.toString(), getEffectiveGroupRole(group, user)]));
+  const channels = (await Channel.find({ group: { $in: groups.map(g => g._id) }, isDefault: false, isArchived: false }))
+    .filter(channel => channel.canView(roles.get(channel.group.toString())));
+
+  return {
+    $or: [
+      { recipient: user._id },
+      { sender: user._id, group: null },
+      { group: { $in: groups.map(g => g._id) }, channel: null },
+      { channel: { $in: channels.map(c => c._id) } }
+    ]
+  };
+};
+
+// How long a socket reuses its message scope; joins, leaves and removals refresh it sooner
+const SCOPE_TTL_MS = 60 * 1000;
+
+// The socket's message scope, cached so bursts of delivery confirmations don't reload
+// the user's groups and channels for every message
+const getMessageScope = async (socket) => {
+  const cached = socket.data.messageScope;
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.scope;
+  }
+
+  const scope = await loadMessageScope(socket.userId);
+  socket.data.messageScope = { scope, expiresAt: Date.now() + SCOPE_TTL_MS };
+  return scope;
+};
+
+const clearMessageScope = (socket) => {
+  socket.data.messageScope = null;
+};
+
 export const handleConnection = (socket, io) => {
   console.log('New socket connection:', socket.id);
 
@@ -17,16 +94,28 @@ export const handleConnection = (socket, io) => {
         return;
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (!user) {
-        socket.emit('auth_error', { message: 'User not found' });
+      // Rejects tokens whose session was revoked or has expired
+      const auth = await verifyAccessToken(token);
+      if (!auth) {
+        socket.emit('auth_error', { message: 'Session expired or revoked' });
+        return;
+      }
+
+      const { user, sessionId } = auth;
+
+      if (user.isCurrentlyBanned()) {
+        socket.emit('auth_error', {
+          message: 'Your account has been suspended',
+          code: 'ACCOUNT_BANNED',
+          ban: user.getBanInfo()
+        });
+        socket.disconnect(true);
         return;
       }
 
       socket.userId = user._id.toString();
       socket.user = user;
+      socket.sessionId = sessionId.toString();
 
       // Store user connection
       connectedUsers.set(socket.userId, {
@@ -44,6 +133,9 @@ export const handleConnection = (socket, io) => {
       // Join user to their personal room
       socket.join(`user_${user._id}`);
 
+      // Join session room so revoking the session can disconnect this socket
+      socket.join(`session_${sessionId}`);
+
       // Join user to their group rooms
       if (user.joinedGroups && user.joinedGroups.length > 0) {
         user.joinedGroups.forEach(groupId => {
@@ -66,6 +158,11 @@ export const handleConnection = (socket, io) => {
       console.log(`User ${user.name} connected with socket ${socket.id}`);
 
     } catch (error) {
+      // Clients refresh an expired access token and authenticate again
+      if (error.name === 'TokenExpiredError') {
+        socket.emit('auth_error', { message: 'Access token expired', code: 'TOKEN_EXPIRED' });
+        return;
+      }
       console.error('Socket authentication error:', error);
       socket.emit('auth_error', { message: 'Authentication failed' });
     }
@@ -88,6 +185,7 @@ export const handleConnection = (socket, io) => {
       }
 
       socket.join(`group_${groupId}`);
+      clearMessageScope(socket);
       socket.emit('joined_group', { groupId, groupName: group.name });
 
     } catch (error) {
@@ -96,11 +194,53 @@ export const handleConnection = (socket, io) => {
     }
   });
 
+  // Handle joining channel rooms
+  socket.on('join_channel', async (data) => {
+    try {
+      if (!socket.userId) {
+        socket.emit('error', { message: 'Not authenticated' });
+        return;
+      }
+
+      const { groupId, channelId } = data;
+      const group = await Group.findById(groupId);
+      const channel = group && !group.isDeleted
+        ? await Channel.findOne({ _id: channelId, group: groupId, isArchived: false })
+        : null;
+
+      if (!channel || !group.isMember(socket.userId) || !channel.canView(getEffectiveGroupRole(group, socket.user))) {
+        socket.emit('error', { message: 'Access denied to channel' });
+        return;
+      }
+
+      socket.join(channel.roomName());
+      clearMessageScope(socket);
+      socket.emit('joined_channel', { groupId, channelId, channelName: channel.name });
+
+    } catch (error) {
+      console.error('Join channel error:', error);
+      socket.emit('error', { message: 'Failed to join channel' });
+    }
+  });
+
+  // Handle leaving channel rooms
+  socket.on('leave_channel', (data) => {
+    try {
+      const { channelId } = data;
+      socket.leave(`channel_${channelId}`);
+      clearMessageScope(socket);
+      socket.emit('left_channel', { channelId });
+    } catch (error) {
+      console.error('Leave channel error:', error);
+    }
+  });
+
   // Handle leaving group rooms
   socket.on('leave_group', (data) => {
     try {
       const { groupId } = data;
       socket.leave(`group_${groupId}`);
+      clearMessageScope(socket);
       socket.emit('left_group', { groupId });
     } catch (error) {
       console.error('Leave group error:', error);
@@ -108,19 +248,37 @@ export const handleConnection = (socket, io) => {
   });
 
   // Handle direct message
-  socket.on('send_message', async (data) => {
+  socket.on('send_message', async (data, ack) => {
     try {
       if (!socket.userId) {
-        socket.emit('error', { message: 'Not authenticated' });
+        fail(socket, ack, { message: 'Not authenticated' });
+        return;
+      }
+
+      if (!await hasVerifiedEmail(socket)) {
+        fail(socket, ack, { message: 'Please verify your email address first' });
+        return;
+      }
+
+      const { recipientId, type = 'text', clientId } = data;
+
+      if (!CLIENT_MESSAGE_TYPES.includes(type)) {
+        fail(socket, ack, { message: 'Invalid message type' });
         return;
       }
 
-      const { recipientId, content, type = 'text' } = data;
+      // Attachments are the tokens returned by the upload endpoint
+      const { attachments, error } = readAttachments(data.attachments, socket.userId);
+      if (error) {
+        fail(socket, ack, { message: error });
+        return;
+      }
+      const content = data.content || attachmentLabel(attachments);
 
       // Verify recipient exists
       const recipient = await User.findById(recipientId);
       if (!recipient) {
-        socket.emit('error', { message: 'Recipient not found' });
+        fail(socket, ack, { message: 'Recipient not found' });
         return;
       }
 
@@ -130,53 +288,112 @@ export const handleConnection = (socket, io) => {
         sender: socket.userId,
         recipient: recipientId,
         content,
-        type
+        type,
+        attachments,
+        clientId
       });
 
-      await message.save();
-      await message.populate('sender', 'name avatar');
+      await applyMessageMentions(message);
+      const { message: saved, duplicate } = await message.saveOnce();
+      await saved.populate('sender', 'name avatar');
 
-      // Send to recipient if online
-      socket.to(`user_${recipientId}`).emit('new_message', {
-        message,
-        conversationId: message.conversation
-      });
+      // A retry of a message we already have is only confirmed again
+      if (!duplicate) {
+        fillMessagePreviews(io, saved);
+
+        // Send to recipient if online
+        socket.to(`user_${recipientId}`).emit('new_message', {
+          message: saved,
+          conversationId: saved.conversation
+        });
+      }
 
       // Confirm to sender
-      socket.emit('message_sent', {
-        message,
-        conversationId: message.conversation
+      respond(socket, ack, 'message_sent', {
+        ok: true,
+        message: saved,
+        conversationId: saved.conversation,
+        clientId,
+        duplicate
       });
 
     } catch (error) {
       console.error('Send message error:', error);
-      socket.emit('error', { message: 'Failed to send message' });
+      fail(socket, ack, { message: 'Failed to send message' });
     }
   });
 
   // Handle group message
-  socket.on('send_group_message', async (data) => {
+  socket.on('send_group_message', async (data, ack) => {
     try {
       if (!socket.userId) {
-        socket.emit('error', { message: 'Not authenticated' });
+        fail(socket, ack, { message: 'Not authenticated' });
+        return;
+      }
+
+      if (!await hasVerifiedEmail(socket)) {
+        fail(socket, ack, { message: 'Please verify your email address first' });
         return;
       }
 
-      const { groupId, content, type = 'text', replyTo } = data;
+      const { groupId, channelId, type = 'text', replyTo, clientId } = data;
+
+      if (type === 'poll') {
+        fail(socket, ack, { message: 'Polls are created through the API' });
+        return;
+      }
+
+      if (!CLIENT_MESSAGE_TYPES.includes(type)) {
+        fail(socket, ack, { message: 'Invalid message type' });
+        return;
+      }
+
+      const { attachments, error } = readAttachments(data.attachments, socket.userId);
+      if (error) {
+        fail(socket, ack, { message: error });
+        return;
+      }
+      const content = data.content || attachmentLabel(attachments);
 
       const group = await Group.findById(groupId);
-      if (!group || !group.isMember(socket.userId)) {
-        socket.emit('error', { message: 'Access denied to group' });
+      if (!group || group.isDeleted || !group.isMember(socket.userId)) {
+        fail(socket, ack, { message: 'Access denied to group' });
+        return;
+      }
+
+      if (!canInGroup(group, socket.user, 'post')) {
+        fail(socket, ack, { message: 'You do not have permission to send messages in this group' });
+        return;
+      }
+
+      const mute = group.getActiveMute(socket.userId);
+      if (mute) {
+        fail(socket, ack, { message: 'You are muted in this group', code: 'GROUP_MUTED', mutedUntil: mute.expiresAt });
         return;
       }
 
+      let channel = null;
+      if (channelId) {
+        channel = await Channel.findOne({ _id: channelId, group: groupId, isArchived: false });
+        if (!channel || !channel.canPost(group, getEffectiveGroupRole(group, socket.user))) {
+          fail(socket, ack, { message: 'You do not have permission to post in this channel' });
+          return;
+        }
+        if (channel.isDefault) {
+          channel = null;
+        }
+      }
+
       const Message = (await import('../models/Message.js')).default;
       
       const messageData = {
         sender: socket.userId,
         group: groupId,
+        channel: channel ? channel._id : null,
         content,
-        type
+        type,
+        attachments,
+        clientId
       };
 
       if (replyTo) {
@@ -184,27 +401,43 @@ export const handleConnection = (socket, io) => {
       }
 
       const message = new Message(messageData);
-      await message.save();
-      await message.populate([
+      const mentioned = await applyMessageMentions(message, {
+        group,
+        role: getEffectiveGroupRole(group, socket.user),
+        channel
+      });
+      const { message: saved, duplicate } = await message.saveOnce();
+      await saved.populate([
         { path: 'sender', select: 'name avatar' },
         { path: 'replyTo', select: 'content sender', populate: { path: 'sender', select: 'name' } }
       ]);
 
-      // Send to all group members
-      socket.to(`group_${groupId}`).emit('new_group_message', {
-        message,
-        groupId
-      });
+      // A retry of a message we already have is only confirmed again
+      if (!duplicate) {
+        // Send to everyone else in the channel
+        emitGroupMessage(socket.broadcast, saved, group, channel);
+        fillMessagePreviews(io, saved);
+
+        await notifyMentions(io, mentioned, {
+          from: socket.user,
+          group: group._id,
+          text: `${socket.user.name} mentioned you in ${group.name}`
+        });
+      }
 
       // Confirm to sender
-      socket.emit('group_message_sent', {
-        message,
-        groupId
+      respond(socket, ack, 'group_message_sent', {
+        ok: true,
+        message: saved,
+        groupId,
+        channelId: saved.channel,
+        clientId,
+        duplicate
       });
 
     } catch (error) {
       console.error('Send group message error:', error);
-      socket.emit('error', { message: 'Failed to send group message' });
+      fail(socket, ack, { message: 'Failed to send group message' });
     }
   });
 
@@ -262,19 +495,25 @@ export const handleConnection = (socket, io) => {
     try {
       if (!socket.userId) return;
 
-      const { messageId, conversationId, groupId } = data;
+      const { messageId, conversationId } = data;
+      if (!mongoose.Types.ObjectId.isValid(messageId)) return;
+
       const Message = (await import('../models/Message.js')).default;
 
-      const message = await Message.findById(messageId);
-      if (message) {
-        await message.markAsRead(socket.userId);
+      // Only messages the user can see may be marked read
+      const message = await Message.findOne({
+        $and: [{ _id: messageId }, await getMessageScope(socket)]
+      });
+      // Only a first read changes anything worth telling the sender
+      if (message && await message.markAsRead(socket.userId)) {
+        emitDeliveryStatus(io, message, socket.userId, 'read');
 
         // Notify sender about read receipt
-        if (groupId) {
-          socket.to(`group_${groupId}`).emit('message_read', {
+        if (message.group) {
+          socket.to(messageRoom(message)).emit('message_read', {
             messageId,
             readBy: socket.userId,
-            groupId
+            groupId: message.group
           });
         } else {
           socket.to(`user_${message.sender}`).emit('message_read', {
@@ -290,6 +529,77 @@ export const handleConnection = (socket, io) => {
     }
   });
 
+  // Recipients confirm the messages that reached them; senders are told they were delivered
+  socket.on('message_delivered', async (data = {}, ack) => {
+    try {
+      if (!socket.userId) {
+        fail(socket, ack, { message: 'Not authenticated' });
+        return;
+      }
+
+      const messageIds = (Array.isArray(data.messageIds) ? data.messageIds : [data.messageId])
+        .filter(id => mongoose.Types.ObjectId.isValid(id))
+        .slice(0, MAX_DELIVERY_BATCH);
+
+      const Message = (await import('../models/Message.js')).default;
+      const deliveredAt = new Date();
+      const delivered = messageIds.length > 0
+        ? await Message.markDelivered(socket.userId, {
+          $and: [{ _id: { $in: messageIds } }, await getMessageScope(socket)]
+        }, deliveredAt)
+        : [];
+
+      delivered.forEach(message => emitDeliveryStatus(io, message, socket.userId, 'delivered', deliveredAt));
+
+      if (typeof ack === 'function') {
+        ack({ ok: true, delivered: delivered.map(message => message._id) });
+      }
+
+    } catch (error) {
+      console.error('Message delivered error:', error);
+      fail(socket, ack, { message: 'Failed to record delivery' });
+    }
+  });
+
+  // Replay what a client missed while disconnected: every message it can see after `since`
+  // (its last-seen message id or a timestamp), oldest first. Clients call again with the
+  // returned cursor while hasMore is true, then confirm receipt with message_delivered.
+  socket.on('sync', async (data = {}, ack) => {
+    try {
+      if (!socket.userId) {
+        fail(socket, ack, { message: 'Not authenticated' });
+        return;
+      }
+
+      const { since, limit = 100 } = data;
+      if (!since) {
+        fail(socket, ack, { message: 'A since cursor is required' });
+        return;
+      }
+
+      const Message = (await import('../models/Message.js')).default;
+      const page = await Message.paginate({
+        $and: [await getMessageScope(socket), { isDeleted: false }]
+      }, { after: since, limit });
+
+      if (!page) {
+        fail(socket, ack, { message: 'Invalid cursor' });
+        return;
+      }
+
+      respond(socket, ack, 'sync_messages', {
+        ok: true,
+        messages: page.messages,
+        hasMore: page.hasMoreAfter,
+        cursor: page.cursors.after || since
+      });
+
+    } catch (error) {
+      console.error('Sync error:', error);
+      fail(socket, ack, { message: 'Failed to sync messages' });
+    }
+  });
+
   // Handle user status updates
   socket.on('update_status', async (data) => {
     try {
@@ -420,6 +730,92 @@ export const getUserSocketId = (userId) => {
   return connection ? connection.socketId : null;
 };
 
+// Notify and disconnect every socket of a user (e.g. after a ban)
+export const disconnectUser = (io, userId, event, payload) => {
+  const room = `user_${userId}`;
+  if (event) {
+    io.to(room).emit(event, payload);
+  }
+  io.in(room).disconnectSockets(true);
+};
+
+// Notify a user and drop their sockets from a group's rooms (e.g. after removal or a ban)
+export const removeUserFromGroupRoom = async (io, userId, groupId, payload = {}) => {
+  const channels = await Channel.find({ group: groupId, isDefault: false }).select('_id');
+  io.to(`user_${userId}`).emit('removed_from_group', { groupId, ...payload });
+  io.in(`user_${userId}`).socketsLeave([`group_${groupId}`, ...channels.map(c => `channel_${c._id}`)]);
+
+  const sockets = await io.in(`user_${userId}`).fetchSockets();
+  sockets.forEach(clearMessageScope);
+};
+
+// Socket room that receives updates about a message
+export const messageRoom = (message) => {
+  if (message.channel) return `channel_${message.channel}`;
+  return message.group ? `group_${message.group}` : `user_${message.recipient}`;
+};
+
+// Tell a message's sender how far it got with one recipient (delivered or read)
+export const emitDeliveryStatus = (io, message, userId, status, at = new Date()) => {
+  io.to(`user_${message.sender._id || message.sender}`).emit('message_status', {
+    messageId: message._id,
+    userId,
+    status,
+    at,
+    conversationId: message.conversation,
+    groupId: message.group,
+    channelId: message.channel
+  });
+};
+
+// Broadcast a new group message. Channel messages also flag activity for unread badges,
+// only to members whose role can view the channel so restricted channels don't leak.
+export const emitGroupMessage = (emitter, message, group, channel = null) => {
+  if (!channel || channel.isDefault) {
+    emitter.to(`group_${group._id}`).emit('new_group_message', { message, groupId: group._id });
+    return;
+  }
+
+  emitter.to(`channel_${channel._id}`).emit('new_channel_message', { message, groupId: group._id, channelId: channel._id });
+
+  const viewerRooms = [group.owner, ...group.admins, ...group.members.map(m => m.user)]
+    .filter(id => channel.canView(group.getMemberRole(id)))
+    .map(id => `user_${id._id || id}`);
+  if (viewerRooms.length === 0) return;
+
+  emitter.to([...new Set(viewerRooms)]).emit('channel_activity', {
+    groupId: group._id,
+    channelId: channel._id,
+    messageId: message._id,
+    sender: message.sender._id || message.sender
+  });
+};
+
+// Unfurl the links in a message in the background and push the previews once they are ready
+export const fillMessagePreviews = (io, message) => {
+  if (extractUrls(message.content).length === 0 && message.metadata.links.length === 0) return;
+
+  getLinkPreviews(message.content)
+    .then(async (links) => {
+      // An edit since this unfurl started has its own previews on the way
+      const { matchedCount } = await message.constructor.updateOne(
+        { _id: message._id, content: message.content },
+        { 'metadata.links': links }
+      );
+      if (matchedCount === 0) return;
+
+      if (io) {
+        const senderId = message.sender._id || message.sender;
+        const rooms = message.group ? [messageRoom(message)] : [messageRoom(message), `user_${senderId}`];
+        io.to(rooms).emit('message_updated', {
+          messageId: message._id,
+          metadata: { links }
+        });
+      }
+    })
+    .catch(error => console.error('Link preview error:', error));
+};
+
 export const isUserOnline = (userId) => {
   return connectedUsers.has(userId.toString());
 };
\ No newline at end of file
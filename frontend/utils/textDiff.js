@@ -0,0 +1,22 @@
+// Smallest single splice that turns `before` into `after`: the common prefix and suffix
+// are kept and the text between them is replaced. Offsets are in UTF-16 code units,
+// the same as String.prototype.slice, so clients can apply or highlight it directly.
+export const diffText = (before = '', after = '') => {
+  const shorter = Math.min(before.length, after.length);
+
+  let start = 0;
+  while (start < shorter && before[start] === after[start]) {
+    start++;
+  }
+
+  let end = 0;
+  while (end < shorter - start && before[before.length - 1 - end] === after[after.length - 1 - end]) {
+    end++;
+  }
+
+  return {
+    start,
+    removed: before.slice(start, before.length - end),
+    inserted: after.slice(start, after.length - end)
+  };
+};